@@ -0,0 +1,43 @@
+/**
+ * Wombcore 3000 - Script List
+ * The app's scripts in load order, kept in one place for the service
+ * worker, which precaches them, and wombcore.mjs, which loads the engine
+ * into other pages. index.html loads the same scripts with plain <script>
+ * tags, so the page works when opened straight from disk; the tests check
+ * that its tags match these lists.
+ */
+
+// The sound engine: the sound module registry, its helpers, every sound and the SoundMachine
+const ENGINE_SCRIPTS = [
+  'lullabies.js',
+  'sound-modules.js',
+  'noise-worklet.js',
+  'noise-source.js',
+  'colored-noise.js',
+  'sounds/ocean.js',
+  'sounds/forest.js',
+  'sounds/snow.js',
+  'sounds/lullaby.js',
+  'sounds/heartbeat.js',
+  'sounds/brown-noise.js',
+  'sounds/pink-noise.js',
+  'sounds/white-noise.js',
+  'sounds/blue-noise.js',
+  'sounds/violet-noise.js',
+  'sounds/grey-noise.js',
+  'sounds/rain.js',
+  'sound-machine.js'
+];
+
+// The page's features built on the engine, ending with main.js which starts them
+const PAGE_SCRIPTS = [
+  'melody-import.js',
+  'presets.js',
+  'media-session.js',
+  'routines.js',
+  'night-log.js',
+  'cry-detector.js',
+  'wav-export.js',
+  'deep-link.js',
+  'main.js'
+];
@@ -0,0 +1,118 @@
+/**
+ * Wombcore 3000 - Colored Noise
+ * Shapes white noise into any spectral slope with a chain of high-shelf
+ * filters one octave apart. Each shelf raises (or lowers) everything above
+ * it by the slope, so the chain approximates a straight line in dB/octave
+ * that can be morphed continuously by ramping the shelf gains.
+ *
+ * Reference slopes: brown -6, pink -3, white 0, blue +3, violet +6 dB/octave.
+ */
+
+// Corner frequencies (Hz) of the shelf chain, one octave apart
+const NOISE_SHELF_FREQUENCIES = [40, 80, 160, 320, 640, 1280, 2560, 5120, 10240, 20480];
+
+// Equal-loudness offsets (dB) of each band between the shelves, for grey noise.
+// Half-strength 40-phon contour: full strength swamps small speakers with sub-bass.
+const GREY_NOISE_CONTOUR = [20, 12, 6, 2.5, 0.75, 0, -1, -2.25, 2.5, 7.5, 7.5];
+
+// Output level of colored noise, before the makeup gain that keeps power constant
+const COLORED_NOISE_LEVEL = 0.3;
+
+/**
+ * Build colored noise that follows the live slope parameter
+ * @param {BaseAudioContext} ctx - Audio context to build the sound on
+ * @param {AudioNode} destination - Node to connect the sound's output to
+ * @param {{slope: number}} params - Live parameters; slope is in dB per octave
+ * @param {VoiceHandle} handle - Handle of the voice, which takes the nodes and the scheduler
+ * @param {Array<number>} [contour] - Extra per-band offsets in dB, such as GREY_NOISE_CONTOUR
+ */
+function createColoredNoise(ctx, destination, params, handle, contour) {
+  const noise = createNoiseSource(ctx, { color: 'white' });
+  
+  // Shelf chain
+  const shelves = NOISE_SHELF_FREQUENCIES.map(frequency => {
+    const shelf = ctx.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = frequency;
+    return shelf;
+  });
+  
+  const makeupGain = ctx.createGain();
+  
+  noise.connect(shelves[0]);
+  for (let i = 1; i < shelves.length; i++) {
+    shelves[i - 1].connect(shelves[i]);
+  }
+  shelves[shelves.length - 1].connect(makeupGain);
+  makeupGain.connect(destination);
+  
+  let currentSlope = null;
+  
+  const applySlope = () => {
+    if (params.slope === currentSlope) {
+      return;
+    }
+    
+    const levels = getNoiseBandLevels(params.slope, contour);
+    const now = ctx.currentTime;
+    const firstCall = currentSlope === null;
+    
+    // Jump into place on the first call, then glide so the slider morphs smoothly
+    const setLevel = (param, value) => {
+      if (firstCall) {
+        param.setValueAtTime(value, now);
+      } else {
+        param.setTargetAtTime(value, now, 0.1);
+      }
+    };
+    
+    shelves.forEach((shelf, i) => {
+      setLevel(shelf.gain, levels[i + 1] - levels[i]);
+    });
+    setLevel(makeupGain.gain, COLORED_NOISE_LEVEL * getNoiseMakeupGain(levels, ctx.sampleRate));
+    
+    currentSlope = params.slope;
+  };
+  
+  applySlope();
+  
+  // Pick up changes to the tilt control
+  handle.setInterval(applySlope, SCHEDULER_INTERVAL);
+  handle.addNodes(noise, ...shelves, makeupGain);
+}
+
+/**
+ * Work out the level of each band between the shelves
+ * @param {number} slope - Spectral slope in dB per octave
+ * @param {Array<number>} [contour] - Extra per-band offsets in dB
+ * @returns {Array<number>} Level in dB of each of the NOISE_SHELF_FREQUENCIES.length + 1 bands
+ */
+function getNoiseBandLevels(slope, contour) {
+  const levels = [];
+  for (let band = 0; band <= NOISE_SHELF_FREQUENCIES.length; band++) {
+    levels.push(slope * band + (contour ? contour[band] : 0));
+  }
+  return levels;
+}
+
+/**
+ * Work out the gain that gives shaped noise the same power as the white noise it came from
+ * White noise carries power in proportion to bandwidth, so each band is weighted by its width.
+ * @param {Array<number>} levels - Band levels from getNoiseBandLevels()
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Linear gain
+ */
+function getNoiseMakeupGain(levels, sampleRate) {
+  const edges = [0, ...NOISE_SHELF_FREQUENCIES, sampleRate / 2];
+  let whitePower = 0;
+  let shapedPower = 0;
+  
+  levels.forEach((level, band) => {
+    const width = Math.max(0, edges[band + 1] - edges[band]);
+    whitePower += width;
+    // The chain output is relative to the lowest band, which no shelf touches
+    shapedPower += width * Math.pow(10, (level - levels[0]) / 10);
+  });
+  
+  return Math.sqrt(whitePower / shapedPower);
+}
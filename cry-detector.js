@@ -0,0 +1,371 @@
+/**
+ * Wombcore 3000 - Cry Detector
+ * Listens to the nursery through the microphone and reacts when the baby
+ * stirs: it can start a preset, raise the volume or restart the sleep timer.
+ *
+ * Detection runs entirely on this device. The level in the crying band is
+ * compared against a slowly adapting noise floor, which also absorbs the
+ * machine's own sound coming back through the microphone. A recording can
+ * stand in for the microphone to try the detector out.
+ */
+
+// How often (ms) the microphone level is checked
+const CRY_ANALYSIS_INTERVAL = 100;
+
+// Frequency band (Hz) that holds most of a cry's energy
+const CRY_BAND_LOW = 300;
+const CRY_BAND_HIGH = 4000;
+
+// How long (seconds) the level has to stay up before it counts as crying
+const CRY_MIN_DURATION = 0.8;
+
+// Level (dB) above the noise floor that triggers at the lowest and highest sensitivity
+const CRY_MAX_MARGIN = 30;
+const CRY_MIN_MARGIN = 6;
+
+// How much the volume goes up per detection, and the most the detector will raise it to
+const CRY_VOLUME_STEP = 0.1;
+const CRY_MAX_VOLUME = 0.8;
+
+// Sleep timer (minutes) to restart with when no timer has been set yet
+const CRY_DEFAULT_TIMER = 30;
+
+class CryDetector {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine to control
+   * @param {PresetManager} presetManager - Saved presets the detector can start
+   * @param {NightLog} [nightLog] - Log to note wake-ups in
+   */
+  constructor(soundMachine, presetManager, nightLog = null) {
+    this.soundMachine = soundMachine;
+    this.presetManager = presetManager;
+    this.nightLog = nightLog;
+    
+    // Detection settings
+    this.sensitivity = 0.5;
+    this.cooldownMinutes = 5;
+    this.action = 'volume';
+    this.presetName = '';
+    
+    // Input currently listened to: a microphone stream or a stand-in recording
+    this.input = null;
+    this.stream = null;
+    this.analyser = null;
+    this.analysisInterval = null;
+    
+    // Detector state
+    this.noiseFloor = null;
+    this.loudTime = 0;
+    this.cooldownUntil = 0;
+  }
+  
+  /**
+   * Set up the nursery monitor panel
+   */
+  init() {
+    this.initEventListeners();
+    this.renderPresetOptions();
+    this.showStatus('OFF');
+  }
+  
+  /**
+   * Set up event listeners for the nursery monitor panel
+   */
+  initEventListeners() {
+    const listenButton = document.getElementById('cry-listen');
+    listenButton.addEventListener('click', () => {
+      if (this.input) {
+        this.stop();
+        return;
+      }
+      
+      this.listenToMicrophone().catch(error => {
+        alert(`Could not open the microphone: ${error.message}`);
+      });
+    });
+    
+    const sensitivityControl = document.getElementById('cry-sensitivity');
+    const sensitivityValue = document.getElementById('cry-sensitivity-value');
+    sensitivityControl.value = this.sensitivity;
+    sensitivityValue.textContent = `${Math.round(this.sensitivity * 100)}%`;
+    sensitivityControl.addEventListener('input', (e) => {
+      this.sensitivity = parseFloat(e.target.value);
+      sensitivityValue.textContent = `${Math.round(this.sensitivity * 100)}%`;
+    });
+    
+    const cooldownControl = document.getElementById('cry-cooldown');
+    const cooldownValue = document.getElementById('cry-cooldown-value');
+    cooldownControl.value = this.cooldownMinutes;
+    cooldownValue.textContent = `${this.cooldownMinutes} MIN`;
+    cooldownControl.addEventListener('input', (e) => {
+      this.cooldownMinutes = parseInt(e.target.value);
+      cooldownValue.textContent = `${this.cooldownMinutes} MIN`;
+    });
+    
+    const actionSelect = document.getElementById('cry-action');
+    const presetSelect = document.getElementById('cry-preset');
+    actionSelect.value = this.action;
+    actionSelect.addEventListener('change', (e) => {
+      this.action = e.target.value;
+      presetSelect.classList.toggle('d-none', this.action !== 'preset');
+    });
+    
+    // Presets can change at any time, so refresh the list whenever it is opened
+    presetSelect.addEventListener('focus', () => {
+      this.renderPresetOptions();
+    });
+    presetSelect.addEventListener('change', (e) => {
+      this.presetName = e.target.value;
+    });
+    
+    const testInput = document.getElementById('cry-test-file');
+    testInput.addEventListener('change', () => {
+      const file = testInput.files[0];
+      if (!file) {
+        return;
+      }
+      
+      this.listenToRecording(file).catch(error => {
+        alert(`Could not play the recording: ${error.message}`);
+      }).finally(() => {
+        testInput.value = '';
+      });
+    });
+  }
+  
+  /**
+   * Fill the preset picker with the saved presets
+   */
+  renderPresetOptions() {
+    const presetSelect = document.getElementById('cry-preset');
+    const names = Object.keys(this.presetManager.presets).sort((a, b) => a.localeCompare(b));
+    
+    presetSelect.innerHTML = '';
+    if (names.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No saved presets yet';
+      presetSelect.appendChild(option);
+    }
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+    });
+    
+    // Keep the chosen preset, or fall back to the first one
+    if (!names.includes(this.presetName)) {
+      this.presetName = names.length > 0 ? names[0] : '';
+    }
+    presetSelect.value = this.presetName;
+  }
+  
+  /**
+   * Start listening to the microphone
+   * @returns {Promise} Resolves once listening, rejects if the microphone is unavailable or denied
+   */
+  listenToMicrophone() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      return Promise.reject(new Error('This browser has no microphone access.'));
+    }
+    
+    // Processing meant for calls would tune out exactly the sounds we want to hear
+    return navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    }).then(stream => {
+      const ctx = this.soundMachine.audioContext;
+      this.listen(ctx.createMediaStreamSource(stream));
+      this.stream = stream;
+    });
+  }
+  
+  /**
+   * Feed a recording into the detector in place of the microphone
+   * The recording is analysed but not played out loud.
+   * @param {Blob} file - Audio file, such as a recording of the baby
+   * @returns {Promise} Resolves once the recording is playing into the detector
+   */
+  listenToRecording(file) {
+    const ctx = this.soundMachine.audioContext;
+    this.soundMachine.resumeAudioContext();
+    
+    return file.arrayBuffer()
+      .then(data => ctx.decodeAudioData(data))
+      .then(buffer => {
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.onended = () => {
+          if (this.input === source) {
+            this.stop();
+          }
+        };
+        this.listen(source);
+        source.start();
+      });
+  }
+  
+  /**
+   * Start analysing an input in place of whatever was listened to before
+   * @param {AudioNode} input - Microphone source or a stand-in for it
+   */
+  listen(input) {
+    this.stop();
+    
+    const ctx = this.soundMachine.audioContext;
+    this.analyser = ctx.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.analyser.smoothingTimeConstant = 0.5;
+    
+    // The analyser isn't connected onwards, so the input is never heard
+    input.connect(this.analyser);
+    this.input = input;
+    
+    this.noiseFloor = null;
+    this.loudTime = 0;
+    this.analysisInterval = setInterval(() => this.analyse(), CRY_ANALYSIS_INTERVAL);
+    
+    document.getElementById('cry-listen').classList.add('active');
+    this.showStatus('LISTENING');
+  }
+  
+  /**
+   * Stop listening and release the microphone
+   */
+  stop() {
+    if (this.analysisInterval) {
+      clearInterval(this.analysisInterval);
+      this.analysisInterval = null;
+    }
+    if (this.input) {
+      if (this.input.stop) {
+        this.input.onended = null;
+        this.input.stop();
+      }
+      this.input.disconnect();
+      this.input = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    this.analyser = null;
+    
+    document.getElementById('cry-listen').classList.remove('active');
+    this.showStatus('OFF');
+  }
+  
+  /**
+   * Check the latest input level and react if the baby seems to be crying
+   */
+  analyse() {
+    const level = this.getBandLevel();
+    
+    if (this.noiseFloor === null) {
+      this.noiseFloor = level;
+      return;
+    }
+    
+    const margin = CRY_MAX_MARGIN - (CRY_MAX_MARGIN - CRY_MIN_MARGIN) * this.sensitivity;
+    
+    if (level > this.noiseFloor + margin) {
+      this.loudTime += CRY_ANALYSIS_INTERVAL / 1000;
+    } else {
+      // Decay rather than reset, so the gaps between sobs don't start the count over
+      this.loudTime = Math.max(0, this.loudTime - CRY_ANALYSIS_INTERVAL / 2000);
+      
+      // Follow quiet spells quickly and louder backgrounds slowly (over about a minute)
+      const rate = level < this.noiseFloor ? 0.3 : 0.002;
+      this.noiseFloor += (level - this.noiseFloor) * rate;
+    }
+    
+    if (this.loudTime < CRY_MIN_DURATION) {
+      return;
+    }
+    this.loudTime = 0;
+    
+    if (Date.now() < this.cooldownUntil) {
+      return;
+    }
+    this.cooldownUntil = Date.now() + this.cooldownMinutes * 60 * 1000;
+    
+    this.react();
+  }
+  
+  /**
+   * Measure the average power in the crying band
+   * @returns {number} Level in dB
+   */
+  getBandLevel() {
+    const bins = new Float32Array(this.analyser.frequencyBinCount);
+    this.analyser.getFloatFrequencyData(bins);
+    
+    const binWidth = this.soundMachine.audioContext.sampleRate / this.analyser.fftSize;
+    const low = Math.floor(CRY_BAND_LOW / binWidth);
+    const high = Math.min(bins.length - 1, Math.ceil(CRY_BAND_HIGH / binWidth));
+    
+    let power = 0;
+    for (let i = low; i <= high; i++) {
+      power += Math.pow(10, bins[i] / 10);
+    }
+    return 10 * Math.log10(power / (high - low + 1) + 1e-12);
+  }
+  
+  /**
+   * Carry out the chosen action through the sound machine's usual controls
+   */
+  react() {
+    const soundMachine = this.soundMachine;
+    const time = new Date();
+    
+    if (this.action === 'preset') {
+      if (this.presetManager.presets[this.presetName]) {
+        this.presetManager.applyPreset(this.presetName);
+      } else {
+        console.warn('Cry detected, but the chosen preset no longer exists:', this.presetName);
+      }
+    } else {
+      this.resumeSound();
+      
+      if (this.action === 'volume') {
+        // Only ever louder: a volume already above the cap is left where it is
+        const current = soundMachine.masterGain.gain.value;
+        soundMachine.setVolume(Math.max(current, Math.min(CRY_MAX_VOLUME, current + CRY_VOLUME_STEP)));
+      } else {
+        const minutes = soundMachine.lastTimerMinutes || CRY_DEFAULT_TIMER;
+        soundMachine.setTimer(minutes);
+      }
+    }
+    
+    if (this.nightLog) {
+      this.nightLog.recordWake(time);
+    }
+    
+    this.showStatus(`STIRRED ${time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+  }
+  
+  /**
+   * Start the last sound or combo again if nothing is playing, e.g. after the sleep timer ran out
+   */
+  resumeSound() {
+    const soundMachine = this.soundMachine;
+    if (Object.keys(soundMachine.activeSounds).length > 0) {
+      return;
+    }
+    
+    const comboTypes = Object.keys(soundMachine.comboSounds).filter(soundType => soundMachine.comboSounds[soundType]);
+    if (comboTypes.length > 0) {
+      soundMachine.playCombo(comboTypes);
+    } else if (soundMachine.currentSound) {
+      soundMachine.play(soundMachine.currentSound);
+    }
+  }
+  
+  /**
+   * Show the detector state in the panel
+   * @param {string} text - Status text
+   */
+  showStatus(text) {
+    document.getElementById('cry-status').textContent = text;
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Wombcore 3000 - Deep Links
+ * Keeps what plays in the URL hash, so a bookmark or a shared link opens
+ * the same sounds, volume, timer and sound settings again.
+ *
+ * Format:
+ *   #sounds=ocean,heartbeat&volume=40&timer=30&lullaby.tempo=72
+ *   sounds - comma separated sound ids
+ *   volume - master volume in percent
+ *   timer  - sleep timer in minutes, left out when none runs
+ *   <sound>.<param> - a sound parameter or mixer setting (volume, muted, solo,
+ *                     positionX, positionY), left out while it has its default value
+ *
+ * Browsers only let audio start after a user gesture, so an opened link is
+ * offered in a banner and plays when it is tapped.
+ */
+
+// Parameters of the hash that aren't sound parameters
+const LINK_KEYS = ['sounds', 'volume', 'timer'];
+
+// Separates the sound id from the parameter name in sound parameter keys
+const LINK_PARAM_SEPARATOR = '.';
+
+// How long (ms) changes have to settle before the URL is rewritten, e.g. while the volume slider is dragged
+const LINK_UPDATE_DELAY = 300;
+
+class DeepLinkManager {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine to restore and follow
+   */
+  constructor(soundMachine) {
+    this.soundMachine = soundMachine;
+    
+    // State of an opened link waiting for a tap to play, null when there is none
+    this.pendingLink = null;
+    
+    // Pending rewrite of the URL
+    this.updateTimeout = null;
+  }
+  
+  /**
+   * Offer the link the page was opened with and keep the URL following the sound machine
+   */
+  init() {
+    this.initEventListeners();
+    this.soundMachine.on('statechange', () => this.scheduleHashUpdate());
+    this.openLink(location.hash);
+  }
+  
+  /**
+   * Set up event listeners for the link banner
+   */
+  initEventListeners() {
+    document.getElementById('link-play').addEventListener('click', () => {
+      this.playLink();
+    });
+    
+    document.getElementById('link-dismiss').addEventListener('click', () => {
+      this.dismissLink();
+    });
+    
+    // A link pasted into the address bar of the open page
+    window.addEventListener('hashchange', () => {
+      this.openLink(location.hash);
+    });
+  }
+  
+  // -------------------- Opening Links --------------------
+  
+  /**
+   * Read a link and offer it in the banner
+   * @param {string} hash - URL hash, with or without the leading #
+   */
+  openLink(hash) {
+    const link = parseLink(hash);
+    this.pendingLink = link.state.sounds.length > 0 ? link.state : null;
+    this.showBanner(link);
+  }
+  
+  /**
+   * Play the offered link; called from the banner's button, which is the gesture audio needs
+   */
+  playLink() {
+    const state = this.pendingLink;
+    this.hideBanner();
+    if (!state) {
+      return;
+    }
+    
+    this.soundMachine.applyState(Object.assign({}, state, {
+      volume: state.volume === null ? this.soundMachine.getState().volume : state.volume
+    }));
+  }
+  
+  /**
+   * Let the offered link go; the URL goes back to showing what plays
+   */
+  dismissLink() {
+    this.hideBanner();
+    this.updateHash();
+  }
+  
+  // -------------------- Banner --------------------
+  
+  /**
+   * Show what a link plays and what of it was ignored
+   * @param {{state: Object, ignored: Array<string>}} link - Link as read by parseLink()
+   */
+  showBanner(link) {
+    const banner = document.getElementById('link-banner');
+    const summary = document.getElementById('link-summary');
+    const notice = document.getElementById('link-notice');
+    
+    if (link.state.sounds.length === 0 && link.ignored.length === 0) {
+      this.hideBanner();
+      return;
+    }
+    
+    summary.textContent = this.pendingLink ? `PLAY ${describeLink(this.pendingLink)}?` : 'THIS LINK HAS NO SOUNDS TO PLAY.';
+    notice.textContent = `Ignored from the link: ${link.ignored.join(', ')}`;
+    notice.classList.toggle('d-none', link.ignored.length === 0);
+    document.getElementById('link-play').classList.toggle('d-none', !this.pendingLink);
+    banner.classList.remove('d-none');
+  }
+  
+  /**
+   * Hide the banner and forget the link it offered
+   */
+  hideBanner() {
+    this.pendingLink = null;
+    document.getElementById('link-banner').classList.add('d-none');
+  }
+  
+  // -------------------- Following the Sound Machine --------------------
+  
+  /**
+   * Rewrite the URL once the sound machine has stopped changing for a moment
+   * Browsers limit how often a page may replace its URL; Safari throws after about 100 times in a few seconds.
+   */
+  scheduleHashUpdate() {
+    clearTimeout(this.updateTimeout);
+    this.updateTimeout = setTimeout(() => {
+      this.updateTimeout = null;
+      this.updateHash();
+    }, LINK_UPDATE_DELAY);
+  }
+  
+  /**
+   * Write what plays into the URL, or clear the hash when nothing does
+   * Left alone while a link waits in the banner, so it isn't lost before it is played.
+   */
+  updateHash() {
+    if (this.pendingLink) {
+      return;
+    }
+    
+    // The state keeps naming the last single sound after it was stopped, so go by what plays
+    const state = this.soundMachine.getState();
+    state.sounds = state.sounds.filter(soundType => this.soundMachine.activeSounds[soundType]);
+    
+    const hash = formatLink(state);
+    if (hash === location.hash.replace(/^#/, '')) {
+      return;
+    }
+    
+    // Replaced rather than pushed, so moving a slider doesn't fill the back button's history
+    try {
+      history.replaceState(null, '', `${location.pathname}${location.search}${hash ? `#${hash}` : ''}`);
+    } catch (error) {
+      // A stale URL is better than breaking the control that changed the sound
+      console.warn('Could not update the URL:', error);
+    }
+  }
+}
+
+/**
+ * Write the state of the sound machine as a URL hash
+ * @param {Object} state - State as returned by SoundMachine.getState(), with each sound's mixer settings and parameters
+ * @returns {string} Hash without the leading #, empty when no sound plays
+ */
+function formatLink(state) {
+  if (state.sounds.length === 0) {
+    return '';
+  }
+  
+  const search = new URLSearchParams();
+  search.set('sounds', state.sounds.join(','));
+  search.set('volume', Math.round(state.volume * 100));
+  if (state.timer > 0) {
+    search.set('timer', state.timer);
+  }
+  
+  state.sounds.forEach(soundType => {
+    const defaults = Object.assign(getChannelSettingDefaults(soundType), getSoundParamDefaults(soundType));
+    const values = state.params[soundType] || {};
+    Object.keys(defaults).forEach(param => {
+      if (param in values && values[param] !== defaults[param]) {
+        const value = typeof values[param] === 'boolean' ? Number(values[param]) : values[param];
+        search.set(`${soundType}${LINK_PARAM_SEPARATOR}${param}`, value);
+      }
+    });
+  });
+  
+  // Keep the commas of the sound list readable
+  return search.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Read a URL hash into a state for SoundMachine.applyState()
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {{state: Object, ignored: Array<string>}} The state, with a null volume when the link
+ *   has none, and the sound ids and settings that were unknown or out of range
+ */
+function parseLink(hash) {
+  const search = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = { sounds: [], params: {}, volume: null, timer: 0 };
+  const ignored = [];
+  
+  (search.get('sounds') || '').split(',').map(soundType => soundType.trim()).filter(Boolean).forEach(soundType => {
+    if (!SOUND_MODULES[soundType]) {
+      ignored.push(soundType);
+    } else if (!state.sounds.includes(soundType)) {
+      state.sounds.push(soundType);
+    }
+  });
+  
+  if (search.has('volume')) {
+    const volume = parseFloat(search.get('volume'));
+    if (volume >= 0 && volume <= 100) {
+      state.volume = volume / 100;
+    } else {
+      ignored.push('volume');
+    }
+  }
+  
+  if (search.has('timer')) {
+    const minutes = parseFloat(search.get('timer'));
+    if (minutes >= 0) {
+      state.timer = minutes;
+    } else {
+      ignored.push('timer');
+    }
+  }
+  
+  search.forEach((rawValue, key) => {
+    if (LINK_KEYS.includes(key)) {
+      return;
+    }
+    
+    const [soundType, param] = key.split(LINK_PARAM_SEPARATOR);
+    const module = SOUND_MODULES[soundType];
+    const definition = module && (param in module.params ? module.params[param] : CHANNEL_SETTING_PARAMS[param]);
+    const value = definition ? parseParamValue(definition, rawValue) : undefined;
+    if (value === undefined) {
+      ignored.push(key);
+      return;
+    }
+    
+    state.params[soundType] = state.params[soundType] || {};
+    state.params[soundType][param] = value;
+  });
+  
+  return { state, ignored };
+}
+
+/**
+ * Check a sound parameter from a link against the parameter's definition
+ * @param {Object} definition - Parameter definition from the sound module
+ * @param {string} rawValue - Value as written in the link
+ * @returns {number|boolean|string|undefined} The value, or undefined if the parameter can't take it
+ */
+function parseParamValue(definition, rawValue) {
+  let value = parseFloat(rawValue);
+  if (definition.type === 'checkbox') {
+    value = { '1': true, 'true': true, '0': false, 'false': false }[rawValue];
+  } else if (definition.type === 'select') {
+    value = rawValue;
+  }
+  return isSoundParamValue(definition, value) ? value : undefined;
+}
+
+/**
+ * Describe a linked state for the banner
+ * @param {Object} state - State as read by parseLink()
+ * @returns {string} E.g. "OCEAN + HEARTBEAT AT 40% WITH A 30 MIN TIMER"
+ */
+function describeLink(state) {
+  let description = state.sounds.map(soundType => SOUND_MODULES[soundType].label.toUpperCase()).join(' + ');
+  if (state.volume !== null) {
+    description += ` AT ${Math.round(state.volume * 100)}%`;
+  }
+  if (state.timer > 0) {
+    description += ` WITH A ${state.timer} MIN TIMER`;
+  }
+  return description;
+}
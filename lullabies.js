@@ -0,0 +1,93 @@
+/**
+ * Wombcore 3000 - Lullaby Library
+ * Public-domain melodies for the lullaby sequencer.
+ *
+ * Each melody is a list of [note, beats] pairs. Notes use scientific
+ * pitch notation (e.g. "C4", "F#3", "Bb4"); "R" is a rest.
+ */
+
+const LULLABIES = {
+  'wombcore': {
+    name: 'Wombcore Drift',
+    notes: [
+      ['G4', 1], ['E4', 1], ['C4', 1], ['D4', 1],
+      ['A3', 1.5], ['C4', 0.5], ['E4', 1], ['D4', 1],
+      ['C4', 2]
+    ]
+  },
+  'brahms': {
+    name: "Brahms' Lullaby",
+    notes: [
+      ['E4', 0.5], ['E4', 0.5], ['G4', 2],
+      ['E4', 0.5], ['E4', 0.5], ['G4', 2],
+      ['E4', 0.5], ['G4', 0.5], ['C5', 1], ['B4', 1.5], ['A4', 0.5], ['A4', 1], ['G4', 1],
+      ['D4', 0.5], ['E4', 0.5], ['F4', 1], ['D4', 1], ['D4', 0.5], ['E4', 0.5], ['F4', 2],
+      ['D4', 0.5], ['F4', 0.5], ['B4', 0.5], ['A4', 0.5], ['G4', 1], ['B4', 1], ['C5', 2],
+      ['C4', 0.5], ['C4', 0.5], ['C5', 2], ['A4', 0.5], ['F4', 0.5], ['G4', 2],
+      ['E4', 0.5], ['C4', 0.5], ['F4', 1], ['G4', 1], ['A4', 1], ['G4', 2],
+      ['E4', 0.5], ['C4', 0.5], ['F4', 1], ['E4', 0.5], ['D4', 0.5], ['C4', 2],
+      ['R', 1]
+    ]
+  },
+  'twinkle': {
+    name: 'Twinkle, Twinkle, Little Star',
+    notes: [
+      ['C4', 1], ['C4', 1], ['G4', 1], ['G4', 1], ['A4', 1], ['A4', 1], ['G4', 2],
+      ['F4', 1], ['F4', 1], ['E4', 1], ['E4', 1], ['D4', 1], ['D4', 1], ['C4', 2],
+      ['G4', 1], ['G4', 1], ['F4', 1], ['F4', 1], ['E4', 1], ['E4', 1], ['D4', 2],
+      ['G4', 1], ['G4', 1], ['F4', 1], ['F4', 1], ['E4', 1], ['E4', 1], ['D4', 2],
+      ['C4', 1], ['C4', 1], ['G4', 1], ['G4', 1], ['A4', 1], ['A4', 1], ['G4', 2],
+      ['F4', 1], ['F4', 1], ['E4', 1], ['E4', 1], ['D4', 1], ['D4', 1], ['C4', 2],
+      ['R', 2]
+    ]
+  },
+  'hush': {
+    name: 'Hush, Little Baby',
+    notes: [
+      ['G4', 1], ['E4', 0.5], ['E4', 0.5], ['E4', 0.5], ['F4', 0.5], ['E4', 0.5], ['D4', 0.5], ['D4', 2],
+      ['D4', 0.5], ['D4', 0.5], ['D4', 0.5], ['D4', 0.5], ['E4', 0.5], ['D4', 0.5], ['D4', 0.5], ['C4', 0.5], ['C4', 2],
+      ['G4', 0.5], ['G4', 0.5], ['E4', 0.5], ['E4', 0.5], ['E4', 0.5], ['F4', 0.5], ['E4', 0.5], ['D4', 0.5], ['D4', 2],
+      ['D4', 0.5], ['D4', 0.5], ['D4', 0.5], ['D4', 0.5], ['E4', 0.5], ['D4', 0.5], ['D4', 0.5], ['C4', 0.5], ['C4', 2],
+      ['R', 2]
+    ]
+  }
+};
+
+// Semitone offsets of the natural notes from C
+const NOTE_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+/**
+ * Convert a note name to its frequency in equal temperament (A4 = 440 Hz)
+ * @param {string} note - Note name such as "C4", "F#3" or "Bb4"
+ * @returns {number|null} Frequency in Hz, or null if the name is not a valid note
+ */
+function noteToFrequency(note) {
+  const match = /^([A-G])(#|b)?(-?\d)$/.exec(note);
+  if (!match) {
+    return null;
+  }
+  
+  let semitone = NOTE_SEMITONES[match[1]];
+  if (match[2] === '#') {
+    semitone++;
+  } else if (match[2] === 'b') {
+    semitone--;
+  }
+  
+  const midiNumber = (parseInt(match[3]) + 1) * 12 + semitone;
+  return 440 * Math.pow(2, (midiNumber - 69) / 12);
+}
+
+/**
+ * Expand a melody into note objects for the sequencer
+ * @param {string} melodyId - Key of the melody in LULLABIES
+ * @returns {Array<{note: string, freq: number|null, duration: number}>} Notes, with a null freq for rests
+ */
+function getMelodyNotes(melodyId) {
+  const melody = LULLABIES[melodyId] || LULLABIES['wombcore'];
+  return melody.notes.map(([note, duration]) => ({
+    note: note,
+    freq: note === 'R' ? null : noteToFrequency(note),
+    duration: duration
+  }));
+}
@@ -4,9 +4,6 @@
  * using the Web Audio API.
  */
 
-// App version
-const APP_VERSION = "v0.2.0";
-
 // Initialize audio context when the page loads
 document.addEventListener("DOMContentLoaded", function() {
   // Set version in UI
@@ -16,20 +13,109 @@ document.addEventListener("DOMContentLoaded", function() {
   const soundMachine = new SoundMachine();
   soundMachine.init();
   
+  // Initialize the page controls
+  const soundMachineUI = new SoundMachineUI(soundMachine);
+  soundMachineUI.init();
+  
+  // Initialize imported lullaby melodies
+  const melodyImporter = new MelodyImporter(soundMachine, soundMachineUI);
+  melodyImporter.init();
+  
+  // Initialize saved presets
+  const presetManager = new PresetManager(soundMachine);
+  presetManager.init();
+  
+  // Initialize the night log
+  const nightLog = new NightLog(soundMachine);
+  nightLog.init();
+  
+  // Initialize lock screen and media key controls
+  const mediaSession = new MediaSessionManager(soundMachine, presetManager);
+  mediaSession.init();
+  
+  // Initialize the nightly routine
+  const routineManager = new RoutineManager(soundMachine, presetManager);
+  routineManager.init();
+  
+  // Initialize the nursery monitor
+  const cryDetector = new CryDetector(soundMachine, presetManager, nightLog);
+  cryDetector.init();
+  
+  // Initialize WAV export
+  const wavExporter = new WavExporter(soundMachine);
+  wavExporter.init();
+  
+  // Initialize shareable links, last so the URL follows every change the others make
+  const deepLinkManager = new DeepLinkManager(soundMachine);
+  deepLinkManager.init();
+  
   // Enable iOS background audio
   enableIOSBackgroundAudio();
+  
+  // Work offline and offer updates
+  registerServiceWorker();
 });
 
 /**
- * Enable background audio playback for iOS devices
+ * Register the service worker that keeps the app working offline, and watch for new versions
  */
-function enableIOSBackgroundAudio() {
-  // Set up audio session for background playback on iOS
-  if (navigator.mediaSession) {
-    navigator.mediaSession.setActionHandler('play', () => {});
-    navigator.mediaSession.setActionHandler('pause', () => {});
+function registerServiceWorker() {
+  // Service workers need http(s); opened from disk the app still works, just not offline
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+    return;
   }
   
+  navigator.serviceWorker.register('sw.js').then(registration => {
+    // Without a controlling worker this is the first install, not an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdatePrompt(worker);
+        }
+      });
+    });
+  }).catch(error => {
+    console.warn('Service worker registration failed:', error);
+  });
+}
+
+/**
+ * Offer to switch to a new version that has finished installing
+ * Reloading stops the sound, so the update waits until the user asks for it.
+ * @param {ServiceWorker} worker - Installed worker of the new version
+ */
+function showUpdatePrompt(worker) {
+  const banner = document.getElementById('update-banner');
+  
+  // Ask the new worker which version it brings
+  const channel = new MessageChannel();
+  channel.port1.onmessage = (e) => {
+    document.getElementById('update-version').textContent = e.data;
+    banner.classList.remove('d-none');
+  };
+  worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+  
+  document.getElementById('update-reload').onclick = () => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      location.reload();
+    }, { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  
+  document.getElementById('update-dismiss').onclick = () => {
+    banner.classList.add('d-none');
+  };
+}
+
+/**
+ * Enable background audio playback for iOS devices
+ */
+function enableIOSBackgroundAudio() {
   // Create a silent audio element that keeps the audio context alive
   const silentAudio = document.createElement('audio');
   silentAudio.setAttribute('loop', 'loop');
@@ -45,108 +131,154 @@ function enableIOSBackgroundAudio() {
   }, { once: true });
 }
 
-class SoundMachine {
-  constructor() {
-    // Audio context
-    this.audioContext = null;
-    
-    // Master gain node
-    this.masterGain = null;
-    
-    // Active sound nodes
-    this.activeSounds = {};
-    
-    // Timer settings
-    this.timerDuration = 0;
-    this.timerEndTime = 0;
-    this.timerInterval = null;
+class SoundMachineUI {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine the page controls
+   * @param {Object} [options] - Dependencies to use in place of the browser's, e.g. in tests
+   * @param {Document} [options.document] - Document holding the UI, the page's by default
+   */
+  constructor(soundMachine, options = {}) {
+    this.soundMachine = soundMachine;
     
-    // Store currently playing sound
-    this.currentSound = null;
+    // Document holding the UI
+    this.document = options.document || document;
     
-    // Combo mode settings
-    this.comboSounds = {
-      'white-noise': false,
-      'pink-noise': false,
-      'brown-noise': false,
-      'heartbeat': false,
-      'ocean': false,
-      'rain': false,
-      'snow': false,
-      'forest': false,
-      'lullaby': false
-    };
+    // Combo sounds the mixer strips were last built for, joined with commas
+    this.mixerChannels = null;
   }
   
   /**
-   * Initialize the sound machine
+   * Build the controls of the registered sounds and keep them in sync with the sound machine
    */
   init() {
-    // Create audio context (with fallback for older browsers)
-    const AudioContext = window.AudioContext || window.webkitAudioContext;
-    
-    // Set options for iOS background playback
-    const audioContextOptions = {
-      latencyHint: 'playback',
-      sampleRate: 44100
-    };
-    
-    this.audioContext = new AudioContext(audioContextOptions);
-    
-    // Create master gain node
-    this.masterGain = this.audioContext.createGain();
-    this.masterGain.gain.value = 0.5; // Default volume
-    this.masterGain.connect(this.audioContext.destination);
+    // Build the tiles, combo options and settings of the registered sounds
+    this.renderSoundTiles();
+    this.renderComboOptions();
+    this.renderSoundSettingsGroups();
     
     // Initialize UI event listeners
     this.initEventListeners();
+    
+    // Whatever starts or stops a sound, the page follows
+    this.soundMachine.on('statechange', () => this.render());
+    this.soundMachine.on('timertick', ({ remaining }) => this.updateTimerDisplay(remaining));
+    this.render();
   }
   
   /**
    * Set up event listeners for the UI
    */
   initEventListeners() {
+    const soundMachine = this.soundMachine;
+    
     // Sound tile click events
-    const soundTiles = document.querySelectorAll('.sound-tile');
+    const soundTiles = this.document.querySelectorAll('.sound-tile');
     soundTiles.forEach(tile => {
       tile.addEventListener('click', () => {
         const soundType = tile.getAttribute('data-sound');
         // For combo tile, handle differently
         if (soundType === 'combo') {
           // Toggle combo settings
-          const comboSettings = document.getElementById('combo-settings');
+          const comboSettings = this.document.getElementById('combo-settings');
           comboSettings.classList.toggle('d-none');
         } else {
-          this.toggleSound(soundType, tile);
+          soundMachine.toggle(soundType);
         }
       });
     });
     
     // Volume control
-    const volumeControl = document.getElementById('volume-control');
+    const volumeControl = this.document.getElementById('volume-control');
     volumeControl.addEventListener('input', (e) => {
       const volume = parseFloat(e.target.value);
-      this.setVolume(volume);
+      soundMachine.setVolume(volume);
     });
     
     // Timer buttons
-    const timerButtons = document.querySelectorAll('.timer-btn');
+    const timerButtons = this.document.querySelectorAll('.timer-btn[data-time]');
     timerButtons.forEach(button => {
       button.addEventListener('click', (e) => {
         // Prevent event bubbling to parent elements
         e.stopPropagation();
         
         const minutes = parseInt(button.getAttribute('data-time'));
-        this.setTimer(minutes);
-        
-        // Update active button state
-        timerButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
+        soundMachine.setTimer(minutes);
+      });
+    });
+    
+    // Custom timer duration
+    const customTimerButton = this.document.getElementById('set-custom-timer');
+    customTimerButton.addEventListener('click', () => {
+      const minutes = parseInt(this.document.getElementById('custom-timer-minutes').value);
+      if (!(minutes > 0)) {
+        alert('Please enter a number of minutes.');
+        return;
+      }
+      soundMachine.setTimer(minutes);
+    });
+    
+    // Timer that ends at a time of day
+    const clockTimerButton = this.document.getElementById('set-clock-timer');
+    clockTimerButton.addEventListener('click', () => {
+      const clockTime = this.document.getElementById('clock-timer-time').value;
+      if (!clockTime) {
+        alert('Please choose a time.');
+        return;
+      }
+      soundMachine.setTimerUntil(clockTime);
+    });
+    
+    // Wind-down length
+    const windDownControl = this.document.getElementById('wind-down-control');
+    const windDownValue = this.document.getElementById('wind-down-value');
+    windDownControl.addEventListener('input', (e) => {
+      soundMachine.windDownMinutes = parseInt(e.target.value);
+      windDownValue.textContent = soundMachine.windDownMinutes > 0 ? `${soundMachine.windDownMinutes} MIN` : 'OFF';
+    });
+    
+    // Sound parameter controls
+    this.document.querySelectorAll('.sound-param').forEach(input => {
+      const soundType = input.getAttribute('data-sound-type');
+      const param = input.getAttribute('data-param');
+      
+      input.addEventListener('input', (e) => {
+        let value = parseFloat(e.target.value);
+        if (input.type === 'checkbox') {
+          value = e.target.checked;
+        } else if (input.tagName === 'SELECT') {
+          value = e.target.value;
+        }
+        soundMachine.setSoundParam(soundType, param, value);
       });
     });
     
+    // Fade sliders
+    this.document.querySelectorAll('.fade-control').forEach(input => {
+      const setting = input.getAttribute('data-setting');
+      const valueLabel = this.document.querySelector(`.fade-value[data-setting="${setting}"]`);
+      
+      input.value = soundMachine[setting];
+      valueLabel.textContent = `${soundMachine[setting]} S`;
+      
+      input.addEventListener('input', (e) => {
+        soundMachine[setting] = parseFloat(e.target.value);
+        valueLabel.textContent = `${soundMachine[setting]} S`;
+      });
+    });
+    
+    // Spatial output switches
+    const binauralSwitch = this.document.getElementById('binaural-switch');
+    binauralSwitch.addEventListener('change', (e) => {
+      soundMachine.setBinaural(e.target.checked);
+    });
+    
+    const monoSwitch = this.document.getElementById('mono-switch');
+    monoSwitch.addEventListener('change', (e) => {
+      soundMachine.setMono(e.target.checked);
+    });
+    
     // Apply combo button
-    const applyComboButton = document.getElementById('apply-combo');
+    const applyComboButton = this.document.getElementById('apply-combo');
     if (applyComboButton) {
       applyComboButton.addEventListener('click', (e) => {
         // Prevent event bubbling
@@ -156,7 +288,7 @@ class SoundMachine {
     }
     
     // Prevent combo settings from closing when clicking inside
-    const comboSettings = document.getElementById('combo-settings');
+    const comboSettings = this.document.getElementById('combo-settings');
     if (comboSettings) {
       comboSettings.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -165,892 +297,481 @@ class SoundMachine {
   }
   
   /**
-   * Toggle sound on/off
-   * @param {string} soundType - Type of sound to toggle
-   * @param {HTMLElement} tile - The DOM element for the sound tile
+   * Play the sounds ticked in the combo panel together
    */
-  toggleSound(soundType, tile) {
-    // If it's already playing, stop it
-    if (tile.classList.contains('playing')) {
-      if (soundType === 'combo') {
-        this.stopCombo();
-      } else {
-        this.stopSound(soundType);
-      }
-      
-      // Update UI to stopped state - the CSS will handle showing/hiding play/pause icons
-      tile.classList.remove('playing');
-      
-      return;
-    }
+  applyComboSettings() {
+    const soundTypes = Object.keys(this.soundMachine.comboSounds).filter(soundType => {
+      const checkbox = this.document.getElementById(`combo-${soundType}`);
+      return Boolean(checkbox && checkbox.checked);
+    });
     
-    // If it's not combo mode, stop any currently playing sound
-    if (soundType !== 'combo') {
-      this.stopAllSounds();
-      
-      // Reset UI for all tiles
-      document.querySelectorAll('.sound-tile').forEach(t => {
-        t.classList.remove('playing');
-      });
+    if (soundTypes.length === 0) {
+      alert('Please select at least one sound to combine.');
+      return;
     }
     
-    // Start the audio
-    if (soundType === 'combo') {
-      // Show combo settings if not already visible
-      const comboSettings = document.getElementById('combo-settings');
-      if (comboSettings.classList.contains('d-none')) {
-        comboSettings.classList.remove('d-none');
-      }
-    } else {
-      this.playSound(soundType);
-      this.currentSound = soundType;
-    }
+    this.soundMachine.playCombo(soundTypes);
   }
   
   /**
-   * Play a specific sound
-   * @param {string} soundType - Type of sound to play
+   * Stop the combo and clear its selection
    */
-  playSound(soundType) {
-    // Resume the audio context (needed because of autoplay policies)
-    if (this.audioContext.state === 'suspended') {
-      this.audioContext.resume().then(() => {
-        console.log('AudioContext resumed successfully');
-      }).catch(error => {
-        console.error('Failed to resume AudioContext:', error);
-      });
-    }
-    
-    switch(soundType) {
-      case 'white-noise':
-        this.playWhiteNoise();
-        break;
-      case 'pink-noise':
-        this.playPinkNoise();
-        break;
-      case 'brown-noise':
-        this.playBrownNoise();
-        break;
-      case 'heartbeat':
-        this.playHeartbeat();
-        break;
-      case 'ocean':
-        this.playOceanWaves();
-        break;
-      case 'rain':
-        this.playRain();
-        break;
-      case 'snow':
-        this.playSnow();
-        break;
-      case 'forest':
-        this.playForest();
-        break;
-      case 'lullaby':
-        this.playLullaby();
-        break;
-      default:
-        console.warn('Unknown sound type:', soundType);
-        return; // Don't update UI if sound type is unknown
-    }
+  stopCombo() {
+    this.soundMachine.stopCombo();
     
-    // Update UI state for the sound tile
-    const tile = document.querySelector(`[data-sound="${soundType}"]`);
-    if (tile) {
-      // Add playing class to the tile - the CSS will handle showing/hiding play/pause icons
-      tile.classList.add('playing');
-    }
-  }
-  
-  /**
-   * Stop a specific sound
-   * @param {string} soundType - Type of sound to stop
-   */
-  stopSound(soundType) {
-    if (this.activeSounds[soundType]) {
-      // If it's an array of nodes
-      if (Array.isArray(this.activeSounds[soundType])) {
-        this.activeSounds[soundType].forEach(node => {
-          if (node.stop) {
-            node.stop();
-          } else if (node.disconnect) {
-            node.disconnect();
-          }
-        });
-      } else {
-        // If it's a single node
-        if (this.activeSounds[soundType].stop) {
-          this.activeSounds[soundType].stop();
-        } else {
-          this.activeSounds[soundType].disconnect();
-        }
+    // Reset all combo checkboxes
+    Object.keys(this.soundMachine.comboSounds).forEach(soundType => {
+      const checkbox = this.document.getElementById(`combo-${soundType}`);
+      if (checkbox) {
+        checkbox.checked = false;
       }
-      
-      delete this.activeSounds[soundType];
-    }
-  }
-  
-  /**
-   * Stop all active sounds
-   */
-  stopAllSounds() {
-    Object.keys(this.activeSounds).forEach(soundType => {
-      this.stopSound(soundType);
     });
-    
-    // Clear the current timer
-    this.clearTimer();
   }
   
-  /**
-   * Set the master volume
-   * @param {number} value - Volume level (0 to 1)
-   */
-  setVolume(value) {
-    if (this.masterGain) {
-      this.masterGain.gain.value = value;
-    }
-  }
+  // -------------------- State Display --------------------
   
   /**
-   * Set a timer to stop sounds after specified minutes
-   * @param {number} minutes - Duration in minutes
+   * Bring the page up to date with what the sound machine plays
+   * Called on every statechange, whether it came from the page or from code driving the sound machine.
    */
-  setTimer(minutes) {
-    // Clear any existing timer
-    this.clearTimer();
+  render() {
+    const soundMachine = this.soundMachine;
     
-    // If timer is set to 0, don't set a new timer
-    if (minutes === 0) {
-      const timerDisplay = document.getElementById('timer-display');
-      timerDisplay.classList.add('d-none');
-      return;
+    // Playing tiles - the CSS will handle showing/hiding play/pause icons
+    this.document.querySelectorAll('.sound-tile').forEach(tile => {
+      tile.classList.toggle('playing', Boolean(soundMachine.activeSounds[tile.getAttribute('data-sound')]));
+    });
+    
+    // While a combo plays, its panel shows what it is made of; otherwise the selection is left alone
+    const comboTypes = Object.keys(soundMachine.comboSounds).filter(soundType => soundMachine.comboSounds[soundType]);
+    if (comboTypes.length > 0) {
+      Object.keys(soundMachine.comboSounds).forEach(soundType => {
+        const checkbox = this.document.getElementById(`combo-${soundType}`);
+        if (checkbox) {
+          checkbox.checked = comboTypes.includes(soundType);
+        }
+      });
     }
     
-    // Calculate end time
-    this.timerDuration = minutes * 60 * 1000; // Convert to milliseconds
-    this.timerEndTime = Date.now() + this.timerDuration;
+    if (soundMachine.masterGain) {
+      this.document.getElementById('volume-control').value = soundMachine.masterGain.gain.value;
+    }
     
-    // Update timer display
-    const timerDisplay = document.getElementById('timer-display');
-    timerDisplay.classList.remove('d-none');
+    // Timer display and active button
+    const timerDisplay = this.document.getElementById('timer-display');
+    if (timerDisplay) {
+      timerDisplay.classList.toggle('d-none', !(soundMachine.timerMinutes > 0));
+    }
+    this.highlightTimerButton(soundMachine.timerMinutes);
     
-    // Start the interval
-    this.updateTimerDisplay();
-    this.timerInterval = setInterval(() => {
-      this.updateTimerDisplay();
-      
-      // Check if timer has ended
-      if (Date.now() >= this.timerEndTime) {
-        this.stopAllSounds();
-        document.querySelectorAll('.sound-tile').forEach(tile => {
-          tile.classList.remove('playing');
-        });
-        this.clearTimer();
-      }
-    }, 1000);
+    this.renderMixer();
+    this.renderSoundSettings();
   }
   
   /**
    * Update the timer display
+   * @param {number} timeRemaining - Seconds left on the timer
    */
-  updateTimerDisplay() {
-    const timeRemaining = Math.max(0, this.timerEndTime - Date.now());
-    const minutes = Math.floor(timeRemaining / (60 * 1000));
-    const seconds = Math.floor((timeRemaining % (60 * 1000)) / 1000);
-    
-    const formattedTime = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-    document.getElementById('time-remaining').textContent = formattedTime;
+  updateTimerDisplay(timeRemaining) {
+    this.document.getElementById('time-remaining').textContent = formatTimeRemaining(timeRemaining);
   }
   
   /**
-   * Clear the active timer
+   * Mark the timer button matching a duration as active
+   * @param {number} minutes - Duration in minutes
    */
-  clearTimer() {
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-      this.timerInterval = null;
-    }
-    
-    // Reset timer display
-    const timerDisplay = document.getElementById('timer-display');
-    if (timerDisplay) {
-      timerDisplay.classList.add('d-none');
-    }
-    
-    // Reset active button state
-    document.querySelectorAll('.timer-btn').forEach(btn => {
-      btn.classList.remove('active');
+  highlightTimerButton(minutes) {
+    this.document.querySelectorAll('.timer-btn[data-time]').forEach(btn => {
+      btn.classList.toggle('active', parseInt(btn.getAttribute('data-time')) === minutes);
     });
-    document.querySelector('.timer-btn[data-time="0"]').classList.add('active');
   }
   
+  // -------------------- Sound Module UI Methods --------------------
+  
   /**
-   * Apply combo mode settings
+   * Build a tile for every visible sound, ahead of the combo tile
    */
-  applyComboSettings() {
-    // Stop any currently playing sounds
-    this.stopAllSounds();
+  renderSoundTiles() {
+    const tileRow = this.document.querySelector('.sound-tiles');
+    const comboColumn = tileRow.querySelector('[data-sound="combo"]').parentElement;
     
-    // Reset UI for all tiles
-    document.querySelectorAll('.sound-tile').forEach(t => {
-      t.classList.remove('playing');
-    });
-    
-    // Get selected sounds from checkboxes
-    this.comboSounds = {
-      'white-noise': document.getElementById('combo-white-noise').checked,
-      'brown-noise': document.getElementById('combo-brown-noise').checked,
-      'heartbeat': document.getElementById('combo-heartbeat').checked,
-      'ocean': document.getElementById('combo-ocean').checked,
-      'rain': document.getElementById('combo-rain').checked,
-      'snow': document.getElementById('combo-snow').checked,
-      'forest': document.getElementById('combo-forest').checked,
-      'lullaby': document.getElementById('combo-lullaby').checked
-    };
-    
-    // Check if any sounds are selected
-    const hasSelectedSounds = Object.values(this.comboSounds).some(val => val === true);
-    
-    if (hasSelectedSounds) {
-      // Play all selected sounds
-      Object.keys(this.comboSounds).forEach(sound => {
-        if (this.comboSounds[sound]) {
-          this.playSound(sound);
-        }
-      });
+    this.soundMachine.getVisibleSoundTypes().forEach(soundType => {
+      const module = SOUND_MODULES[soundType];
       
-      // Hide combo settings
-      document.getElementById('combo-settings').classList.add('d-none');
-    } else {
-      alert('Please select at least one sound to combine.');
-    }
+      const column = this.document.createElement('div');
+      column.className = 'col-6 col-md-4 col-lg-3 mb-4';
+      
+      const tile = this.document.createElement('div');
+      tile.className = 'sound-tile';
+      tile.setAttribute('data-sound', soundType);
+      
+      const techLabel = this.document.createElement('div');
+      techLabel.className = 'tech-label';
+      techLabel.textContent = module.techLabel;
+      
+      const icon = this.document.createElement('div');
+      icon.className = 'sound-icon pt-5 pb-1';
+      const iconText = this.document.createElement('span');
+      iconText.style.fontSize = '4rem';
+      iconText.textContent = module.icon;
+      icon.appendChild(iconText);
+      
+      const name = this.document.createElement('h3');
+      name.textContent = module.label;
+      
+      const techDetail = this.document.createElement('div');
+      techDetail.className = 'tech-detail';
+      techDetail.textContent = module.techDetail || '';
+      
+      tile.append(techLabel, icon, name, techDetail);
+      column.appendChild(tile);
+      tileRow.insertBefore(column, comboColumn);
+    });
   }
   
   /**
-   * Stop all combo sounds
+   * Build a combo checkbox for every visible sound
    */
-  stopCombo() {
-    // Stop all sounds that were part of the combo
-    Object.keys(this.comboSounds).forEach(soundType => {
-      if (this.comboSounds[soundType]) {
-        this.stopSound(soundType);
-      }
-    });
+  renderComboOptions() {
+    const options = this.document.querySelector('#combo-settings .combo-options');
+    options.innerHTML = '';
     
-    // Reset all combo checkboxes
-    Object.keys(this.comboSounds).forEach(soundType => {
-      const checkbox = document.getElementById(`combo-${soundType}`);
-      if (checkbox) {
-        checkbox.checked = false;
-      }
-      this.comboSounds[soundType] = false;
-    });
-    
-    // Reset UI state - remove playing class from all tiles
-    document.querySelectorAll('.sound-tile').forEach(tile => {
-      tile.classList.remove('playing');
+    this.soundMachine.getVisibleSoundTypes().forEach(soundType => {
+      const option = this.document.createElement('div');
+      option.className = 'form-check';
+      
+      const checkbox = this.document.createElement('input');
+      checkbox.className = 'form-check-input';
+      checkbox.type = 'checkbox';
+      checkbox.id = `combo-${soundType}`;
+      
+      const label = this.document.createElement('label');
+      label.className = 'form-check-label';
+      label.htmlFor = checkbox.id;
+      label.textContent = SOUND_MODULES[soundType].label;
+      
+      option.append(checkbox, label);
+      options.appendChild(option);
     });
-    
-    this.currentSound = null;
   }
   
-  // -------------------- Sound Generation Methods --------------------
-  
   /**
-   * Generate white noise
+   * Build the settings group of every sound with parameters
+   * Extra controls in the page marked .sound-settings-extra are moved into their sound's group.
    */
-  playWhiteNoise() {
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    for (let i = 0; i < bufferSize; i++) {
-      output[i] = Math.random() * 2 - 1;
-    }
-    
-    const whiteNoise = this.audioContext.createBufferSource();
-    whiteNoise.buffer = noiseBuffer;
-    whiteNoise.loop = true;
-    
-    // Add a low-pass filter to make it softer
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 1000;
+  renderSoundSettingsGroups() {
+    const container = this.document.getElementById('sound-settings-groups');
     
-    // Connect nodes
-    whiteNoise.connect(filter);
-    filter.connect(this.masterGain);
-    
-    // Start playing
-    whiteNoise.start();
+    Object.keys(SOUND_MODULES).forEach(soundType => {
+      const module = SOUND_MODULES[soundType];
+      const params = Object.keys(module.params);
+      if (params.length === 0) {
+        return;
+      }
+      
+      const group = this.document.createElement('div');
+      group.className = 'control-module sound-settings-group d-none';
+      group.setAttribute('data-sound-type', soundType);
+      
+      const title = this.document.createElement('h5');
+      title.textContent = module.techLabel;
+      
+      const controls = this.document.createElement('div');
+      controls.className = 'param-controls';
+      params.forEach(param => {
+        controls.appendChild(this.createParamControl(soundType, param, module.params[param]));
+      });
+      
+      group.append(title, controls);
+      this.document.querySelectorAll(`.sound-settings-extra[data-sound-type="${soundType}"]`).forEach(extra => {
+        group.appendChild(extra);
+      });
+      container.appendChild(group);
+    });
     
-    // Store active sound nodes
-    this.activeSounds['white-noise'] = [whiteNoise, filter];
+    this.renderParamOptions();
   }
   
   /**
-   * Generate pink noise
-   * Pink noise has less high-frequency components compared to white noise
+   * Build the input for one sound parameter
+   * @param {string} soundType - Type of sound
+   * @param {string} param - Parameter name
+   * @param {Object} schema - Parameter schema from the sound module
+   * @returns {HTMLElement} Control row
    */
-  playPinkNoise() {
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    // Pink noise algorithm
-    let b0, b1, b2, b3, b4, b5, b6;
-    b0 = b1 = b2 = b3 = b4 = b5 = b6 = 0.0;
-    
-    for (let i = 0; i < bufferSize; i++) {
-      const white = Math.random() * 2 - 1;
+  createParamControl(soundType, param, schema) {
+    const id = `${soundType}-${param}`;
+    const row = this.document.createElement('div');
+    
+    const label = this.document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = schema.label;
+    
+    let input;
+    if (schema.type === 'checkbox') {
+      row.className = 'form-check';
+      label.className = 'form-check-label';
       
-      // Apply pink noise filter
-      b0 = 0.99886 * b0 + white * 0.0555179;
-      b1 = 0.99332 * b1 + white * 0.0750759;
-      b2 = 0.96900 * b2 + white * 0.1538520;
-      b3 = 0.86650 * b3 + white * 0.3104856;
-      b4 = 0.55000 * b4 + white * 0.5329522;
-      b5 = -0.7616 * b5 - white * 0.0168980;
+      input = this.document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'form-check-input sound-param';
+      row.append(input, label);
+    } else if (schema.type === 'select') {
+      row.className = 'fade-row';
+      label.className = 'form-label';
       
-      output[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
-      output[i] *= 0.11; // Scale to suit
+      input = this.document.createElement('select');
+      input.className = 'form-select param-select sound-param';
+      row.append(label, input);
+    } else {
+      row.className = 'fade-row';
+      label.className = 'form-label';
       
-      b6 = white * 0.115926;
+      const valueLabel = this.document.createElement('span');
+      valueLabel.className = 'fade-value param-value';
+      valueLabel.setAttribute('data-for', id);
+      
+      input = this.document.createElement('input');
+      input.type = 'range';
+      input.className = 'form-range sound-param';
+      input.min = schema.min;
+      input.max = schema.max;
+      input.step = schema.step;
+      input.setAttribute('data-unit', schema.unit || '');
+      input.toggleAttribute('data-signed', Boolean(schema.signed));
+      row.append(label, valueLabel, input);
     }
     
-    const pinkNoise = this.audioContext.createBufferSource();
-    pinkNoise.buffer = noiseBuffer;
-    pinkNoise.loop = true;
-    
-    // Add a gentle low-pass filter
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 2500;
-    
-    // Connect nodes
-    pinkNoise.connect(filter);
-    filter.connect(this.masterGain);
-    
-    // Start playing
-    pinkNoise.start();
-    
-    // Store active sound nodes
-    this.activeSounds['pink-noise'] = [pinkNoise, filter];
+    input.id = id;
+    input.setAttribute('data-sound-type', soundType);
+    input.setAttribute('data-param', param);
+    return row;
   }
   
-  /**
-   * Generate heartbeat sound
-   */
-  playHeartbeat() {
-    // Create oscillator for heartbeat
-    const heartbeatOsc = this.audioContext.createOscillator();
-    heartbeatOsc.type = 'sine';
-    heartbeatOsc.frequency.value = 2;
-    
-    // Create gain node for heartbeat amplitude
-    const heartbeatGain = this.audioContext.createGain();
-    heartbeatGain.gain.value = 0;
-    
-    // Create LFO for the heartbeat effect
-    const heartbeatLFO = this.audioContext.createOscillator();
-    heartbeatLFO.type = 'sine';
-    heartbeatLFO.frequency.value = 1.2; // Heartbeats per second (72 BPM)
-    
-    // Create gain node for heartbeat LFO
-    const heartbeatLFOGain = this.audioContext.createGain();
-    heartbeatLFOGain.gain.value = 1;
-    
-    // Create oscillator for the actual heartbeat sound
-    const heartbeatSound = this.audioContext.createOscillator();
-    heartbeatSound.type = 'sine';
-    heartbeatSound.frequency.value = 70; // Low frequency for heartbeat
-    
-    // Create filter for heartbeat sound
-    const heartbeatFilter = this.audioContext.createBiquadFilter();
-    heartbeatFilter.type = 'lowpass';
-    heartbeatFilter.frequency.value = 200;
-    heartbeatFilter.Q.value = 10;
-    
-    // Connect LFO to gain
-    heartbeatLFO.connect(heartbeatLFOGain);
-    heartbeatLFOGain.connect(heartbeatGain.gain);
-    
-    // Connect heartbeat sound through filter
-    heartbeatSound.connect(heartbeatFilter);
-    heartbeatFilter.connect(heartbeatGain);
-    heartbeatGain.connect(this.masterGain);
-    
-    // Start oscillators
-    heartbeatLFO.start();
-    heartbeatSound.start();
-    
-    // Store active sound nodes
-    this.activeSounds['heartbeat'] = [heartbeatLFO, heartbeatSound, heartbeatGain, heartbeatLFOGain, heartbeatFilter];
-  }
+  // -------------------- Mixer Methods --------------------
   
   /**
-   * Generate ocean waves sound
+   * Build the channel strips and room view for the active combo sounds inside the combo panel
    */
-  playOceanWaves() {
-    // Create noise for ocean base
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    for (let i = 0; i < bufferSize; i++) {
-      output[i] = Math.random() * 2 - 1;
+  renderMixer() {
+    const mixer = this.document.getElementById('combo-mixer');
+    if (!mixer) {
+      return;
     }
     
-    const oceanBase = this.audioContext.createBufferSource();
-    oceanBase.buffer = noiseBuffer;
-    oceanBase.loop = true;
-    
-    // Create filter for ocean sound
-    const oceanFilter = this.audioContext.createBiquadFilter();
-    oceanFilter.type = 'lowpass';
-    oceanFilter.frequency.value = 500;
-    
-    // Create gain node for wave modulation
-    const waveGain = this.audioContext.createGain();
-    waveGain.gain.value = 0.2;
-    
-    // Create oscillator for wave modulation
-    const waveLFO = this.audioContext.createOscillator();
-    waveLFO.type = 'sine';
-    waveLFO.frequency.value = 0.1; // Slow wave effect
-    
-    // Create gain node for LFO
-    const waveModulationGain = this.audioContext.createGain();
-    waveModulationGain.gain.value = 0.2;
-    
-    // Connect wave LFO
-    waveLFO.connect(waveModulationGain);
-    waveModulationGain.connect(waveGain.gain);
-    
-    // Connect ocean nodes
-    oceanBase.connect(oceanFilter);
-    oceanFilter.connect(waveGain);
-    waveGain.connect(this.masterGain);
-    
-    // Start ocean sound
-    oceanBase.start();
-    waveLFO.start();
-    
-    // Store active sound nodes
-    this.activeSounds['ocean'] = [oceanBase, oceanFilter, waveGain, waveLFO, waveModulationGain];
-  }
-  
-  /**
-   * Generate gentle lullaby melody
-   */
-  playLullaby() {
-    // Create oscillators for the gentle melody
-    const noteOsc = this.audioContext.createOscillator();
-    noteOsc.type = 'sine';
-    
-    // Create gain node for the oscillator
-    const noteGain = this.audioContext.createGain();
-    noteGain.gain.value = 0.2;
-    
-    // Connect oscillator to gain node
-    noteOsc.connect(noteGain);
-    noteGain.connect(this.masterGain);
-    
-    // Start oscillator
-    noteOsc.start();
+    const comboTypes = Object.keys(this.soundMachine.comboSounds).filter(soundType => {
+      return this.soundMachine.comboSounds[soundType] && this.soundMachine.activeSounds[soundType];
+    });
     
-    // Store active sound nodes
-    this.activeSounds['lullaby'] = [noteOsc, noteGain];
+    // Moving a mixer control changes the state too; rebuilding then would drop the slider or marker being dragged
+    if (comboTypes.length > 0 && comboTypes.join(',') === this.mixerChannels) {
+      this.syncMixer(comboTypes);
+      return;
+    }
+    this.mixerChannels = comboTypes.join(',');
     
-    // Simple pentatonic lullaby melody
-    const notes = [
-      {note: 'G4', freq: 392.00, duration: 1},
-      {note: 'E4', freq: 329.63, duration: 1},
-      {note: 'C4', freq: 261.63, duration: 1},
-      {note: 'D4', freq: 293.66, duration: 1},
-      {note: 'A3', freq: 220.00, duration: 1.5},
-      {note: 'C4', freq: 261.63, duration: 0.5},
-      {note: 'E4', freq: 329.63, duration: 1},
-      {note: 'D4', freq: 293.66, duration: 1},
-      {note: 'C4', freq: 261.63, duration: 2},
-    ];
+    const channelList = mixer.querySelector('.mixer-channels');
+    channelList.innerHTML = '';
     
-    // Play melody sequence
-    let startTime = this.audioContext.currentTime;
-    let noteIndex = 0;
+    if (comboTypes.length === 0) {
+      mixer.classList.add('d-none');
+      return;
+    }
     
-    const playNextNote = () => {
-      if (!this.activeSounds['lullaby']) {
-        return; // Stop if sound has been stopped
-      }
+    comboTypes.forEach(soundType => {
+      const settings = this.soundMachine.getChannelSettings(soundType);
+      const strip = this.document.createElement('div');
+      strip.className = 'mixer-channel';
+      strip.setAttribute('data-channel', soundType);
       
-      const note = notes[noteIndex % notes.length];
-      const duration = note.duration * 0.8; // Note duration
-      const gap = note.duration * 0.2; // Gap between notes
+      const name = this.document.createElement('span');
+      name.className = 'mixer-label';
+      name.textContent = SOUND_MODULES[soundType].label;
       
-      // Fade in
-      noteOsc.frequency.setValueAtTime(note.freq, startTime);
-      noteGain.gain.setValueAtTime(0, startTime);
-      noteGain.gain.linearRampToValueAtTime(0.2, startTime + 0.1);
+      const slider = this.document.createElement('input');
+      slider.type = 'range';
+      slider.className = 'form-range mixer-volume';
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = '0.01';
+      slider.value = settings.volume;
+      slider.setAttribute('aria-label', `${name.textContent} volume`);
+      slider.addEventListener('input', (e) => {
+        this.soundMachine.setChannelVolume(soundType, parseFloat(e.target.value));
+      });
       
-      // Fade out
-      noteGain.gain.setValueAtTime(0.2, startTime + duration - 0.1);
-      noteGain.gain.linearRampToValueAtTime(0, startTime + duration);
+      const muteButton = this.document.createElement('button');
+      muteButton.className = 'btn mixer-btn mixer-mute';
+      muteButton.textContent = 'M';
+      muteButton.title = 'Mute';
+      muteButton.classList.toggle('active', settings.muted);
+      muteButton.addEventListener('click', () => {
+        this.soundMachine.setChannelMute(soundType, !settings.muted);
+        muteButton.classList.toggle('active', settings.muted);
+      });
       
-      // Schedule next note
-      startTime += note.duration;
-      noteIndex++;
+      const soloButton = this.document.createElement('button');
+      soloButton.className = 'btn mixer-btn mixer-solo';
+      soloButton.textContent = 'S';
+      soloButton.title = 'Solo';
+      soloButton.classList.toggle('active', settings.solo);
+      soloButton.addEventListener('click', () => {
+        this.soundMachine.setChannelSolo(soundType, !settings.solo);
+        soloButton.classList.toggle('active', settings.solo);
+      });
       
-      setTimeout(playNextNote, (duration + gap) * 1000);
-    };
+      strip.append(name, slider, muteButton, soloButton);
+      channelList.appendChild(strip);
+    });
     
-    // Start playing melody
-    playNextNote();
+    this.renderSpatialRoom(comboTypes);
+    mixer.classList.remove('d-none');
   }
   
   /**
-   * Generate brown noise
-   * Brown noise has even more low-frequency components than pink noise
+   * Bring the channel strips and room markers in line with the mixer settings, e.g. after a preset was applied
+   * @param {Array<string>} comboTypes - Sounds playing in the combo, which the strips were built for
    */
-  playBrownNoise() {
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    let lastOut = 0;
-    for (let i = 0; i < bufferSize; i++) {
-      // Brown noise algorithm
-      const white = Math.random() * 2 - 1;
-      output[i] = (lastOut + (0.02 * white)) / 1.02;
-      lastOut = output[i];
-      output[i] *= 3.5; // Scale to suit
-    }
-    
-    const brownNoise = this.audioContext.createBufferSource();
-    brownNoise.buffer = noiseBuffer;
-    brownNoise.loop = true;
-    
-    // Add a low-pass filter with very low frequency for deep sound
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 1000;
-    
-    // Connect nodes
-    brownNoise.connect(filter);
-    filter.connect(this.masterGain);
-    
-    // Start playing
-    brownNoise.start();
-    
-    // Store active sound nodes
-    this.activeSounds['brown-noise'] = [brownNoise, filter];
+  syncMixer(comboTypes) {
+    const mixer = this.document.getElementById('combo-mixer');
+    comboTypes.forEach(soundType => {
+      const settings = this.soundMachine.getChannelSettings(soundType);
+      const strip = mixer.querySelector(`.mixer-channel[data-channel="${soundType}"]`);
+      strip.querySelector('.mixer-volume').value = settings.volume;
+      strip.querySelector('.mixer-mute').classList.toggle('active', settings.muted);
+      strip.querySelector('.mixer-solo').classList.toggle('active', settings.solo);
+      this.placeSpatialMarker(mixer.querySelector(`.spatial-marker[data-channel="${soundType}"]`), settings);
+    });
   }
   
   /**
-   * Generate rain sound
+   * Place a draggable marker for each combo layer in the room view
+   * @param {Array<string>} comboTypes - Sounds playing in the combo
    */
-  playRain() {
-    // Create noise for rain base
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    for (let i = 0; i < bufferSize; i++) {
-      output[i] = Math.random() * 2 - 1;
-    }
-    
-    const rainBase = this.audioContext.createBufferSource();
-    rainBase.buffer = noiseBuffer;
-    rainBase.loop = true;
-    
-    // Create filter for rain sound - use bandpass to get the right frequency range
-    const rainFilter = this.audioContext.createBiquadFilter();
-    rainFilter.type = 'bandpass';
-    rainFilter.frequency.value = 2500;
-    rainFilter.Q.value = 0.5;
-    
-    // Create dynamics compressor for rain drops effect
-    const compressor = this.audioContext.createDynamicsCompressor();
-    compressor.threshold.value = -20;
-    compressor.knee.value = 30;
-    compressor.ratio.value = 12;
-    compressor.attack.value = 0.003;
-    compressor.release.value = 0.25;
-    
-    // Create gain node for rain volume
-    const rainGain = this.audioContext.createGain();
-    rainGain.gain.value = 0.3;
-    
-    // Connect nodes
-    rainBase.connect(rainFilter);
-    rainFilter.connect(compressor);
-    compressor.connect(rainGain);
-    rainGain.connect(this.masterGain);
-    
-    // Start rain sound
-    rainBase.start();
-    
-    // Create an occasional heavier raindrop effect
-    const raindropScheduler = setInterval(() => {
-      if (!this.activeSounds['rain']) {
-        clearInterval(raindropScheduler);
-        return;
-      }
+  renderSpatialRoom(comboTypes) {
+    const room = this.document.querySelector('#combo-mixer .spatial-room');
+    room.querySelectorAll('.spatial-marker').forEach(marker => marker.remove());
+    
+    comboTypes.forEach(soundType => {
+      const settings = this.soundMachine.getChannelSettings(soundType);
+      const marker = this.document.createElement('button');
+      marker.type = 'button';
+      marker.className = 'spatial-marker';
+      marker.setAttribute('data-channel', soundType);
+      marker.textContent = SOUND_MODULES[soundType].icon;
+      marker.title = SOUND_MODULES[soundType].label;
+      marker.setAttribute('aria-label', `${SOUND_MODULES[soundType].label} position, use the arrow keys to move`);
       
-      if (Math.random() > 0.7) { // 30% chance of a random heavier drop
-        const dropGain = this.audioContext.createGain();
-        dropGain.gain.value = 0.1 + (Math.random() * 0.2);
-        
-        const dropFilter = this.audioContext.createBiquadFilter();
-        dropFilter.type = 'lowpass';
-        dropFilter.frequency.value = 1000 + (Math.random() * 1500);
-        
-        const drop = this.audioContext.createBufferSource();
-        drop.buffer = noiseBuffer;
-        
-        drop.connect(dropFilter);
-        dropFilter.connect(dropGain);
-        dropGain.connect(this.masterGain);
-        
-        drop.start();
-        drop.stop(this.audioContext.currentTime + 0.05 + (Math.random() * 0.1));
-      }
-    }, 200);
-    
-    // Store active sound nodes and interval
-    this.activeSounds['rain'] = [rainBase, rainFilter, compressor, rainGain, raindropScheduler];
+      const moveTo = (e) => {
+        const rect = room.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = ((e.clientY - rect.top) / rect.height) * 2 - 1;
+        this.soundMachine.setChannelPosition(soundType, x, y);
+      };
+      
+      // Drag with mouse, pen or touch
+      marker.addEventListener('pointerdown', (e) => {
+        marker.setPointerCapture(e.pointerId);
+        marker.classList.add('dragging');
+      });
+      marker.addEventListener('pointermove', (e) => {
+        if (marker.hasPointerCapture(e.pointerId)) {
+          moveTo(e);
+        }
+      });
+      marker.addEventListener('pointerup', () => {
+        marker.classList.remove('dragging');
+      });
+      
+      // Nudge with the arrow keys
+      const steps = { ArrowLeft: [-0.1, 0], ArrowRight: [0.1, 0], ArrowUp: [0, -0.1], ArrowDown: [0, 0.1] };
+      marker.addEventListener('keydown', (e) => {
+        if (steps[e.key]) {
+          e.preventDefault();
+          this.soundMachine.setChannelPosition(soundType, settings.positionX + steps[e.key][0], settings.positionY + steps[e.key][1]);
+        }
+      });
+      
+      this.placeSpatialMarker(marker, settings);
+      room.appendChild(marker);
+    });
   }
   
   /**
-   * Generate snow/gentle breeze sound
+   * Put a room marker at its channel's position
+   * @param {HTMLElement} marker - Marker of the channel
+   * @param {{positionX: number, positionY: number}} settings - Channel settings
    */
-  playSnow() {
-    // Create noise for snow base (very soft white noise)
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    for (let i = 0; i < bufferSize; i++) {
-      // Gentle, filtered noise
-      output[i] = (Math.random() * 2 - 1) * 0.35; // Lower amplitude
-    }
-    
-    const snowBase = this.audioContext.createBufferSource();
-    snowBase.buffer = noiseBuffer;
-    snowBase.loop = true;
-    
-    // Create filter for snow sound (gentle high frequencies)
-    const snowFilter = this.audioContext.createBiquadFilter();
-    snowFilter.type = 'highpass';
-    snowFilter.frequency.value = 1500;
-    
-    // Add another filter to shape the sound
-    const secondFilter = this.audioContext.createBiquadFilter();
-    secondFilter.type = 'lowpass';
-    secondFilter.frequency.value = 7500;
-    
-    // Create gain node for gentle volume
-    const snowGain = this.audioContext.createGain();
-    snowGain.gain.value = 0.2;
-    
-    // Create LFO for subtle wind effect
-    const windLFO = this.audioContext.createOscillator();
-    windLFO.type = 'sine';
-    windLFO.frequency.value = 0.05; // Very slow modulation
-    
-    const windLFOGain = this.audioContext.createGain();
-    windLFOGain.gain.value = 0.05; // Subtle effect
-    
-    // Connect wind LFO to the main gain
-    windLFO.connect(windLFOGain);
-    windLFOGain.connect(snowGain.gain);
-    
-    // Connect snow nodes
-    snowBase.connect(snowFilter);
-    snowFilter.connect(secondFilter);
-    secondFilter.connect(snowGain);
-    snowGain.connect(this.masterGain);
-    
-    // Start snow sound and wind LFO
-    snowBase.start();
-    windLFO.start();
-    
-    // Store active sound nodes
-    this.activeSounds['snow'] = [snowBase, snowFilter, secondFilter, snowGain, windLFO, windLFOGain];
+  placeSpatialMarker(marker, settings) {
+    marker.style.left = `${(settings.positionX + 1) * 50}%`;
+    marker.style.top = `${(settings.positionY + 1) * 50}%`;
   }
   
+  // -------------------- Sound Parameter Methods --------------------
+  
   /**
-   * Generate forest sounds with birds and wind
+   * Show the parameter controls of the playing sounds and sync them with their values
    */
-  playForest() {
-    // Create noise for forest background (gentle breeze)
-    const bufferSize = 2 * this.audioContext.sampleRate;
-    const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = noiseBuffer.getChannelData(0);
-    
-    for (let i = 0; i < bufferSize; i++) {
-      output[i] = (Math.random() * 2 - 1) * 0.15; // Quiet background
+  renderSoundSettings() {
+    const panel = this.document.getElementById('sound-settings');
+    if (!panel) {
+      return;
     }
     
-    const forestBase = this.audioContext.createBufferSource();
-    forestBase.buffer = noiseBuffer;
-    forestBase.loop = true;
-    
-    // Create filter for forest background
-    const forestFilter = this.audioContext.createBiquadFilter();
-    forestFilter.type = 'bandpass';
-    forestFilter.frequency.value = 800;
-    forestFilter.Q.value = 0.5;
-    
-    // Create gain node for forest background
-    const forestGain = this.audioContext.createGain();
-    forestGain.gain.value = 0.2;
-    
-    // Connect forest background nodes
-    forestBase.connect(forestFilter);
-    forestFilter.connect(forestGain);
-    forestGain.connect(this.masterGain);
-    
-    // Start forest background
-    forestBase.start();
+    let anyVisible = false;
+    panel.querySelectorAll('.sound-settings-group').forEach(group => {
+      const soundType = group.getAttribute('data-sound-type');
+      const visible = Boolean(this.soundMachine.activeSounds[soundType]);
+      group.classList.toggle('d-none', !visible);
+      anyVisible = anyVisible || visible;
+    });
+    panel.classList.toggle('d-none', !anyVisible);
     
-    // Create bird chirping effect at random intervals
-    const birdScheduler = setInterval(() => {
-      if (!this.activeSounds['forest']) {
-        clearInterval(birdScheduler);
-        return;
-      }
+    panel.querySelectorAll('.sound-param').forEach(input => {
+      const params = this.soundMachine.getSoundParams(input.getAttribute('data-sound-type'));
+      const value = params[input.getAttribute('data-param')];
       
-      if (Math.random() > 0.7) { // 30% chance of bird chirp
-        this.createBirdChirp();
-      }
-    }, 2000); // Check every 2 seconds
-    
-    // Create gentle wind rustling at random intervals
-    const windScheduler = setInterval(() => {
-      if (!this.activeSounds['forest']) {
-        clearInterval(windScheduler);
-        return;
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
       }
       
-      if (Math.random() > 0.8) { // 20% chance of wind rustle
-        this.createWindRustle();
+      const valueLabel = panel.querySelector(`.param-value[data-for="${input.id}"]`);
+      if (valueLabel) {
+        const unit = input.getAttribute('data-unit');
+        if (unit === '%') {
+          valueLabel.textContent = `${Math.round(value * 100)}%`;
+        } else {
+          const sign = input.hasAttribute('data-signed') && value > 0 ? '+' : '';
+          valueLabel.textContent = `${sign}${value} ${unit}`;
+        }
       }
-    }, 3000); // Check every 3 seconds
-    
-    // Store active sound nodes and intervals
-    this.activeSounds['forest'] = [forestBase, forestFilter, forestGain, birdScheduler, windScheduler];
+    });
   }
   
   /**
-   * Helper method to create bird chirp sounds for forest
+   * Fill the option lists of the select parameters
+   * Options given as a function (such as the lullaby melodies) are read again on every call.
    */
-  createBirdChirp() {
-    // Create oscillator for bird chirp
-    const birdOsc = this.audioContext.createOscillator();
-    birdOsc.type = 'sine';
-    
-    // Randomize the starting frequency (different birds)
-    const baseFreq = 2000 + (Math.random() * 2000);
-    birdOsc.frequency.value = baseFreq;
-    
-    // Create gain node for bird chirp
-    const birdGain = this.audioContext.createGain();
-    birdGain.gain.value = 0;
-    
-    // Connect bird nodes
-    birdOsc.connect(birdGain);
-    birdGain.connect(this.masterGain);
-    
-    // Generate the chirp pattern (frequency and amplitude modulation)
-    const startTime = this.audioContext.currentTime;
-    const chirpDuration = 0.1 + (Math.random() * 0.2);
-    
-    // Ramp up then down for the chirp
-    birdGain.gain.setValueAtTime(0, startTime);
-    birdGain.gain.linearRampToValueAtTime(0.05 + (Math.random() * 0.1), startTime + 0.05);
-    birdGain.gain.linearRampToValueAtTime(0, startTime + chirpDuration);
-    
-    // Modulate frequency for realistic chirp
-    birdOsc.frequency.setValueAtTime(baseFreq, startTime);
-    birdOsc.frequency.linearRampToValueAtTime(baseFreq + 500, startTime + 0.05);
-    birdOsc.frequency.linearRampToValueAtTime(baseFreq - 300, startTime + chirpDuration);
-    
-    // Start and stop the chirp
-    birdOsc.start(startTime);
-    birdOsc.stop(startTime + chirpDuration + 0.05);
-    
-    // Double chirp effect (common in many birds)
-    if (Math.random() > 0.5) {
-      const secondChirp = this.audioContext.createOscillator();
-      secondChirp.type = 'sine';
-      secondChirp.frequency.value = baseFreq + 200;
-      
-      const secondGain = this.audioContext.createGain();
-      secondGain.gain.value = 0;
-      
-      secondChirp.connect(secondGain);
-      secondGain.connect(this.masterGain);
+  renderParamOptions() {
+    this.document.querySelectorAll('select.sound-param').forEach(select => {
+      const soundType = select.getAttribute('data-sound-type');
+      const param = select.getAttribute('data-param');
+      const schema = SOUND_MODULES[soundType].params[param];
+      const options = typeof schema.options === 'function' ? schema.options() : schema.options;
       
-      const secondStartTime = startTime + chirpDuration + 0.08;
-      const secondDuration = 0.1 + (Math.random() * 0.15);
-      
-      secondGain.gain.setValueAtTime(0, secondStartTime);
-      secondGain.gain.linearRampToValueAtTime(0.05 + (Math.random() * 0.1), secondStartTime + 0.05);
-      secondGain.gain.linearRampToValueAtTime(0, secondStartTime + secondDuration);
-      
-      secondChirp.frequency.setValueAtTime(baseFreq + 200, secondStartTime);
-      secondChirp.frequency.linearRampToValueAtTime(baseFreq + 700, secondStartTime + 0.05);
-      secondChirp.frequency.linearRampToValueAtTime(baseFreq, secondStartTime + secondDuration);
+      select.innerHTML = '';
+      options.forEach(({ value, label }) => {
+        const option = this.document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
       
-      secondChirp.start(secondStartTime);
-      secondChirp.stop(secondStartTime + secondDuration + 0.05);
-    }
-  }
-  
-  /**
-   * Helper method to create wind rustling sounds for forest
-   */
-  createWindRustle() {
-    // Create noise for wind rustle
-    const bufferSize = this.audioContext.sampleRate / 2; // 0.5 seconds
-    const rustleBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-    const output = rustleBuffer.getChannelData(0);
-    
-    for (let i = 0; i < bufferSize; i++) {
-      output[i] = (Math.random() * 2 - 1) * 0.3;
-    }
-    
-    const rustleNoise = this.audioContext.createBufferSource();
-    rustleNoise.buffer = rustleBuffer;
-    
-    // Create filter for wind rustle
-    const rustleFilter = this.audioContext.createBiquadFilter();
-    rustleFilter.type = 'bandpass';
-    rustleFilter.frequency.value = 800 + (Math.random() * 1200);
-    rustleFilter.Q.value = 1;
-    
-    // Create gain node for wind rustle
-    const rustleGain = this.audioContext.createGain();
-    rustleGain.gain.value = 0;
-    
-    // Connect wind rustle nodes
-    rustleNoise.connect(rustleFilter);
-    rustleFilter.connect(rustleGain);
-    rustleGain.connect(this.masterGain);
-    
-    // Create the wind rustle effect
-    const startTime = this.audioContext.currentTime;
-    const rustleDuration = 1 + (Math.random() * 2);
-    
-    // Fade in and out for natural sound
-    rustleGain.gain.setValueAtTime(0, startTime);
-    rustleGain.gain.linearRampToValueAtTime(0.1 + (Math.random() * 0.1), startTime + (rustleDuration * 0.3));
-    rustleGain.gain.linearRampToValueAtTime(0, startTime + rustleDuration);
-    
-    // Start and stop the rustle
-    rustleNoise.start(startTime);
-    rustleNoise.stop(startTime + rustleDuration);
+      // A melody from another device's preset or link isn't in the list; show the default that plays instead
+      const value = this.soundMachine.getSoundParams(soundType)[param];
+      select.value = options.some(option => option.value === value) ? value : schema.default;
+    });
   }
-} 
\ No newline at end of file
+}
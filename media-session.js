@@ -0,0 +1,316 @@
+/**
+ * Wombcore 3000 - Media Session
+ * Shows what is playing on the lock screen and in the system media controls,
+ * and maps their buttons onto the sound machine: play and pause resume and
+ * fade the sound, stop ends it, and next/previous step through the sounds
+ * and then the saved presets. While the sleep timer runs, its countdown is
+ * shown as the track position.
+ */
+
+// Artist shown for every sound
+const MEDIA_ARTIST = 'Wombcore 3000';
+
+// Size (px) of the artwork drawn from a sound's icon
+const MEDIA_ARTWORK_SIZE = 512;
+
+class MediaSessionManager {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine to control
+   * @param {PresetManager} presetManager - Saved presets to step through
+   */
+  constructor(soundMachine, presetManager) {
+    this.soundMachine = soundMachine;
+    this.presetManager = presetManager;
+    
+    // Preset last started from the media controls, shown as the title while it plays
+    this.currentPreset = null;
+    
+    // What was playing when paused: the sounds, whether they were a combo, and the timer left (minutes)
+    this.pausedPlayback = null;
+    
+    // Artwork drawn per icon, so it is only drawn once
+    this.artworkCache = {};
+  }
+  
+  /**
+   * Register the media control handlers
+   */
+  init() {
+    if (!('mediaSession' in navigator)) {
+      return;
+    }
+    
+    const handlers = {
+      play: () => this.play(),
+      pause: () => this.pause(),
+      stop: () => this.stop(),
+      nexttrack: () => this.skip(1),
+      previoustrack: () => this.skip(-1)
+    };
+    
+    Object.keys(handlers).forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handlers[action]);
+      } catch (error) {
+        // Browsers throw for actions they don't support, e.g. "stop" on older Safari
+        console.warn(`Media Session action "${action}" is not supported:`, error.message);
+      }
+    });
+    
+    // Follow everything that starts, stops or changes the timer, whoever did it
+    this.soundMachine.on('statechange', () => this.update());
+    this.update();
+  }
+  
+  // -------------------- Actions --------------------
+  
+  /**
+   * Resume what was paused, or the last sound if nothing was
+   */
+  play() {
+    const soundMachine = this.soundMachine;
+    if (Object.keys(soundMachine.activeSounds).length > 0) {
+      return;
+    }
+    
+    const paused = this.pausedPlayback;
+    this.pausedPlayback = null;
+    
+    if (paused && paused.combo) {
+      soundMachine.playCombo(paused.sounds);
+    } else {
+      const soundType = paused ? paused.sounds[0] : soundMachine.currentSound || soundMachine.getVisibleSoundTypes()[0];
+      this.playSound(soundType);
+    }
+    
+    if (paused && paused.timerMinutes > 0) {
+      soundMachine.setTimer(paused.timerMinutes);
+    }
+  }
+  
+  /**
+   * Fade out what is playing, remembering it for play
+   */
+  pause() {
+    const soundMachine = this.soundMachine;
+    const sounds = Object.keys(soundMachine.activeSounds);
+    if (sounds.length === 0) {
+      return;
+    }
+    
+    const timerLeft = soundMachine.timerMinutes > 0 ? soundMachine.timerEndTime - soundMachine.audioContext.currentTime : 0;
+    const pausedPlayback = {
+      sounds: sounds,
+      combo: Object.values(soundMachine.comboSounds).some(selected => selected),
+      timerMinutes: Math.max(0, timerLeft / 60)
+    };
+    
+    // Remember it only once everything has stopped, as updates while sounds play drop it
+    this.stopSounds();
+    this.pausedPlayback = pausedPlayback;
+    this.update();
+  }
+  
+  /**
+   * Stop everything and forget what was paused
+   */
+  stop() {
+    this.pausedPlayback = null;
+    this.stopSounds();
+    this.update();
+  }
+  
+  /**
+   * Step through the sounds and then the saved presets
+   * @param {number} direction - 1 for the next one, -1 for the previous one
+   */
+  skip(direction) {
+    const tracks = this.getTracks();
+    const index = this.getCurrentTrackIndex(tracks);
+    
+    // From nothing, next starts at the first track and previous at the last
+    const start = index === -1 ? (direction > 0 ? -1 : 0) : index;
+    const track = tracks[(start + direction + tracks.length) % tracks.length];
+    
+    this.pausedPlayback = null;
+    if (track.type === 'preset') {
+      this.presetManager.applyPreset(track.name);
+      this.currentPreset = track.name;
+      this.update();
+    } else {
+      this.playSound(track.name);
+    }
+  }
+  
+  /**
+   * Crossfade to a single sound, as clicking its tile does
+   * @param {string} soundType - Sound to play
+   */
+  playSound(soundType) {
+    if (!this.soundMachine.activeSounds[soundType]) {
+      this.soundMachine.crossfadeTo(soundType);
+    }
+  }
+  
+  /**
+   * Fade out every sound
+   */
+  stopSounds() {
+    this.soundMachine.stopAll();
+  }
+  
+  /**
+   * List what next and previous step through
+   * @returns {Array<Object>} Tracks with a type ('sound' or 'preset') and a name
+   */
+  getTracks() {
+    const sounds = this.soundMachine.getVisibleSoundTypes().map(soundType => ({ type: 'sound', name: soundType }));
+    const presets = Object.keys(this.presetManager.presets)
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ type: 'preset', name: name }));
+    return sounds.concat(presets);
+  }
+  
+  /**
+   * Find the track that is playing
+   * @param {Array<Object>} tracks - Tracks as returned by getTracks()
+   * @returns {number} Index of the track, or -1 if none of them is playing
+   */
+  getCurrentTrackIndex(tracks) {
+    const preset = this.getPlayingPreset();
+    if (preset) {
+      return tracks.findIndex(track => track.type === 'preset' && track.name === preset);
+    }
+    return tracks.findIndex(track => track.type === 'sound' && track.name === this.soundMachine.currentSound);
+  }
+  
+  /**
+   * Tell whether the preset last started from the media controls is still what plays
+   * @returns {?string} Name of the preset, or null once something else has been started
+   */
+  getPlayingPreset() {
+    const comboPlaying = Object.values(this.soundMachine.comboSounds).some(selected => selected);
+    if (!comboPlaying || !this.presetManager.presets[this.currentPreset]) {
+      this.currentPreset = null;
+    }
+    return this.currentPreset;
+  }
+  
+  // -------------------- Display --------------------
+  
+  /**
+   * Bring the metadata, playback state and timer position up to date
+   * Called on every statechange of the sound machine, e.g. when a sound starts or stops or the timer changes.
+   */
+  update() {
+    if (!('mediaSession' in navigator)) {
+      return;
+    }
+    
+    const soundMachine = this.soundMachine;
+    const playing = Object.keys(soundMachine.activeSounds);
+    
+    if (playing.length > 0) {
+      navigator.mediaSession.playbackState = 'playing';
+      this.pausedPlayback = null; // Started some other way, so there is nothing left to resume
+    } else {
+      navigator.mediaSession.playbackState = this.pausedPlayback ? 'paused' : 'none';
+    }
+    
+    const sounds = playing.length > 0 ? playing : this.pausedPlayback ? this.pausedPlayback.sounds : [];
+    if (sounds.length > 0 && typeof MediaMetadata !== 'undefined') {
+      navigator.mediaSession.metadata = this.createMetadata(sounds);
+    }
+    
+    this.updatePositionState();
+  }
+  
+  /**
+   * Describe the sounds for the media controls
+   * @param {Array<string>} sounds - Sounds that are playing
+   * @returns {MediaMetadata} Title, artist, album and artwork
+   */
+  createMetadata(sounds) {
+    const modules = sounds.map(soundType => SOUND_MODULES[soundType]).filter(Boolean);
+    const preset = this.getPlayingPreset();
+    
+    const artwork = [];
+    const drawn = this.getArtwork(modules[0].icon);
+    if (drawn) {
+      artwork.push({ src: drawn, sizes: `${MEDIA_ARTWORK_SIZE}x${MEDIA_ARTWORK_SIZE}`, type: 'image/png' });
+    }
+    artwork.push({ src: 'apple-touch-icon.png', sizes: '256x256', type: 'image/png' });
+    
+    return new MediaMetadata({
+      title: preset || modules.map(module => module.label).join(' + '),
+      artist: MEDIA_ARTIST,
+      album: modules.length > 1 ? 'Combo' : modules[0].techLabel,
+      artwork: artwork
+    });
+  }
+  
+  /**
+   * Draw a sound's icon as square artwork on the app's background
+   * @param {string} icon - Emoji of the sound tile
+   * @returns {?string} PNG data URL, or null where canvas drawing is unavailable
+   */
+  getArtwork(icon) {
+    if (icon in this.artworkCache) {
+      return this.artworkCache[icon];
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = MEDIA_ARTWORK_SIZE;
+    canvas.height = MEDIA_ARTWORK_SIZE;
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    
+    let artwork = null;
+    if (ctx) {
+      const background = ctx.createLinearGradient(0, 0, MEDIA_ARTWORK_SIZE, MEDIA_ARTWORK_SIZE);
+      background.addColorStop(0, '#171757');
+      background.addColorStop(0.6, '#3b296b');
+      background.addColorStop(1, '#5e3b8b');
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, MEDIA_ARTWORK_SIZE, MEDIA_ARTWORK_SIZE);
+      
+      ctx.font = `${MEDIA_ARTWORK_SIZE * 0.6}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(icon, MEDIA_ARTWORK_SIZE / 2, MEDIA_ARTWORK_SIZE * 0.54);
+      
+      artwork = canvas.toDataURL('image/png');
+    }
+    
+    this.artworkCache[icon] = artwork;
+    return artwork;
+  }
+  
+  /**
+   * Show the sleep timer as the track: its length as the duration and the time gone as the position
+   */
+  updatePositionState() {
+    if (!navigator.mediaSession.setPositionState) {
+      return;
+    }
+    
+    const soundMachine = this.soundMachine;
+    const playing = Object.keys(soundMachine.activeSounds).length > 0;
+    
+    try {
+      if (playing && soundMachine.timerMinutes > 0) {
+        const duration = soundMachine.timerDuration / 1000;
+        const remaining = soundMachine.timerEndTime - soundMachine.audioContext.currentTime;
+        navigator.mediaSession.setPositionState({
+          duration: duration,
+          playbackRate: 1,
+          position: Math.min(duration, Math.max(0, duration - remaining))
+        });
+      } else {
+        // No timer, no position: an endless sound has no progress to show
+        navigator.mediaSession.setPositionState();
+      }
+    } catch (error) {
+      console.warn('Could not update the Media Session position:', error.message);
+    }
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * Wombcore 3000 - Custom Melodies
+ * Imports tunes for the lullaby sequencer from Standard MIDI Files or a
+ * compact text notation, and keeps them in localStorage next to the
+ * built-in lullabies.
+ *
+ * Text notation: whitespace separated NOTE:BEATS tokens, e.g. "G4:1 E4:1 C4:2".
+ * BEATS may be a decimal or a fraction ("1/2") and defaults to 1. "R" is a rest,
+ * a trailing "~" ties a note into the next one of the same pitch, and "|" bar
+ * lines are ignored.
+ */
+
+// localStorage key for imported melodies
+const CUSTOM_MELODY_STORAGE_KEY = 'wombcore-melodies';
+
+// Prefix of the LULLABIES keys of imported melodies
+const CUSTOM_MELODY_PREFIX = 'custom-';
+
+// MIDI channel 10 (index 9) is reserved for drums
+const MIDI_DRUM_CHANNEL = 9;
+
+// Note names used when converting MIDI note numbers
+const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Error raised when a melody cannot be imported
+ */
+class MelodyImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MelodyImportError';
+  }
+}
+
+class MelodyImporter {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine whose lullaby plays the melodies
+   * @param {SoundMachineUI} soundMachineUI - Page controls that list the melodies to choose from
+   */
+  constructor(soundMachine, soundMachineUI) {
+    this.soundMachine = soundMachine;
+    this.soundMachineUI = soundMachineUI;
+  }
+  
+  /**
+   * Add stored melodies to the library and set up the import controls
+   */
+  init() {
+    this.loadMelodies().forEach(melody => {
+      LULLABIES[melody.id] = { name: melody.name, notes: melody.notes };
+    });
+    this.soundMachineUI.renderParamOptions();
+    
+    this.initEventListeners();
+  }
+  
+  /**
+   * Set up event listeners for the import controls
+   */
+  initEventListeners() {
+    const fileInput = document.getElementById('import-melody-file');
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      
+      const name = file.name.replace(/\.[^.]+$/, '');
+      const isText = /\.txt$/i.test(file.name) || file.type.startsWith('text/');
+      const read = isText ? file.text().then(text => this.parseText(text)) : file.arrayBuffer().then(buffer => this.parseMidi(buffer));
+      
+      read.then(notes => {
+        this.addMelody(name, notes);
+      }).catch(error => {
+        alert(`Could not import melody: ${error.message}`);
+      }).finally(() => {
+        fileInput.value = '';
+      });
+    });
+    
+    const addButton = document.getElementById('add-melody-text');
+    addButton.addEventListener('click', () => {
+      const nameInput = document.getElementById('melody-text-name');
+      const textInput = document.getElementById('melody-text');
+      const name = nameInput.value.trim() || 'My Tune';
+      
+      try {
+        this.addMelody(name, this.parseText(textInput.value));
+        nameInput.value = '';
+        textInput.value = '';
+      } catch (error) {
+        alert(`Could not add melody: ${error.message}`);
+      }
+    });
+  }
+  
+  /**
+   * Read imported melodies from localStorage
+   * @returns {Array<{id: string, name: string, notes: Array}>} Stored melodies
+   */
+  loadMelodies() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CUSTOM_MELODY_STORAGE_KEY));
+      return stored && Array.isArray(stored.melodies) ? stored.melodies : [];
+    } catch (error) {
+      console.warn('Ignoring unreadable saved melodies:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Store a melody, add it to the library and select it for the lullaby
+   * @param {string} name - Display name of the melody
+   * @param {Array<Array>} notes - [note, beats] pairs
+   * @returns {string} Library key of the melody
+   */
+  addMelody(name, notes) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tune';
+    const id = CUSTOM_MELODY_PREFIX + slug;
+    
+    const melodies = this.loadMelodies().filter(melody => melody.id !== id);
+    melodies.push({ id: id, name: name, notes: notes });
+    localStorage.setItem(CUSTOM_MELODY_STORAGE_KEY, JSON.stringify({ melodies: melodies }));
+    
+    LULLABIES[id] = { name: name, notes: notes };
+    this.soundMachineUI.renderParamOptions();
+    this.soundMachine.setSoundParam('lullaby', 'melody', id);
+    
+    return id;
+  }
+  
+  /**
+   * Parse a melody written in the text notation
+   * @param {string} text - Melody such as "G4:1 E4:1 C4:2"
+   * @returns {Array<Array>} [note, beats] pairs
+   * @throws {MelodyImportError} If a token cannot be read
+   */
+  parseText(text) {
+    const tokens = text.split(/[\s|]+/).filter(token => token !== '');
+    if (tokens.length === 0) {
+      throw new MelodyImportError('The melody is empty.');
+    }
+    
+    const notes = [];
+    let tiedNote = null;
+    
+    tokens.forEach((token, index) => {
+      const match = /^([A-Ga-g][#b]?-?\d|[Rr])(?::(\d+(?:\.\d+)?(?:\/\d+)?))?(~)?$/.exec(token);
+      if (!match) {
+        throw new MelodyImportError(`"${token}" (item ${index + 1}) is not a note like G4:1 or a rest like R:1.`);
+      }
+      
+      const note = match[1].charAt(0).toUpperCase() + match[1].slice(1);
+      if (note !== 'R' && noteToFrequency(note) === null) {
+        throw new MelodyImportError(`"${note}" (item ${index + 1}) is not a valid note.`);
+      }
+      
+      const beats = this.parseBeats(match[2] || '1');
+      if (!(beats > 0)) {
+        throw new MelodyImportError(`"${token}" (item ${index + 1}) has an invalid length.`);
+      }
+      
+      if (tiedNote) {
+        if (note !== tiedNote) {
+          throw new MelodyImportError(`The tie before "${token}" (item ${index + 1}) must continue with ${tiedNote}.`);
+        }
+        notes[notes.length - 1][1] += beats;
+      } else {
+        notes.push([note, beats]);
+      }
+      
+      tiedNote = match[3] ? note : null;
+    });
+    
+    if (tiedNote) {
+      throw new MelodyImportError('The melody ends with an unfinished tie.');
+    }
+    
+    return notes;
+  }
+  
+  /**
+   * Parse a note length written as a decimal or a fraction
+   * @param {string} value - Length such as "1", "1.5" or "1/2"
+   * @returns {number} Length in beats
+   */
+  parseBeats(value) {
+    const [numerator, denominator] = value.split('/');
+    return denominator === undefined ? parseFloat(numerator) : parseFloat(numerator) / parseFloat(denominator);
+  }
+  
+  /**
+   * Extract the melody of the first melodic track of a Standard MIDI File
+   * Chords are reduced to their highest note; the file's tempo is ignored
+   * in favour of the lullaby tempo control.
+   * @param {ArrayBuffer} buffer - Contents of a type 0 or type 1 MIDI file
+   * @returns {Array<Array>} [note, beats] pairs
+   * @throws {MelodyImportError} If the file is not a supported MIDI file
+   */
+  parseMidi(buffer) {
+    let tracks;
+    let ticksPerBeat;
+    
+    try {
+      ({ tracks, ticksPerBeat } = this.readMidiTracks(new DataView(buffer)));
+    } catch (error) {
+      if (error instanceof MelodyImportError) {
+        throw error;
+      }
+      // DataView throws a RangeError when reading past the end of the file
+      throw new MelodyImportError('The MIDI file is damaged or truncated.');
+    }
+    
+    const track = tracks.find(trackNotes => trackNotes.some(note => note.channel !== MIDI_DRUM_CHANNEL));
+    if (!track) {
+      throw new MelodyImportError('The MIDI file has no melodic notes.');
+    }
+    
+    // Keep the highest note at each onset
+    const onsets = new Map();
+    track.filter(note => note.channel !== MIDI_DRUM_CHANNEL).forEach(note => {
+      const current = onsets.get(note.start);
+      if (!current || note.pitch > current.pitch) {
+        onsets.set(note.start, note);
+      }
+    });
+    
+    const melody = Array.from(onsets.values()).sort((a, b) => a.start - b.start);
+    const toBeats = ticks => Math.round((ticks / ticksPerBeat) * 100) / 100;
+    
+    const notes = [];
+    melody.forEach((note, index) => {
+      const next = melody[index + 1];
+      const end = next ? Math.min(note.end, next.start) : note.end;
+      
+      const beats = toBeats(end - note.start);
+      if (beats > 0) {
+        notes.push([this.midiToNoteName(note.pitch), beats]);
+      }
+      
+      // Fill the silence before the next note with a rest
+      const rest = next ? toBeats(next.start - end) : 0;
+      if (rest > 0) {
+        notes.push(['R', rest]);
+      }
+    });
+    
+    if (notes.length === 0) {
+      throw new MelodyImportError('The MIDI file has no melodic notes.');
+    }
+    
+    return notes;
+  }
+  
+  /**
+   * Read the notes of every track of a Standard MIDI File
+   * @param {DataView} data - File contents
+   * @returns {{tracks: Array<Array<{pitch: number, channel: number, start: number, end: number}>>, ticksPerBeat: number}} Notes per track and the timing resolution
+   * @throws {MelodyImportError} If the file is not a supported MIDI file
+   */
+  readMidiTracks(data) {
+    let pos = 0;
+    
+    const readString = length => {
+      let value = '';
+      for (let i = 0; i < length; i++) {
+        value += String.fromCharCode(data.getUint8(pos++));
+      }
+      return value;
+    };
+    const readUint8 = () => data.getUint8(pos++);
+    const readUint16 = () => {
+      const value = data.getUint16(pos);
+      pos += 2;
+      return value;
+    };
+    const readUint32 = () => {
+      const value = data.getUint32(pos);
+      pos += 4;
+      return value;
+    };
+    const readVarLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = readUint8();
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+    
+    if (data.byteLength < 14 || readString(4) !== 'MThd') {
+      throw new MelodyImportError('The file is not a Standard MIDI File.');
+    }
+    
+    const headerLength = readUint32();
+    const format = readUint16();
+    const trackCount = readUint16();
+    const division = readUint16();
+    pos = 8 + headerLength;
+    
+    if (format > 1) {
+      throw new MelodyImportError(`MIDI format ${format} files are not supported, only types 0 and 1.`);
+    }
+    if (division & 0x8000) {
+      throw new MelodyImportError('MIDI files with SMPTE timing are not supported.');
+    }
+    
+    const tracks = [];
+    for (let t = 0; t < trackCount && pos < data.byteLength; t++) {
+      const chunkType = readString(4);
+      const chunkLength = readUint32();
+      const chunkEnd = pos + chunkLength;
+      
+      // Skip unknown chunks as the specification asks
+      if (chunkType !== 'MTrk') {
+        pos = chunkEnd;
+        t--;
+        continue;
+      }
+      
+      const notes = [];
+      const heldNotes = {};
+      let tick = 0;
+      let runningStatus = 0;
+      
+      while (pos < chunkEnd) {
+        tick += readVarLength();
+        
+        let status = data.getUint8(pos);
+        if (status & 0x80) {
+          pos++;
+        } else {
+          status = runningStatus;
+        }
+        
+        if (status === 0xff) {
+          // Meta event: type byte, then a length-prefixed payload to skip
+          readUint8();
+          const length = readVarLength();
+          pos += length;
+        } else if (status === 0xf0 || status === 0xf7) {
+          // System exclusive event
+          const length = readVarLength();
+          pos += length;
+        } else if (status & 0x80) {
+          runningStatus = status;
+          const type = status & 0xf0;
+          const channel = status & 0x0f;
+          const data1 = readUint8();
+          const data2 = (type === 0xc0 || type === 0xd0) ? 0 : readUint8();
+          const key = channel * 128 + data1;
+          
+          if (type === 0x90 && data2 > 0) {
+            heldNotes[key] = { pitch: data1, channel: channel, start: tick, end: tick };
+            notes.push(heldNotes[key]);
+          } else if ((type === 0x80 || type === 0x90) && heldNotes[key]) {
+            heldNotes[key].end = tick;
+            delete heldNotes[key];
+          }
+        } else {
+          throw new MelodyImportError('The MIDI file is damaged or truncated.');
+        }
+      }
+      
+      pos = chunkEnd;
+      tracks.push(notes);
+    }
+    
+    return { tracks: tracks, ticksPerBeat: division };
+  }
+  
+  /**
+   * Convert a MIDI note number to a note name
+   * @param {number} pitch - MIDI note number (60 is middle C)
+   * @returns {string} Note name such as "C4"
+   */
+  midiToNoteName(pitch) {
+    return MIDI_NOTE_NAMES[pitch % 12] + (Math.floor(pitch / 12) - 1);
+  }
+}
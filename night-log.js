@@ -0,0 +1,561 @@
+/**
+ * Wombcore 3000 - Night Log
+ * Keeps a local history of playback sessions and wake-ups heard by the
+ * nursery monitor in IndexedDB, shows them as a nightly timeline with a
+ * weekly summary, and exports everything as CSV or JSON.
+ *
+ * A session runs from the first sound starting until the last one stops.
+ * Nights run from noon to noon, so a late bedtime and the early hours
+ * after it count as the same night.
+ */
+
+// IndexedDB database holding the log
+const NIGHT_LOG_DB_NAME = 'wombcore-night-log';
+const NIGHT_LOG_DB_VERSION = 1;
+
+// Identifies exported log documents
+const NIGHT_LOG_FORMAT_NAME = 'wombcore-night-log';
+const NIGHT_LOG_FORMAT_VERSION = 1;
+
+// How long (ms) after the last sound stops before the session ends, so switching sounds doesn't split it
+const NIGHT_LOG_GRACE_TIME = 5000;
+
+// How often (ms) an open session is saved, so a closed tab loses at most this much
+const NIGHT_LOG_SAVE_INTERVAL = 60000;
+
+// Hour of day a night starts and ends at
+const NIGHT_START_HOUR = 12;
+
+// Number of nights in the summary
+const NIGHT_SUMMARY_NIGHTS = 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class NightLog {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine whose sessions are logged
+   */
+  constructor(soundMachine) {
+    this.soundMachine = soundMachine;
+    
+    // Logged sessions and wake-ups, oldest first
+    this.sessions = [];
+    this.wakes = [];
+    
+    // Session in progress, and the pending end of it while the grace time runs
+    this.currentSession = null;
+    this.endTimeout = null;
+    this.endReason = 'manual';
+    this.saveInterval = null;
+    
+    // What the sound machine last reported playing, and its timer (minutes)
+    this.playing = [];
+    this.timerMinutes = 0;
+    
+    // IndexedDB connection, null while opening or if storage is unavailable
+    this.db = null;
+    
+    // Start of the night shown in the timeline
+    this.shownNight = this.getNightStart(Date.now());
+  }
+  
+  /**
+   * Load the log and set up the night log panel
+   * @returns {Promise} Resolves once the stored log has been loaded
+   */
+  init() {
+    this.initEventListeners();
+    this.soundMachine.on('statechange', detail => this.handleStateChange(detail));
+    this.soundMachine.on('timerend', () => this.recordTimerEnd());
+    this.render();
+    
+    return this.openDatabase().then(db => {
+      this.db = db;
+      return Promise.all([this.readAll('sessions'), this.readAll('wakes')]);
+    }).then(([sessions, wakes]) => {
+      // Sessions still open belong to a tab that was closed mid-session
+      sessions.forEach(session => {
+        if (!session.end) {
+          session.end = session.updated;
+          session.endReason = 'closed';
+          this.store('sessions', session);
+        }
+      });
+      
+      // Keep anything logged while the database was opening
+      this.sessions = sessions.concat(this.sessions).sort((a, b) => a.start - b.start);
+      this.wakes = wakes.concat(this.wakes).sort((a, b) => a.time - b.time);
+      this.render();
+    }).catch(error => {
+      console.warn('Night log storage unavailable, keeping this visit only:', error);
+    });
+  }
+  
+  /**
+   * Set up event listeners for the night log panel
+   */
+  initEventListeners() {
+    document.getElementById('night-prev').addEventListener('click', () => {
+      this.shownNight -= DAY_MS;
+      this.render();
+    });
+    
+    document.getElementById('night-next').addEventListener('click', () => {
+      this.shownNight = Math.min(this.getNightStart(Date.now()), this.shownNight + DAY_MS);
+      this.render();
+    });
+    
+    document.getElementById('export-log-csv').addEventListener('click', () => {
+      this.downloadFile('wombcore-night-log.csv', 'text/csv', this.exportCsv());
+    });
+    
+    document.getElementById('export-log-json').addEventListener('click', () => {
+      this.downloadFile('wombcore-night-log.json', 'application/json', this.exportJson());
+    });
+    
+    document.getElementById('clear-log').addEventListener('click', () => {
+      if (confirm('Delete the whole night log?')) {
+        this.clear();
+      }
+    });
+  }
+  
+  // -------------------- Recording --------------------
+  
+  /**
+   * Follow the sound machine: sounds that started, the last one stopping, and the timer
+   * @param {{playing: Array<string>, timerMinutes: number}} detail - Detail of the statechange event
+   */
+  handleStateChange(detail) {
+    detail.playing.filter(soundType => !this.playing.includes(soundType)).forEach(soundType => {
+      this.recordPlay(soundType);
+    });
+    if (detail.playing.length === 0 && this.playing.length > 0) {
+      this.recordStop();
+    }
+    this.playing = detail.playing;
+    
+    // Volume changes come through here too, so only a new timer is saved
+    if (detail.timerMinutes !== this.timerMinutes) {
+      this.timerMinutes = detail.timerMinutes;
+      this.recordTimer(detail.timerMinutes);
+    }
+  }
+  
+  /**
+   * Note that a sound started playing, opening a session if none is running
+   * @param {string} soundType - Sound that started
+   */
+  recordPlay(soundType) {
+    if (this.endTimeout) {
+      // Started again within the grace time, so the session carries on
+      clearTimeout(this.endTimeout);
+      this.endTimeout = null;
+    }
+    
+    if (!this.currentSession) {
+      const now = Date.now();
+      this.currentSession = {
+        id: now,
+        start: now,
+        end: null,
+        updated: now,
+        sounds: [],
+        volume: 0,
+        timer: Math.round(this.soundMachine.timerMinutes),
+        endReason: null
+      };
+      this.sessions.push(this.currentSession);
+      this.saveInterval = setInterval(() => this.saveSession(), NIGHT_LOG_SAVE_INTERVAL);
+    }
+    
+    if (!this.currentSession.sounds.includes(soundType)) {
+      this.currentSession.sounds.push(soundType);
+    }
+    this.endReason = 'manual';
+    this.saveSession();
+  }
+  
+  /**
+   * Note that the last sound stopped; the session ends once nothing has played for the grace time
+   */
+  recordStop() {
+    if (!this.currentSession || this.endTimeout) {
+      return;
+    }
+    
+    const end = Date.now();
+    this.endTimeout = setTimeout(() => {
+      this.endTimeout = null;
+      this.endSession(end);
+    }, NIGHT_LOG_GRACE_TIME);
+  }
+  
+  /**
+   * Note the sleep timer of the current session
+   * @param {number} minutes - Timer length in minutes, 0 for no timer
+   */
+  recordTimer(minutes) {
+    if (this.currentSession && minutes > 0) {
+      this.currentSession.timer = Math.round(minutes);
+      this.saveSession();
+    }
+  }
+  
+  /**
+   * Note that the sleep timer ran out, which ends the session unless a sound starts again
+   */
+  recordTimerEnd() {
+    this.endReason = 'timer';
+  }
+  
+  /**
+   * Note a wake-up heard by the nursery monitor
+   * @param {Date} time - When the baby stirred
+   */
+  recordWake(time) {
+    const wake = { id: time.getTime(), time: time.getTime() };
+    this.wakes.push(wake);
+    this.store('wakes', wake);
+    this.render();
+  }
+  
+  /**
+   * Close the current session
+   * @param {number} end - Time the last sound stopped
+   */
+  endSession(end) {
+    const session = this.currentSession;
+    clearInterval(this.saveInterval);
+    this.saveInterval = null;
+    
+    session.end = end;
+    session.endReason = this.endReason;
+    this.saveSession();
+    this.currentSession = null;
+  }
+  
+  /**
+   * Bring the current session up to date and store it
+   */
+  saveSession() {
+    const session = this.currentSession;
+    if (!session) {
+      return;
+    }
+    
+    session.updated = Date.now();
+    
+    // Log the loudest the sound got, e.g. after the nursery monitor turned it up
+    if (this.soundMachine.masterGain) {
+      session.volume = Math.max(session.volume, this.soundMachine.masterGain.gain.value);
+    }
+    
+    this.store('sessions', session);
+    this.render();
+  }
+  
+  // -------------------- Storage --------------------
+  
+  /**
+   * Open the log database, creating it on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported.'));
+        return;
+      }
+      
+      const request = indexedDB.open(NIGHT_LOG_DB_NAME, NIGHT_LOG_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('sessions', { keyPath: 'id' });
+        request.result.createObjectStore('wakes', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Read every record of an object store
+   * @param {string} storeName - 'sessions' or 'wakes'
+   * @returns {Promise<Array<Object>>} Stored records
+   */
+  readAll(storeName) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(storeName).objectStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Write a record, replacing any with the same id
+   * Records made before the database is open are written when it finishes loading.
+   * @param {string} storeName - 'sessions' or 'wakes'
+   * @param {Object} record - Record to write
+   */
+  store(storeName, record) {
+    if (!this.db) {
+      return;
+    }
+    
+    const transaction = this.db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(Object.assign({}, record));
+    transaction.onerror = () => {
+      console.warn('Could not save to the night log:', transaction.error);
+    };
+  }
+  
+  /**
+   * Delete every logged session and wake-up, except the session in progress
+   */
+  clear() {
+    this.sessions = this.currentSession ? [this.currentSession] : [];
+    this.wakes = [];
+    
+    if (this.db) {
+      const transaction = this.db.transaction(['sessions', 'wakes'], 'readwrite');
+      transaction.objectStore('sessions').clear();
+      transaction.objectStore('wakes').clear();
+      transaction.oncomplete = () => this.saveSession();
+    }
+    this.render();
+  }
+  
+  // -------------------- Export --------------------
+  
+  /**
+   * Serialize the log as CSV, one row per session or wake-up
+   * @returns {string} CSV document
+   */
+  exportCsv() {
+    const rows = [['type', 'start', 'end', 'duration_min', 'sounds', 'volume_percent', 'timer_min', 'end_reason']];
+    
+    this.sessions.forEach(session => {
+      const end = session.end || session.updated;
+      rows.push([
+        'session',
+        this.formatDateTime(session.start),
+        session.end ? this.formatDateTime(session.end) : '',
+        Math.round((end - session.start) / 60000),
+        session.sounds.map(soundType => this.getSoundLabel(soundType)).join('; '),
+        Math.round(session.volume * 100),
+        session.timer || '',
+        session.endReason || 'playing'
+      ]);
+    });
+    
+    this.wakes.forEach(wake => {
+      rows.push(['wake', this.formatDateTime(wake.time), '', '', '', '', '', '']);
+    });
+    
+    // Quote every field so commas and quotes in sound names stay put
+    return rows.map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')).join('\r\n') + '\r\n';
+  }
+  
+  /**
+   * Serialize the log as a versioned JSON document
+   * @returns {string} JSON document
+   */
+  exportJson() {
+    return JSON.stringify({
+      format: NIGHT_LOG_FORMAT_NAME,
+      version: NIGHT_LOG_FORMAT_VERSION,
+      sessions: this.sessions.map(session => ({
+        start: new Date(session.start).toISOString(),
+        end: session.end ? new Date(session.end).toISOString() : null,
+        sounds: session.sounds,
+        volume: session.volume,
+        timer: session.timer,
+        endReason: session.endReason
+      })),
+      wakes: this.wakes.map(wake => ({ time: new Date(wake.time).toISOString() }))
+    }, null, 2);
+  }
+  
+  /**
+   * Offer text as a file download
+   * @param {string} fileName - Suggested file name
+   * @param {string} type - MIME type
+   * @param {string} text - File contents
+   */
+  downloadFile(fileName, type, text) {
+    const blob = new Blob([text], { type: type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // The click only starts the download, so leave the blob for the browser to finish reading
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  }
+  
+  // -------------------- Display --------------------
+  
+  /**
+   * Find the start of the night a moment belongs to
+   * @param {number} time - Timestamp in ms
+   * @returns {number} Timestamp of the noon the night starts at
+   */
+  getNightStart(time) {
+    const date = new Date(time);
+    if (date.getHours() < NIGHT_START_HOUR) {
+      date.setDate(date.getDate() - 1);
+    }
+    date.setHours(NIGHT_START_HOUR, 0, 0, 0);
+    return date.getTime();
+  }
+  
+  /**
+   * Add whole nights to the start of a night, allowing for daylight saving changes
+   * @param {number} nightStart - Start of a night
+   * @param {number} nights - Nights to add, may be negative
+   * @returns {number} Start of the other night
+   */
+  addNights(nightStart, nights) {
+    const date = new Date(nightStart);
+    date.setDate(date.getDate() + nights);
+    return date.getTime();
+  }
+  
+  /**
+   * Redraw the timeline and the weekly summary
+   */
+  render() {
+    this.renderTimeline();
+    this.renderSummary();
+  }
+  
+  /**
+   * Draw the sessions and wake-ups of the shown night on a noon-to-noon strip
+   */
+  renderTimeline() {
+    const nightStart = this.shownNight;
+    const nightEnd = this.addNights(nightStart, 1);
+    const span = nightEnd - nightStart;
+    
+    document.getElementById('night-date').textContent = new Date(nightStart).toLocaleDateString([], {
+      weekday: 'short', day: 'numeric', month: 'short'
+    }).toUpperCase();
+    document.getElementById('night-next').disabled = nightStart >= this.getNightStart(Date.now());
+    
+    const timeline = document.getElementById('night-timeline');
+    timeline.innerHTML = '';
+    
+    const position = time => `${((time - nightStart) / span) * 100}%`;
+    
+    this.sessions.forEach(session => {
+      const start = Math.max(session.start, nightStart);
+      const end = Math.min(session.end || Date.now(), nightEnd);
+      if (end <= start) {
+        return;
+      }
+      
+      const bar = document.createElement('div');
+      bar.className = 'night-session';
+      bar.style.left = position(start);
+      bar.style.width = `${((end - start) / span) * 100}%`;
+      bar.title = `${this.formatTime(session.start)}–${session.end ? this.formatTime(session.end) : 'now'}: ` +
+        session.sounds.map(soundType => this.getSoundLabel(soundType)).join(', ');
+      timeline.appendChild(bar);
+    });
+    
+    this.wakes.forEach(wake => {
+      if (wake.time < nightStart || wake.time >= nightEnd) {
+        return;
+      }
+      
+      const marker = document.createElement('div');
+      marker.className = 'night-wake';
+      marker.style.left = position(wake.time);
+      marker.title = `Stirred at ${this.formatTime(wake.time)}`;
+      timeline.appendChild(marker);
+    });
+  }
+  
+  /**
+   * Fill the summary table with the week up to the shown night
+   */
+  renderSummary() {
+    const body = document.querySelector('#night-summary tbody');
+    body.innerHTML = '';
+    
+    for (let i = NIGHT_SUMMARY_NIGHTS - 1; i >= 0; i--) {
+      const nightStart = this.addNights(this.shownNight, -i);
+      const nightEnd = this.addNights(nightStart, 1);
+      
+      let playedTime = 0;
+      let sessionCount = 0;
+      this.sessions.forEach(session => {
+        const start = Math.max(session.start, nightStart);
+        const end = Math.min(session.end || Date.now(), nightEnd);
+        if (end > start) {
+          playedTime += end - start;
+          sessionCount++;
+        }
+      });
+      const wakeCount = this.wakes.filter(wake => wake.time >= nightStart && wake.time < nightEnd).length;
+      
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(nightStart).toLocaleDateString([], { weekday: 'short', day: 'numeric' }).toUpperCase(),
+        this.formatDuration(playedTime),
+        sessionCount,
+        wakeCount
+      ];
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    }
+  }
+  
+  /**
+   * Look up the display name of a sound, keeping the id for sounds that are no longer installed
+   * @param {string} soundType - Sound id
+   * @returns {string} Sound name
+   */
+  getSoundLabel(soundType) {
+    return SOUND_MODULES[soundType] ? SOUND_MODULES[soundType].label : soundType;
+  }
+  
+  /**
+   * Format a timestamp as a local date and time for the CSV export, e.g. "2024-03-09 21:05"
+   * @param {number} time - Timestamp in ms
+   * @returns {string} Local date and time
+   */
+  formatDateTime(time) {
+    const date = new Date(time);
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+  
+  /**
+   * Format a timestamp as a local time of day
+   * @param {number} time - Timestamp in ms
+   * @returns {string} Time such as "21:05"
+   */
+  formatTime(time) {
+    return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  
+  /**
+   * Format a length of time in hours and minutes
+   * @param {number} duration - Duration in ms
+   * @returns {string} Duration such as "7:45"
+   */
+  formatDuration(duration) {
+    const minutes = Math.round(duration / 60000);
+    return `${Math.floor(minutes / 60)}:${(minutes % 60).toString().padStart(2, '0')}`;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Wombcore 3000 - Noise Source
+ * Continuous noise for the sound modules. Plays from the noise AudioWorklet
+ * (noise-worklet.js) where it is available, so the noise never repeats.
+ * Elsewhere, and while the worklet is still loading, it loops a long buffer
+ * whose end is crossfaded into its start so the loop has no audible seam.
+ */
+
+// URL of the noise AudioWorklet module, next to this script so it is found from pages embedding the player too;
+// wombcore.mjs runs the scripts without a current script, and passes its own URL as WOMBCORE_BASE_URL instead
+const NOISE_WORKLET_BASE_URL = typeof WOMBCORE_BASE_URL === 'string' ? WOMBCORE_BASE_URL : document.currentScript && document.currentScript.src;
+const NOISE_WORKLET_URL = NOISE_WORKLET_BASE_URL ? new URL('noise-worklet.js', NOISE_WORKLET_BASE_URL).href : 'noise-worklet.js';
+
+// Length (seconds) of the fallback noise loop
+const NOISE_BUFFER_SECONDS = 20;
+
+// Length (seconds) of the crossfade that hides the fallback loop point
+const NOISE_BUFFER_CROSSFADE = 1;
+
+// Audio contexts the noise worklet has been loaded into
+const noiseWorkletContexts = new WeakSet();
+
+// Pending or finished worklet loads, keyed by audio context
+const noiseWorkletLoads = new WeakMap();
+
+/**
+ * Load the noise worklet into an audio context
+ * Noise sources created before the load finishes use the buffer fallback.
+ * @param {BaseAudioContext} ctx - Audio context to load the worklet into
+ * @returns {Promise<boolean>} Resolves true if the worklet is ready, false if it is unavailable
+ */
+function loadNoiseWorklet(ctx) {
+  if (!noiseWorkletLoads.has(ctx)) {
+    let load;
+    if (!ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      load = Promise.resolve(false);
+    } else {
+      load = ctx.audioWorklet.addModule(NOISE_WORKLET_URL).then(() => {
+        noiseWorkletContexts.add(ctx);
+        return true;
+      }).catch(error => {
+        // Pages opened from file:// cannot load worklets in most browsers
+        console.warn('Noise worklet unavailable, using looped buffers:', error);
+        return false;
+      });
+    }
+    noiseWorkletLoads.set(ctx, load);
+  }
+  return noiseWorkletLoads.get(ctx);
+}
+
+/**
+ * Create a random 32-bit seed
+ * @returns {number} Seed for createNoiseSource()
+ */
+function createNoiseSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Create a playing noise source
+ * The returned node has a stop() method that releases it, whichever kind it is.
+ * @param {BaseAudioContext} ctx - Audio context to build the source on
+ * @param {Object} [options] - Noise options
+ * @param {string} [options.color] - 'white' (default), 'pink' or 'brown'
+ * @param {number} [options.seed] - Seed for reproducible noise, random if omitted
+ * @returns {AudioNode} Playing noise source
+ */
+function createNoiseSource(ctx, options = {}) {
+  const color = options.color || 'white';
+  const seed = options.seed === undefined ? createNoiseSeed() : options.seed;
+  
+  if (noiseWorkletContexts.has(ctx)) {
+    const node = new AudioWorkletNode(ctx, NOISE_PROCESSOR_NAME, {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      processorOptions: { color: color, seed: seed }
+    });
+    
+    // Let the processor finish, then detach it from the graph
+    node.stop = () => {
+      node.port.postMessage('stop');
+      node.disconnect();
+    };
+    return node;
+  }
+  
+  const source = ctx.createBufferSource();
+  source.buffer = createLoopedNoiseBuffer(ctx, color, seed);
+  source.loop = true;
+  source.start();
+  return source;
+}
+
+/**
+ * Fill a buffer with noise that loops seamlessly
+ * Extra noise is generated past the loop end and crossfaded into the start,
+ * so the samples run on from the end of the buffer into the start without a jump.
+ * @param {BaseAudioContext} ctx - Audio context to create the buffer on
+ * @param {string} color - 'white', 'pink' or 'brown'
+ * @param {number} seed - Noise seed
+ * @returns {AudioBuffer} Loopable noise buffer
+ */
+function createLoopedNoiseBuffer(ctx, color, seed) {
+  const loopLength = Math.round(NOISE_BUFFER_SECONDS * ctx.sampleRate);
+  const fadeLength = Math.round(NOISE_BUFFER_CROSSFADE * ctx.sampleRate);
+  const nextSample = createNoiseGenerator(color, seed);
+  
+  const noiseBuffer = ctx.createBuffer(1, loopLength, ctx.sampleRate);
+  const output = noiseBuffer.getChannelData(0);
+  
+  for (let i = 0; i < loopLength; i++) {
+    output[i] = nextSample();
+  }
+  
+  // Equal-power crossfade from the noise that would follow the loop end into the start
+  for (let i = 0; i < fadeLength; i++) {
+    const position = (i / fadeLength) * Math.PI / 2;
+    output[i] = output[i] * Math.sin(position) + nextSample() * Math.cos(position);
+  }
+  
+  return noiseBuffer;
+}
+
+/**
+ * Fill a short buffer with noise for one-shot sounds such as raindrops
+ * @param {BaseAudioContext} ctx - Audio context to create the buffer on
+ * @param {number} seconds - Length of the buffer
+ * @returns {AudioBuffer} Noise buffer
+ */
+function createNoiseBuffer(ctx, seconds) {
+  const bufferSize = Math.floor(seconds * ctx.sampleRate);
+  const noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+  const output = noiseBuffer.getChannelData(0);
+  const nextSample = createNoiseGenerator('white', createNoiseSeed());
+  
+  for (let i = 0; i < bufferSize; i++) {
+    output[i] = nextSample();
+  }
+  
+  return noiseBuffer;
+}
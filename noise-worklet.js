@@ -0,0 +1,116 @@
+/**
+ * Wombcore 3000 - Noise Generator
+ * Seedable white, pink and brown noise generators.
+ *
+ * This file is loaded twice: as a regular script, where noise-source.js uses
+ * the generators to fill fallback buffers, and as an AudioWorklet module,
+ * where it registers a processor that generates endless noise on the audio
+ * thread. Both paths share the same generators, so they sound the same.
+ */
+
+// Name the noise processor is registered under
+const NOISE_PROCESSOR_NAME = 'wombcore-noise';
+
+/**
+ * Create a seedable pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Returns numbers from 0 (inclusive) to 1 (exclusive)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a generator that returns one noise sample per call
+ * @param {string} color - 'white', 'pink' or 'brown'
+ * @param {number} seed - 32-bit integer seed; the same seed always gives the same noise
+ * @returns {function(): number} Returns samples from about -1 to 1
+ */
+function createNoiseGenerator(color, seed) {
+  const random = createSeededRandom(seed);
+  
+  if (color === 'pink') {
+    // Paul Kellet's pink noise filter
+    let b0, b1, b2, b3, b4, b5, b6;
+    b0 = b1 = b2 = b3 = b4 = b5 = b6 = 0.0;
+    
+    return () => {
+      const white = random() * 2 - 1;
+      
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.96900 * b2 + white * 0.1538520;
+      b3 = 0.86650 * b3 + white * 0.3104856;
+      b4 = 0.55000 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.0168980;
+      
+      const sample = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11; // Scale to suit
+      b6 = white * 0.115926;
+      return sample;
+    };
+  }
+  
+  if (color === 'brown') {
+    // Leaky integrator: runs forever without drifting, so there is no seam to hear
+    let lastOut = 0;
+    
+    return () => {
+      const white = random() * 2 - 1;
+      lastOut = (lastOut + (0.02 * white)) / 1.02;
+      return lastOut * 3.5; // Scale to suit
+    };
+  }
+  
+  return () => random() * 2 - 1;
+}
+
+// Only register the processor when running inside an AudioWorklet
+if (typeof AudioWorkletProcessor !== 'undefined') {
+  class NoiseProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {Object} options - Node options; processorOptions holds color and seed
+     */
+    constructor(options) {
+      super();
+      const processorOptions = options.processorOptions || {};
+      
+      // Sample generator for the requested color
+      this.nextSample = createNoiseGenerator(processorOptions.color, processorOptions.seed);
+      
+      // Cleared by a 'stop' message so the processor can be released
+      this.running = true;
+      
+      this.port.onmessage = (event) => {
+        if (event.data === 'stop') {
+          this.running = false;
+        }
+      };
+    }
+    
+    /**
+     * Fill the output with the next block of noise
+     * @param {Array} inputs - Unused, the processor has no inputs
+     * @param {Array<Array<Float32Array>>} outputs - Output channels to fill
+     * @returns {boolean} False once stopped
+     */
+    process(inputs, outputs) {
+      const channels = outputs[0];
+      for (let i = 0; i < channels[0].length; i++) {
+        const sample = this.nextSample();
+        channels.forEach(channel => {
+          channel[i] = sample;
+        });
+      }
+      return this.running;
+    }
+  }
+  
+  registerProcessor(NOISE_PROCESSOR_NAME, NoiseProcessor);
+}
@@ -0,0 +1,378 @@
+/**
+ * Wombcore 3000 - Presets
+ * Saves named snapshots of the sound machine state in localStorage
+ * and shares them between devices as versioned JSON documents.
+ */
+
+// Version of the preset document format, bump when the schema changes
+const PRESET_FORMAT_VERSION = 1;
+
+// Identifies exported preset documents
+const PRESET_FORMAT_NAME = 'wombcore-presets';
+
+// localStorage key for saved presets
+const PRESET_STORAGE_KEY = 'wombcore-presets';
+
+// Mixer settings a preset stores next to each sound's parameters
+const PRESET_CHANNEL_SETTINGS = ['volume', 'muted', 'solo', 'positionX', 'positionY'];
+
+/**
+ * Error raised when a preset or preset document fails validation
+ */
+class PresetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresetError';
+  }
+}
+
+class PresetManager {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine to capture and restore
+   */
+  constructor(soundMachine) {
+    this.soundMachine = soundMachine;
+    
+    // Saved presets keyed by name
+    this.presets = {};
+  }
+  
+  /**
+   * Load saved presets and set up the preset panel
+   */
+  init() {
+    this.presets = this.loadPresets();
+    this.initEventListeners();
+    this.renderPresets();
+  }
+  
+  /**
+   * Set up event listeners for the preset panel
+   */
+  initEventListeners() {
+    const saveButton = document.getElementById('save-preset');
+    saveButton.addEventListener('click', () => {
+      const nameInput = document.getElementById('preset-name');
+      const name = nameInput.value.trim();
+      
+      if (!name) {
+        alert('Please enter a name for the preset.');
+        return;
+      }
+      
+      this.savePreset(name);
+      nameInput.value = '';
+    });
+    
+    const exportButton = document.getElementById('export-presets');
+    exportButton.addEventListener('click', () => {
+      this.downloadPresets();
+    });
+    
+    const importInput = document.getElementById('import-presets');
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      if (!file) {
+        return;
+      }
+      
+      file.text().then(text => {
+        const count = this.importPresets(text);
+        alert(`Imported ${count} preset${count === 1 ? '' : 's'}.`);
+      }).catch(error => {
+        alert(`Could not import presets: ${error.message}`);
+      }).finally(() => {
+        importInput.value = '';
+      });
+    });
+  }
+  
+  /**
+   * Read saved presets from localStorage, skipping any that no longer validate
+   * @returns {Object} Presets keyed by name
+   */
+  loadPresets() {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY));
+    } catch (error) {
+      console.warn('Ignoring unreadable saved presets:', error);
+      return {};
+    }
+    
+    if (!stored || !Array.isArray(stored.presets)) {
+      return {};
+    }
+    
+    const presets = {};
+    stored.presets.forEach(preset => {
+      try {
+        this.validatePreset(preset);
+        presets[preset.name] = preset;
+      } catch (error) {
+        console.warn('Ignoring invalid saved preset:', error.message);
+      }
+    });
+    return presets;
+  }
+  
+  /**
+   * Write all presets to localStorage
+   */
+  storePresets() {
+    localStorage.setItem(PRESET_STORAGE_KEY, this.exportPresets());
+  }
+  
+  /**
+   * Save the current sound machine state under a name
+   * @param {string} name - Name of the preset, replaces any preset with the same name
+   */
+  savePreset(name) {
+    const preset = Object.assign({ name: name }, this.soundMachine.getState());
+    this.validatePreset(preset);
+    
+    this.presets[name] = preset;
+    this.storePresets();
+    this.renderPresets();
+  }
+  
+  /**
+   * Restore a saved preset
+   * @param {string} name - Name of the preset
+   */
+  applyPreset(name) {
+    const preset = this.presets[name];
+    if (preset) {
+      this.soundMachine.applyState(preset);
+    }
+  }
+  
+  /**
+   * Delete a saved preset
+   * @param {string} name - Name of the preset
+   */
+  deletePreset(name) {
+    delete this.presets[name];
+    this.storePresets();
+    this.renderPresets();
+  }
+  
+  /**
+   * Serialize all presets as a versioned JSON document
+   * @returns {string} JSON document
+   */
+  exportPresets() {
+    return JSON.stringify({
+      format: PRESET_FORMAT_NAME,
+      version: PRESET_FORMAT_VERSION,
+      presets: Object.values(this.presets)
+    }, null, 2);
+  }
+  
+  /**
+   * Offer the exported presets as a file download
+   */
+  downloadPresets() {
+    const blob = new Blob([this.exportPresets()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'wombcore-presets.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Revoking right after the click can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  }
+  
+  /**
+   * Add the presets from an exported JSON document, replacing presets with the same name
+   * @param {string} text - JSON document as produced by exportPresets()
+   * @returns {number} Number of presets imported
+   * @throws {PresetError} If the document is malformed or from a newer version
+   */
+  importPresets(text) {
+    let documentData;
+    try {
+      documentData = JSON.parse(text);
+    } catch (error) {
+      throw new PresetError('The file is not valid JSON.');
+    }
+    
+    if (!documentData || typeof documentData !== 'object' || documentData.format !== PRESET_FORMAT_NAME) {
+      throw new PresetError('The file is not a Wombcore preset export.');
+    }
+    
+    if (!Number.isInteger(documentData.version) || documentData.version < 1) {
+      throw new PresetError('The file has a missing or invalid format version.');
+    }
+    
+    if (documentData.version > PRESET_FORMAT_VERSION) {
+      throw new PresetError(`The file uses preset format v${documentData.version}, but this app only understands up to v${PRESET_FORMAT_VERSION}. Please update Wombcore and try again.`);
+    }
+    
+    if (!Array.isArray(documentData.presets)) {
+      throw new PresetError('The file does not contain a list of presets.');
+    }
+    
+    // Validate everything before importing anything
+    documentData.presets.forEach((preset, index) => {
+      try {
+        this.validatePreset(preset);
+      } catch (error) {
+        throw new PresetError(`Preset #${index + 1} is invalid: ${error.message}`);
+      }
+    });
+    
+    documentData.presets.forEach(preset => {
+      this.presets[preset.name] = preset;
+    });
+    this.storePresets();
+    this.renderPresets();
+    
+    return documentData.presets.length;
+  }
+  
+  /**
+   * Check that a preset matches the schema
+   * @param {Object} preset - Preset to check
+   * @throws {PresetError} Describing the first problem found
+   */
+  validatePreset(preset) {
+    if (!preset || typeof preset !== 'object') {
+      throw new PresetError('expected an object.');
+    }
+    
+    if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+      throw new PresetError('"name" must be a non-empty string.');
+    }
+    
+    const knownSounds = Object.keys(this.soundMachine.comboSounds);
+    if (!Array.isArray(preset.sounds)) {
+      throw new PresetError('"sounds" must be a list of sound names.');
+    }
+    preset.sounds.forEach(soundType => {
+      if (!knownSounds.includes(soundType)) {
+        throw new PresetError(`unknown sound "${soundType}".`);
+      }
+    });
+    
+    if (!preset.params || typeof preset.params !== 'object' || Array.isArray(preset.params)) {
+      throw new PresetError('"params" must be an object.');
+    }
+    Object.keys(preset.params).forEach(soundType => {
+      if (!knownSounds.includes(soundType)) {
+        throw new PresetError(`"params" has unknown sound "${soundType}".`);
+      }
+      
+      const params = preset.params[soundType];
+      if (!params || typeof params !== 'object') {
+        throw new PresetError(`"params.${soundType}" must be an object.`);
+      }
+      if ('volume' in params && !this.isLevel(params.volume)) {
+        throw new PresetError(`"params.${soundType}.volume" must be a number from 0 to 1.`);
+      }
+      ['muted', 'solo'].forEach(flag => {
+        if (flag in params && typeof params[flag] !== 'boolean') {
+          throw new PresetError(`"params.${soundType}.${flag}" must be true or false.`);
+        }
+      });
+      ['positionX', 'positionY'].forEach(axis => {
+        if (axis in params && !(typeof params[axis] === 'number' && params[axis] >= -1 && params[axis] <= 1)) {
+          throw new PresetError(`"params.${soundType}.${axis}" must be a number from -1 to 1.`);
+        }
+      });
+      
+      // Anything else is a sound parameter such as the heartbeat BPM, checked against the module's definition
+      const definitions = SOUND_MODULES[soundType].params;
+      Object.keys(params).filter(param => !PRESET_CHANNEL_SETTINGS.includes(param)).forEach(param => {
+        if (!(param in definitions)) {
+          throw new PresetError(`"params.${soundType}" has unknown setting "${param}".`);
+        }
+        if (!isSoundParamValue(definitions[param], params[param])) {
+          throw new PresetError(`"params.${soundType}.${param}" ${this.describeParamValues(definitions[param])}.`);
+        }
+      });
+    });
+    
+    if (!this.isLevel(preset.volume)) {
+      throw new PresetError('"volume" must be a number from 0 to 1.');
+    }
+    
+    if (!Number.isInteger(preset.timer) || preset.timer < 0) {
+      throw new PresetError('"timer" must be a whole number of minutes.');
+    }
+  }
+  
+  /**
+   * Describe the values a sound parameter takes, for validation errors
+   * @param {Object} definition - Parameter definition from the sound module
+   * @returns {string} E.g. "must be a number from 40 to 160"
+   */
+  describeParamValues(definition) {
+    if (definition.type === 'checkbox') {
+      return 'must be true or false';
+    }
+    if (definition.type === 'select' && typeof definition.options === 'function') {
+      return 'must be text';
+    }
+    if (definition.type === 'select') {
+      return `must be one of ${definition.options.map(option => `"${option.value}"`).join(', ')}`;
+    }
+    return `must be a number from ${definition.min} to ${definition.max}`;
+  }
+  
+  /**
+   * Check whether a value is a valid volume level
+   * @param {*} value - Value to check
+   * @returns {boolean} True for numbers from 0 to 1
+   */
+  isLevel(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+  }
+  
+  /**
+   * Build the list of saved preset buttons
+   */
+  renderPresets() {
+    const list = document.getElementById('preset-list');
+    list.innerHTML = '';
+    
+    const names = Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    
+    if (names.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'preset-empty';
+      empty.textContent = 'No saved presets yet.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    names.forEach(name => {
+      const item = document.createElement('div');
+      item.className = 'preset-item';
+      
+      const recallButton = document.createElement('button');
+      recallButton.className = 'btn timer-btn preset-btn';
+      recallButton.textContent = name;
+      recallButton.addEventListener('click', () => {
+        this.applyPreset(name);
+      });
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'btn mixer-btn preset-delete';
+      deleteButton.textContent = '×';
+      deleteButton.title = `Delete ${name}`;
+      deleteButton.addEventListener('click', () => {
+        if (confirm(`Delete preset "${name}"?`)) {
+          this.deletePreset(name);
+        }
+      });
+      
+      item.append(recallButton, deleteButton);
+      list.appendChild(item);
+    });
+  }
+}
@@ -0,0 +1,651 @@
+/**
+ * Wombcore 3000 - Routines
+ * Plays an ordered program of sounds or presets by time of day, e.g. a
+ * lullaby at 20:00 for 15 minutes, then brown noise until 06:30, then a
+ * fade out. The routine is saved in localStorage and can repeat nightly.
+ *
+ * Step boundaries are kept as wall-clock times and each one is waited for
+ * on the audio clock, which keeps running when timers are throttled in a
+ * background tab. Whenever the routine wakes up it works out which step
+ * should be playing now, so a late wake-up or a reloaded page catches up.
+ */
+
+// localStorage key for the routine
+const ROUTINE_STORAGE_KEY = 'wombcore-routine';
+
+// How often (ms) to check the wall clock, in case the audio clock is suspended
+const ROUTINE_CHECK_INTERVAL = 1000;
+
+// Routine offered before one has been saved
+const DEFAULT_ROUTINE = {
+  start: '20:00',
+  nightly: true,
+  armed: false,
+  steps: [
+    { source: 'sound', name: 'lullaby', length: 'minutes', minutes: 15, until: '06:30', transition: 'crossfade' },
+    { source: 'sound', name: 'brown-noise', length: 'until', minutes: 60, until: '06:30', transition: 'crossfade' }
+  ]
+};
+
+// Ways a step can take over from the one before it
+const ROUTINE_TRANSITIONS = {
+  crossfade: 'CROSSFADE',
+  cut: 'CUT'
+};
+
+/**
+ * Error raised when a routine fails validation
+ */
+class RoutineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RoutineError';
+  }
+}
+
+class RoutineManager {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine to drive
+   * @param {PresetManager} presetManager - Saved presets that steps can play
+   */
+  constructor(soundMachine, presetManager) {
+    this.soundMachine = soundMachine;
+    this.presetManager = presetManager;
+    
+    // Routine being edited and run
+    this.routine = null;
+    
+    // Run in progress: its step boundaries (ms timestamps), and the index and "<source>:<name>" of the step playing
+    this.run = null;
+    
+    // Wake-up for the next boundary: a silent source ending on the audio clock, and a wall clock check
+    this.clock = null;
+    this.checkInterval = null;
+  }
+  
+  /**
+   * Load the saved routine, set up the routine panel and resume an armed routine
+   */
+  init() {
+    this.routine = this.loadRoutine();
+    this.initEventListeners();
+    this.renderRoutine();
+    
+    // Picks up a routine that should already be playing, e.g. after a reload
+    this.update();
+  }
+  
+  /**
+   * Set up event listeners for the routine panel
+   */
+  initEventListeners() {
+    const startInput = document.getElementById('routine-start');
+    startInput.addEventListener('change', () => {
+      if (!this.isClockTime(startInput.value)) {
+        startInput.value = this.routine.start;
+        return;
+      }
+      this.routine.start = startInput.value;
+      this.routineChanged();
+    });
+    
+    const nightlyCheckbox = document.getElementById('routine-nightly');
+    nightlyCheckbox.addEventListener('change', () => {
+      this.routine.nightly = nightlyCheckbox.checked;
+      this.routineChanged();
+    });
+    
+    document.getElementById('routine-add').addEventListener('click', () => {
+      const lastStep = this.routine.steps[this.routine.steps.length - 1];
+      this.routine.steps.push(Object.assign({}, lastStep || DEFAULT_ROUTINE.steps[0]));
+      this.routineChanged();
+      this.renderRoutine();
+    });
+    
+    document.getElementById('routine-arm').addEventListener('click', () => {
+      if (this.routine.armed) {
+        this.disarm();
+      } else {
+        this.guard(() => this.arm());
+      }
+    });
+    
+    document.getElementById('routine-run').addEventListener('click', () => {
+      this.guard(() => this.runNow());
+    });
+    
+    document.getElementById('routine-stop').addEventListener('click', () => {
+      this.stopRun();
+      this.disarm();
+    });
+  }
+  
+  /**
+   * Run an action, telling the user if the routine isn't valid
+   * @param {Function} action - Action that may throw a RoutineError
+   */
+  guard(action) {
+    try {
+      action();
+    } catch (error) {
+      if (!(error instanceof RoutineError)) {
+        throw error;
+      }
+      alert(`Could not start the routine: ${error.message}`);
+    }
+  }
+  
+  // -------------------- Storage --------------------
+  
+  /**
+   * Read the saved routine from localStorage, falling back to the default one
+   * @returns {Object} Routine
+   */
+  loadRoutine() {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(ROUTINE_STORAGE_KEY));
+    } catch (error) {
+      console.warn('Ignoring unreadable saved routine:', error);
+    }
+    
+    if (stored) {
+      try {
+        this.validateRoutine(stored);
+        return stored;
+      } catch (error) {
+        console.warn('Ignoring invalid saved routine:', error.message);
+      }
+    }
+    return JSON.parse(JSON.stringify(DEFAULT_ROUTINE));
+  }
+  
+  /**
+   * Write the routine to localStorage
+   */
+  storeRoutine() {
+    localStorage.setItem(ROUTINE_STORAGE_KEY, JSON.stringify(this.routine));
+  }
+  
+  /**
+   * Save an edit and replan a routine that is running
+   */
+  routineChanged() {
+    this.storeRoutine();
+    
+    if (this.run) {
+      this.run.schedule = this.planSchedule(this.run.startTime);
+    }
+    this.update();
+  }
+  
+  /**
+   * Check that a routine matches the schema
+   * @param {Object} routine - Routine to check
+   * @throws {RoutineError} Describing the first problem found
+   */
+  validateRoutine(routine) {
+    if (!routine || typeof routine !== 'object') {
+      throw new RoutineError('expected an object.');
+    }
+    
+    if (!this.isClockTime(routine.start)) {
+      throw new RoutineError('the start time must be a time of day such as 20:00.');
+    }
+    
+    if (!Array.isArray(routine.steps) || routine.steps.length === 0) {
+      throw new RoutineError('add at least one step.');
+    }
+    
+    routine.steps.forEach((step, index) => {
+      const stepName = `step ${index + 1}`;
+      
+      if (!step || typeof step !== 'object') {
+        throw new RoutineError(`${stepName} must be an object.`);
+      }
+      if (!['sound', 'preset'].includes(step.source) || typeof step.name !== 'string') {
+        throw new RoutineError(`${stepName} must play a sound or a preset.`);
+      }
+      if (step.length === 'minutes') {
+        if (typeof step.minutes !== 'number' || !(step.minutes > 0)) {
+          throw new RoutineError(`${stepName} must last at least a minute.`);
+        }
+      } else if (step.length === 'until') {
+        if (!this.isClockTime(step.until)) {
+          throw new RoutineError(`${stepName} must end at a time of day such as 06:30.`);
+        }
+      } else {
+        throw new RoutineError(`${stepName} must last a number of minutes or until a time of day.`);
+      }
+      if (!(step.transition in ROUTINE_TRANSITIONS)) {
+        throw new RoutineError(`${stepName} has an unknown transition "${step.transition}".`);
+      }
+    });
+  }
+  
+  /**
+   * Check whether a value is a time of day
+   * @param {*} value - Value to check
+   * @returns {boolean} True for "HH:MM" (24-hour) strings
+   */
+  isClockTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  }
+  
+  // -------------------- Scheduling --------------------
+  
+  /**
+   * Arm the routine so it starts at its start time, now and on later nights if it repeats
+   * @throws {RoutineError} If the routine is invalid
+   */
+  arm() {
+    this.validateRoutine(this.routine);
+    
+    // Arming is a user gesture, so the audio clock can start now
+    this.soundMachine.resumeAudioContext();
+    
+    this.routine.armed = true;
+    this.storeRoutine();
+    this.update();
+  }
+  
+  /**
+   * Disarm the routine, letting a run in progress finish
+   */
+  disarm() {
+    this.routine.armed = false;
+    this.storeRoutine();
+    this.update();
+  }
+  
+  /**
+   * Start the routine from its first step right away
+   * @throws {RoutineError} If the routine is invalid
+   */
+  runNow() {
+    this.validateRoutine(this.routine);
+    this.startRun(Date.now());
+  }
+  
+  /**
+   * Begin a run of the routine
+   * @param {number} startTime - Time the first step starts (ms timestamp)
+   */
+  startRun(startTime) {
+    this.run = {
+      startTime: startTime,
+      schedule: this.planSchedule(startTime),
+      stepIndex: -1,
+      stepSource: null
+    };
+    this.update();
+  }
+  
+  /**
+   * Stop the run in progress, fading the sound out
+   */
+  stopRun() {
+    if (!this.run) {
+      return;
+    }
+    this.run = null;
+    
+    this.soundMachine.stopAll();
+  }
+  
+  /**
+   * Work out when each step starts and ends
+   * @param {number} startTime - Time the first step starts (ms timestamp)
+   * @returns {Array<Object>} Start and end (ms timestamps) of each step
+   */
+  planSchedule(startTime) {
+    let time = startTime;
+    return this.routine.steps.map(step => {
+      const start = time;
+      if (step.length === 'until') {
+        time = this.getNextClockTime(step.until, start);
+      } else {
+        time = start + step.minutes * 60 * 1000;
+      }
+      return { start: start, end: time };
+    });
+  }
+  
+  /**
+   * Find the next occurrence of a time of day
+   * @param {string} clockTime - Time of day as "HH:MM" (24-hour)
+   * @param {number} after - Time (ms timestamp) the occurrence has to come after
+   * @returns {number} Timestamp of the occurrence
+   */
+  getNextClockTime(clockTime, after) {
+    const [hours, minutes] = clockTime.split(':').map(part => parseInt(part));
+    
+    const target = new Date(after);
+    target.setHours(hours, minutes, 0, 0);
+    
+    // A time that has already passed that day means the day after
+    if (target.getTime() <= after) {
+      target.setDate(target.getDate() + 1);
+    }
+    return target.getTime();
+  }
+  
+  /**
+   * Bring playback in line with the routine and wait for the next boundary
+   * Called on every wake-up and whenever the routine or its run changes.
+   */
+  update() {
+    this.clearWake();
+    const now = Date.now();
+    
+    if (this.run && now >= this.run.schedule[this.run.schedule.length - 1].end) {
+      this.finishRun();
+    }
+    
+    // An armed routine may already be under way, e.g. when the page was reloaded mid-routine
+    if (!this.run && this.routine.armed) {
+      const lastStart = this.getNextClockTime(this.routine.start, now) - 24 * 60 * 60 * 1000;
+      const schedule = this.planSchedule(lastStart);
+      
+      if (now < schedule[schedule.length - 1].end) {
+        this.run = { startTime: lastStart, schedule: schedule, stepIndex: -1, stepSource: null };
+      } else {
+        this.scheduleWake(this.getNextClockTime(this.routine.start, now));
+      }
+    }
+    
+    if (this.run) {
+      const stepIndex = this.run.schedule.findIndex(step => now < step.end);
+      const step = this.routine.steps[stepIndex];
+      const stepSource = `${step.source}:${step.name}`;
+      
+      // The next step, or the playing one changed to another sound or preset in the editor
+      if (stepIndex !== this.run.stepIndex || stepSource !== this.run.stepSource) {
+        this.run.stepIndex = stepIndex;
+        this.run.stepSource = stepSource;
+        this.playStep(step);
+      }
+      this.scheduleWake(this.run.schedule[stepIndex].end);
+    }
+    
+    this.renderStatus();
+  }
+  
+  /**
+   * End the run once its last step is over, and keep an armed routine for another night only if it repeats
+   */
+  finishRun() {
+    this.stopRun();
+    
+    if (!this.routine.nightly) {
+      this.routine.armed = false;
+      this.storeRoutine();
+    }
+  }
+  
+  /**
+   * Wake up at a given time
+   * @param {number} time - Wake-up time (ms timestamp)
+   */
+  scheduleWake(time) {
+    const ctx = this.soundMachine.audioContext;
+    
+    // A silent source scheduled to end at the boundary fires onended on time, even in a background tab
+    this.clock = ctx.createConstantSource();
+    this.clock.onended = () => this.update();
+    this.clock.start();
+    this.clock.stop(ctx.currentTime + Math.max(0, time - Date.now()) / 1000);
+    
+    // The audio clock stands still while the context is suspended, so check the wall clock too
+    this.checkInterval = setInterval(() => {
+      if (Date.now() >= time) {
+        this.update();
+      }
+    }, ROUTINE_CHECK_INTERVAL);
+  }
+  
+  /**
+   * Cancel the pending wake-up
+   */
+  clearWake() {
+    if (this.clock) {
+      this.clock.onended = null;
+      this.clock.stop();
+      this.clock = null;
+    }
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+  
+  /**
+   * Start the sound or preset of a step, taking over from whatever plays
+   * @param {Object} step - Step of the routine
+   */
+  playStep(step) {
+    const soundMachine = this.soundMachine;
+    const fadeTime = step.transition === 'cut' ? 0 : soundMachine.crossfadeTime;
+    
+    if (step.source === 'preset') {
+      const preset = this.presetManager.presets[step.name];
+      if (!preset) {
+        console.warn('Routine step skipped, the preset no longer exists:', step.name);
+        return;
+      }
+      
+      // The step decides how long the preset plays, not the preset's own timer
+      soundMachine.applyState(Object.assign({}, preset, { timer: 0 }), fadeTime);
+      return;
+    }
+    
+    if (!SOUND_MODULES[step.name]) {
+      console.warn('Routine step skipped, unknown sound:', step.name);
+      return;
+    }
+    
+    soundMachine.crossfadeTo(step.name, fadeTime);
+  }
+  
+  // -------------------- Display --------------------
+  
+  /**
+   * Build the routine editor
+   */
+  renderRoutine() {
+    document.getElementById('routine-start').value = this.routine.start;
+    document.getElementById('routine-nightly').checked = this.routine.nightly;
+    
+    const list = document.getElementById('routine-steps');
+    list.innerHTML = '';
+    
+    this.routine.steps.forEach((step, index) => {
+      list.appendChild(this.createStepRow(step, index));
+    });
+    
+    this.renderStatus();
+  }
+  
+  /**
+   * Build the editor row of one step
+   * @param {Object} step - Step of the routine
+   * @param {number} index - Position of the step
+   * @returns {HTMLElement} Step row
+   */
+  createStepRow(step, index) {
+    const row = document.createElement('div');
+    row.className = 'routine-step';
+    
+    const number = document.createElement('span');
+    number.className = 'fade-value';
+    number.textContent = `${index + 1}`;
+    
+    // Sound or preset, as "sound:<id>" or "preset:<name>"
+    const sourceSelect = document.createElement('select');
+    sourceSelect.className = 'form-select param-select';
+    sourceSelect.setAttribute('aria-label', `Step ${index + 1} sound`);
+    this.renderSourceOptions(sourceSelect, step);
+    sourceSelect.addEventListener('focus', () => {
+      this.renderSourceOptions(sourceSelect, step);
+    });
+    sourceSelect.addEventListener('change', () => {
+      const separator = sourceSelect.value.indexOf(':');
+      step.source = sourceSelect.value.slice(0, separator);
+      step.name = sourceSelect.value.slice(separator + 1);
+      this.routineChanged();
+    });
+    
+    const lengthSelect = document.createElement('select');
+    lengthSelect.className = 'form-select param-select';
+    lengthSelect.setAttribute('aria-label', `Step ${index + 1} length`);
+    [['minutes', 'FOR'], ['until', 'UNTIL']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      lengthSelect.appendChild(option);
+    });
+    lengthSelect.value = step.length;
+    
+    const minutesInput = document.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.className = 'form-control timer-input';
+    minutesInput.min = 1;
+    minutesInput.max = 1440;
+    minutesInput.value = step.minutes;
+    minutesInput.setAttribute('aria-label', `Step ${index + 1} minutes`);
+    minutesInput.addEventListener('change', () => {
+      const minutes = parseInt(minutesInput.value);
+      if (!(minutes > 0)) {
+        minutesInput.value = step.minutes; // Keep the routine valid while it may be running
+        return;
+      }
+      step.minutes = minutes;
+      this.routineChanged();
+    });
+    
+    const untilInput = document.createElement('input');
+    untilInput.type = 'time';
+    untilInput.className = 'form-control timer-input';
+    untilInput.value = step.until;
+    untilInput.setAttribute('aria-label', `Step ${index + 1} end time`);
+    untilInput.addEventListener('change', () => {
+      if (!this.isClockTime(untilInput.value)) {
+        untilInput.value = step.until;
+        return;
+      }
+      step.until = untilInput.value;
+      this.routineChanged();
+    });
+    
+    const showLengthInput = () => {
+      minutesInput.classList.toggle('d-none', step.length !== 'minutes');
+      untilInput.classList.toggle('d-none', step.length !== 'until');
+    };
+    showLengthInput();
+    lengthSelect.addEventListener('change', () => {
+      step.length = lengthSelect.value;
+      showLengthInput();
+      this.routineChanged();
+    });
+    
+    const transitionSelect = document.createElement('select');
+    transitionSelect.className = 'form-select param-select';
+    transitionSelect.setAttribute('aria-label', `Step ${index + 1} transition`);
+    Object.keys(ROUTINE_TRANSITIONS).forEach(transition => {
+      const option = document.createElement('option');
+      option.value = transition;
+      option.textContent = ROUTINE_TRANSITIONS[transition];
+      transitionSelect.appendChild(option);
+    });
+    transitionSelect.value = step.transition;
+    transitionSelect.addEventListener('change', () => {
+      step.transition = transitionSelect.value;
+      this.routineChanged();
+    });
+    
+    const upButton = document.createElement('button');
+    upButton.className = 'btn mixer-btn';
+    upButton.textContent = '▲';
+    upButton.title = 'Move up';
+    upButton.disabled = index === 0;
+    upButton.addEventListener('click', () => {
+      const steps = this.routine.steps;
+      [steps[index - 1], steps[index]] = [steps[index], steps[index - 1]];
+      this.routineChanged();
+      this.renderRoutine();
+    });
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'btn mixer-btn';
+    deleteButton.textContent = '×';
+    deleteButton.title = 'Delete step';
+    
+    // A routine needs a step, and one saved without any would be replaced by the default on the next load
+    deleteButton.disabled = this.routine.steps.length === 1;
+    deleteButton.addEventListener('click', () => {
+      this.routine.steps.splice(index, 1);
+      this.routineChanged();
+      this.renderRoutine();
+    });
+    
+    row.append(number, sourceSelect, lengthSelect, minutesInput, untilInput, transitionSelect, upButton, deleteButton);
+    return row;
+  }
+  
+  /**
+   * Fill a step's sound picker with the sounds and saved presets
+   * @param {HTMLSelectElement} select - Picker to fill
+   * @param {Object} step - Step the picker belongs to
+   */
+  renderSourceOptions(select, step) {
+    select.innerHTML = '';
+    
+    const soundGroup = document.createElement('optgroup');
+    soundGroup.label = 'SOUNDS';
+    this.soundMachine.getVisibleSoundTypes().forEach(soundType => {
+      const option = document.createElement('option');
+      option.value = `sound:${soundType}`;
+      option.textContent = SOUND_MODULES[soundType].label;
+      soundGroup.appendChild(option);
+    });
+    select.appendChild(soundGroup);
+    
+    const presetNames = Object.keys(this.presetManager.presets).sort((a, b) => a.localeCompare(b));
+    if (step.source === 'preset' && !presetNames.includes(step.name)) {
+      presetNames.push(step.name); // Keep a deleted preset visible so the step isn't silently changed
+    }
+    if (presetNames.length > 0) {
+      const presetGroup = document.createElement('optgroup');
+      presetGroup.label = 'PRESETS';
+      presetNames.forEach(name => {
+        const option = document.createElement('option');
+        option.value = `preset:${name}`;
+        option.textContent = name;
+        presetGroup.appendChild(option);
+      });
+      select.appendChild(presetGroup);
+    }
+    
+    select.value = `${step.source}:${step.name}`;
+  }
+  
+  /**
+   * Show what the routine is doing
+   */
+  renderStatus() {
+    const status = document.getElementById('routine-status');
+    document.getElementById('routine-arm').classList.toggle('active', this.routine.armed);
+    
+    if (this.run) {
+      const index = this.run.stepIndex;
+      const step = this.routine.steps[index];
+      const name = step.source === 'sound' && SOUND_MODULES[step.name] ? SOUND_MODULES[step.name].label : step.name;
+      const end = new Date(this.run.schedule[index].end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      status.textContent = `STEP ${index + 1}/${this.routine.steps.length}: ${name.toUpperCase()} UNTIL ${end}`;
+    } else if (this.routine.armed) {
+      status.textContent = `ARMED FOR ${this.routine.start}`;
+    } else {
+      status.textContent = 'OFF';
+    }
+  }
+}
@@ -0,0 +1,1029 @@
+/**
+ * Wombcore 3000 - Sound Machine
+ * The audio engine behind the app: plays the sound modules through a mixer
+ * and the sleep timer stage, and knows nothing about the page. Anything that
+ * shows its state subscribes to its events instead:
+ *
+ *   statechange - a sound started or stopped, or the volume, timer, a sound
+ *                 parameter or a mixer setting changed; the detail holds the
+ *                 playing sounds, volume and timer minutes
+ *   timertick   - once a second while the timer runs, and when it is set; the
+ *                 detail holds the seconds remaining
+ *   timerend    - the timer ran out and everything has stopped
+ *
+ * Example:
+ *   const soundMachine = new SoundMachine();
+ *   soundMachine.init();
+ *   soundMachine.on('timertick', ({ remaining }) => console.log(remaining));
+ *   soundMachine.play('rain');
+ *   soundMachine.setTimer(30);
+ */
+
+// Level the volume settles at by the end of the timer wind-down
+const WIND_DOWN_LEVEL = 0.3;
+
+// Low-pass cutoff (Hz) the sound is muffled to by the end of the timer wind-down
+const WIND_DOWN_CUTOFF = 500;
+
+// Low-pass cutoff (Hz) while no wind-down is in progress
+const OPEN_CUTOFF = 20000;
+
+// Time (seconds) the output stage takes to open up again when a timer is restarted during its wind-down or fade
+const TIMER_RECOVERY_TIME = 2;
+
+// Distance (metres) from the listener to the walls of the room combo layers are placed in
+const SPATIAL_ROOM_SIZE = 3;
+
+// Height (metres) of every layer above the listener, so layers in the middle of the room sound overhead
+const SPATIAL_HEIGHT = 1;
+
+class SoundMachine {
+  /**
+   * @param {Object} [options] - Dependencies to use in place of the browser's, e.g. in tests
+   * @param {BaseAudioContext} [options.audioContext] - Audio context to play on, created by init() if omitted
+   */
+  constructor(options = {}) {
+    // Audio context
+    this.audioContext = options.audioContext || null;
+    
+    // Master gain node
+    this.masterGain = null;
+    
+    // Active sound nodes
+    this.activeSounds = {};
+    
+    // Per-sound channel gain nodes, inserted before the master bus
+    this.channelGains = {};
+    
+    // Per-sound mixer settings (volume, mute, solo), kept between plays
+    this.channelSettings = {};
+    
+    // Per-sound fader gain nodes, used for fades and crossfades
+    this.channelFaders = {};
+    
+    // Per-sound panner nodes that place each channel in the room
+    this.channelPanners = {};
+    
+    // Output settings: HRTF panning for headphones, and a mono downmix for single speakers
+    this.binaural = false;
+    this.mono = false;
+    
+    // Tunable parameters of each sound, read live by the generators
+    this.soundParams = {};
+    
+    // Fade settings in seconds
+    this.fadeInTime = 2;
+    this.fadeOutTime = 2;
+    this.crossfadeTime = 3;
+    this.timerFadeTime = 30;
+    
+    // Timer settings
+    this.timerDuration = 0;
+    this.timerEndTime = 0; // Audio clock time (seconds) when the timer ends
+    this.timerInterval = null;
+    this.timerClock = null;
+    this.timerStage = null; // Wind-down and fade schedule of the running timer, see scheduleTimerFades()
+    this.timerMinutes = 0;
+    this.lastTimerMinutes = 0; // Kept after the timer ends so it can be restarted
+    this.windDownMinutes = 0;
+    
+    // Store currently playing sound
+    this.currentSound = null;
+    
+    // Combo mode settings, one flag per registered sound
+    this.comboSounds = {};
+    Object.keys(SOUND_MODULES).forEach(soundType => {
+      this.comboSounds[soundType] = false;
+    });
+    
+    // Event listeners keyed by event type
+    this.listeners = {};
+  }
+  
+  /**
+   * Initialize the sound machine
+   */
+  init() {
+    if (!this.audioContext) {
+      // Create audio context (with fallback for older browsers)
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      
+      // Set options for iOS background playback
+      const audioContextOptions = {
+        latencyHint: 'playback',
+        sampleRate: 44100
+      };
+      
+      this.audioContext = new AudioContext(audioContextOptions);
+    }
+    
+    // Create master gain node
+    this.masterGain = this.audioContext.createGain();
+    this.masterGain.gain.value = 0.5; // Default volume
+    
+    // Sleep timer stage: wind-down filter and gain, then the final fade out
+    this.windDownFilter = this.audioContext.createBiquadFilter();
+    this.windDownFilter.type = 'lowpass';
+    this.windDownFilter.frequency.value = OPEN_CUTOFF;
+    
+    this.windDownGain = this.audioContext.createGain();
+    this.timerFadeGain = this.audioContext.createGain();
+    
+    this.masterGain.connect(this.windDownFilter);
+    this.windDownFilter.connect(this.windDownGain);
+    this.windDownGain.connect(this.timerFadeGain);
+    
+    // Output stage, switched to a single channel for mono playback
+    this.outputMixer = this.audioContext.createGain();
+    this.timerFadeGain.connect(this.outputMixer);
+    this.outputMixer.connect(this.audioContext.destination);
+    
+    // Start loading the noise generator; sounds use looped buffers until it is ready
+    loadNoiseWorklet(this.audioContext);
+  }
+  
+  // -------------------- Events --------------------
+  
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event type, 'statechange', 'timertick' or 'timerend'
+   * @param {function(Object)} listener - Called with the event detail
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+  }
+  
+  /**
+   * Unsubscribe from an event
+   * @param {string} type - Event type
+   * @param {function(Object)} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+  }
+  
+  /**
+   * Call every listener of an event
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail handed to the listeners
+   */
+  emit(type, detail) {
+    // Copy first, so listeners can unsubscribe while being called
+    (this.listeners[type] || []).slice().forEach(listener => listener(detail));
+  }
+  
+  /**
+   * Tell listeners what is playing now
+   */
+  emitStateChange() {
+    this.emit('statechange', {
+      playing: Object.keys(this.activeSounds),
+      volume: this.masterGain ? this.masterGain.gain.value : 0.5,
+      timerMinutes: this.timerMinutes
+    });
+  }
+  
+  // -------------------- Playback --------------------
+  
+  /**
+   * Stop a sound if it plays, or crossfade into it alone if it doesn't
+   * @param {string} soundType - Type of sound to toggle
+   */
+  toggle(soundType) {
+    if (this.activeSounds[soundType]) {
+      this.stop(soundType);
+    } else {
+      this.crossfadeTo(soundType);
+    }
+  }
+  
+  /**
+   * Crossfade out of whatever plays into a single sound
+   * @param {string} soundType - Type of sound to play
+   * @param {number} [fadeTime] - Crossfade duration in seconds, defaults to the crossfade setting
+   */
+  crossfadeTo(soundType, fadeTime = this.crossfadeTime) {
+    this.stopAll(fadeTime);
+    
+    // Set before play() reports the change, so listeners see the new sound
+    this.currentSound = soundType;
+    this.play(soundType, fadeTime);
+  }
+  
+  /**
+   * Resume the audio context (needed because of autoplay policies)
+   */
+  resumeAudioContext() {
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().then(() => {
+        console.log('AudioContext resumed successfully');
+      }).catch(error => {
+        console.error('Failed to resume AudioContext:', error);
+      });
+    }
+  }
+  
+  /**
+   * Play a specific sound, alongside anything already playing
+   * A sound that already plays is left as it is; stop it first to restart it.
+   * @param {string} soundType - Type of sound to play
+   * @param {number} [fadeTime] - Fade-in duration in seconds, defaults to the fade-in setting
+   */
+  play(soundType, fadeTime = this.fadeInTime) {
+    this.resumeAudioContext();
+    
+    // A second voice would replace the first in activeSounds, leaving it playing with nothing to stop it
+    if (this.activeSounds[soundType]) {
+      return;
+    }
+    
+    // Route the sound through its own channel so it can be mixed individually
+    const channel = this.createChannel(soundType, fadeTime);
+    
+    const voice = this.startVoice(soundType, this.audioContext, channel);
+    if (!voice) {
+      console.warn('Unknown sound type:', soundType);
+      this.removeChannel(soundType);
+      return;
+    }
+    this.activeSounds[soundType] = voice;
+    this.emitStateChange();
+  }
+  
+  /**
+   * Start a new voice of a sound module
+   * @param {string} soundType - Type of sound to start
+   * @param {BaseAudioContext} audioContext - Context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @returns {Object|null} The playing voice, or null if the sound type is unknown
+   */
+  startVoice(soundType, audioContext, destination) {
+    const voice = createSoundVoice(soundType);
+    if (voice) {
+      voice.start(audioContext, destination, this.getSoundParams(soundType));
+    }
+    return voice;
+  }
+  
+  /**
+   * Render sounds into an AudioBuffer with an OfflineAudioContext
+   * @param {Array<string>} soundTypes - Sounds to render together
+   * @param {number} duration - Length in seconds
+   * @param {function(number)} [onProgress] - Called with the rendered fraction (0 to 1)
+   * @returns {Promise<AudioBuffer>} Rendered audio
+   */
+  renderOffline(soundTypes, duration, onProgress) {
+    const sampleRate = this.audioContext.sampleRate;
+    const offlineContext = new OfflineAudioContext(1, Math.ceil(duration * sampleRate), sampleRate);
+    
+    // Continuous noise needs the worklet loaded before any voice starts
+    return loadNoiseWorklet(offlineContext).then(() => {
+      const masterGain = offlineContext.createGain();
+      masterGain.gain.value = this.masterGain.gain.value;
+      masterGain.connect(offlineContext.destination);
+      
+      const voices = [];
+      soundTypes.forEach(soundType => {
+        const channelGain = offlineContext.createGain();
+        channelGain.gain.value = this.getChannelGainValue(soundType);
+        channelGain.connect(masterGain);
+        
+        const voice = this.startVoice(soundType, offlineContext, channelGain);
+        if (voice) {
+          voices.push(voice);
+        }
+      });
+      
+      // Suspend at regular points to report progress
+      if (onProgress) {
+        const steps = 20;
+        for (let i = 1; i < steps; i++) {
+          const time = (duration * i) / steps;
+          offlineContext.suspend(time).then(() => {
+            onProgress(i / steps);
+            offlineContext.resume();
+          });
+        }
+      }
+      
+      return offlineContext.startRendering().then(buffer => {
+        voices.forEach(voice => voice.stop());
+        if (onProgress) {
+          onProgress(1);
+        }
+        return buffer;
+      });
+    });
+  }
+  
+  /**
+   * Stop a specific sound, fading it out first
+   * @param {string} soundType - Type of sound to stop
+   * @param {number} [fadeTime] - Fade-out duration in seconds, defaults to the fade-out setting
+   */
+  stop(soundType, fadeTime = this.fadeOutTime) {
+    const voice = this.activeSounds[soundType];
+    const channelGain = this.channelGains[soundType];
+    const fader = this.channelFaders[soundType];
+    const panner = this.channelPanners[soundType];
+    
+    // Forget the sound right away so it can be restarted while the old one fades
+    delete this.activeSounds[soundType];
+    delete this.channelGains[soundType];
+    delete this.channelFaders[soundType];
+    delete this.channelPanners[soundType];
+    
+    const release = () => {
+      if (voice) {
+        voice.stop();
+      }
+      if (channelGain) {
+        channelGain.disconnect();
+      }
+      if (fader) {
+        fader.disconnect();
+      }
+      if (panner) {
+        panner.disconnect();
+      }
+    };
+    
+    if (fader && fadeTime > 0) {
+      this.rampFader(fader, 0, fadeTime);
+      setTimeout(release, fadeTime * 1000);
+    } else {
+      release();
+    }
+    
+    this.updateChannelGains();
+    this.emitStateChange();
+  }
+  
+  /**
+   * Stop all active sounds
+   * @param {number} [fadeTime] - Fade-out duration in seconds, defaults to the fade-out setting
+   */
+  stopAll(fadeTime = this.fadeOutTime) {
+    Object.keys(this.activeSounds).forEach(soundType => {
+      this.stop(soundType, fadeTime);
+    });
+    
+    // Nothing is layered any more, so the combo is over
+    Object.keys(this.comboSounds).forEach(soundType => {
+      this.comboSounds[soundType] = false;
+    });
+    
+    // Clear the current timer
+    this.clearTimer();
+  }
+  
+  /**
+   * Ramp a fader to a new level along an equal-power curve
+   * @param {GainNode} fader - Fader gain node of a sound
+   * @param {number} target - Target gain (0 to 1)
+   * @param {number} duration - Ramp duration in seconds
+   */
+  rampFader(fader, target, duration) {
+    const now = this.audioContext.currentTime;
+    const start = fader.gain.value;
+    
+    fader.gain.cancelScheduledValues(now);
+    
+    if (duration <= 0 || start === target) {
+      fader.gain.setValueAtTime(target, now);
+      return;
+    }
+    
+    fader.gain.setValueCurveAtTime(this.createFadeCurve(start, target), now, duration);
+  }
+  
+  /**
+   * Build an equal-power fade curve for AudioParam.setValueCurveAtTime()
+   * @param {number} start - Gain at the start of the fade
+   * @param {number} target - Gain at the end of the fade
+   * @returns {Float32Array} Curve values
+   */
+  createFadeCurve(start, target) {
+    // Sine/cosine shaped ramps keep the summed power constant during a crossfade
+    const steps = 64;
+    const curve = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+      const position = i / (steps - 1);
+      if (target > start) {
+        curve[i] = start + (target - start) * Math.sin(position * Math.PI / 2);
+      } else {
+        curve[i] = target + (start - target) * Math.cos(position * Math.PI / 2);
+      }
+    }
+    return curve;
+  }
+  
+  /**
+   * Set the master volume
+   * @param {number} value - Volume level (0 to 1)
+   */
+  setVolume(value) {
+    if (this.masterGain) {
+      this.masterGain.gain.value = value;
+    }
+    this.emitStateChange();
+  }
+  
+  // -------------------- Timer --------------------
+  
+  /**
+   * Set a timer to stop sounds after specified minutes
+   * @param {number} minutes - Duration in minutes, may be fractional; 0 plays on without a timer
+   */
+  setTimer(minutes) {
+    // Where a running timer has taken the output stage, for the new one to carry on from
+    const stageLevels = this.audioContext ? this.getTimerStageLevels(this.audioContext.currentTime) : null;
+    
+    // Clear any existing timer
+    this.clearTimer();
+    this.timerMinutes = minutes;
+    if (minutes > 0) {
+      this.lastTimerMinutes = minutes;
+    }
+    
+    // If timer is set to 0, don't set a new timer
+    if (minutes === 0) {
+      return;
+    }
+    
+    // The audio clock keeps running when timers are throttled in a background tab
+    this.resumeAudioContext();
+    const now = this.audioContext.currentTime;
+    
+    // Calculate end time
+    this.timerDuration = minutes * 60 * 1000; // Convert to milliseconds
+    this.timerEndTime = now + minutes * 60;
+    
+    this.scheduleTimerFades(now, this.timerEndTime, stageLevels);
+    
+    // A silent source scheduled to end with the timer fires onended on time
+    this.timerClock = this.audioContext.createConstantSource();
+    this.timerClock.onended = () => this.finishTimer();
+    this.timerClock.start(now);
+    this.timerClock.stop(this.timerEndTime);
+    
+    // The interval only reports the time left, and catches a missed onended
+    this.emitTimerTick();
+    this.timerInterval = setInterval(() => {
+      this.emitTimerTick();
+      
+      if (this.audioContext.currentTime >= this.timerEndTime) {
+        this.finishTimer();
+      }
+    }, 1000);
+    
+    this.emitStateChange();
+  }
+  
+  /**
+   * Set a timer that ends at the next occurrence of a clock time
+   * @param {string} clockTime - Time of day as "HH:MM" (24-hour)
+   */
+  setTimerUntil(clockTime) {
+    const [hours, minutes] = clockTime.split(':').map(part => parseInt(part));
+    
+    const now = new Date();
+    const target = new Date(now);
+    target.setHours(hours, minutes, 0, 0);
+    
+    // A time that has already passed today means tomorrow
+    if (target <= now) {
+      target.setDate(target.getDate() + 1);
+    }
+    
+    this.setTimer((target - now) / (60 * 1000));
+  }
+  
+  /**
+   * Schedule the wind-down and final fade out on the sleep timer stage
+   * A timer restarted while the stage is lowered starts from where it is and opens it up again
+   * over TIMER_RECOVERY_TIME, or carries straight on down if the new wind-down or fade starts sooner.
+   * @param {number} startTime - Audio clock time the timer starts
+   * @param {number} endTime - Audio clock time the timer ends
+   * @param {?{gain: number, fade: number, cutoff: number}} [from] - Levels of the stage at the start, open if omitted
+   */
+  scheduleTimerFades(startTime, endTime, from = null) {
+    from = from || { gain: 1, fade: 1, cutoff: OPEN_CUTOFF };
+    const gain = this.windDownGain.gain;
+    const fade = this.timerFadeGain.gain;
+    const cutoff = this.windDownFilter.frequency;
+    [gain, fade, cutoff].forEach(param => {
+      param.cancelScheduledValues(startTime);
+    });
+    
+    const recoveryEnd = Math.min(startTime + TIMER_RECOVERY_TIME, endTime);
+    const windDownStart = this.windDownMinutes > 0 ? Math.max(startTime, endTime - this.windDownMinutes * 60) : null;
+    const fadeStart = Math.max(startTime, endTime - this.timerFadeTime);
+    this.timerStage = { startTime, endTime, recoveryEnd, windDownStart, fadeStart, from };
+    
+    // Wind-down: lower the volume and close the low-pass filter over the last minutes
+    gain.setValueAtTime(from.gain, startTime);
+    cutoff.setValueAtTime(from.cutoff, startTime);
+    if (windDownStart !== null && windDownStart < recoveryEnd) {
+      gain.linearRampToValueAtTime(WIND_DOWN_LEVEL, endTime);
+      cutoff.exponentialRampToValueAtTime(WIND_DOWN_CUTOFF, endTime);
+    } else {
+      gain.linearRampToValueAtTime(1, recoveryEnd);
+      cutoff.exponentialRampToValueAtTime(OPEN_CUTOFF, recoveryEnd);
+      if (windDownStart !== null) {
+        gain.setValueAtTime(1, windDownStart);
+        gain.linearRampToValueAtTime(WIND_DOWN_LEVEL, endTime);
+        cutoff.setValueAtTime(OPEN_CUTOFF, windDownStart);
+        cutoff.exponentialRampToValueAtTime(WIND_DOWN_CUTOFF, endTime);
+      }
+    }
+    
+    // Final fade so the sound reaches silence as the timer ends; a curve may not overlap other events
+    if (fadeStart <= recoveryEnd) {
+      fade.setValueCurveAtTime(this.createFadeCurve(from.fade, 0), startTime, endTime - startTime);
+    } else {
+      fade.setValueAtTime(from.fade, startTime);
+      fade.linearRampToValueAtTime(1, recoveryEnd);
+      if (endTime > fadeStart) {
+        fade.setValueCurveAtTime(this.createFadeCurve(1, 0), fadeStart, endTime - fadeStart);
+      } else {
+        fade.setValueAtTime(0, endTime);
+      }
+    }
+  }
+  
+  /**
+   * Work out the levels of the sleep timer stage at a moment of the running timer's schedule
+   * AudioParam.value isn't reliable mid-automation in every browser, so this follows the schedule instead.
+   * @param {number} time - Audio clock time
+   * @returns {{gain: number, fade: number, cutoff: number}} Wind-down gain, final fade gain and
+   *   filter cutoff; fully open while no timer runs
+   */
+  getTimerStageLevels(time) {
+    const stage = this.timerStage;
+    if (!stage) {
+      return { gain: 1, fade: 1, cutoff: OPEN_CUTOFF };
+    }
+    
+    const { startTime, endTime, recoveryEnd, windDownStart, fadeStart, from } = stage;
+    const progress = (segmentStart, segmentEnd) => {
+      return segmentEnd > segmentStart ? Math.min(1, Math.max(0, (time - segmentStart) / (segmentEnd - segmentStart))) : 1;
+    };
+    const linear = (a, b, position) => a + (b - a) * position;
+    const exponential = (a, b, position) => a * Math.pow(b / a, position);
+    
+    let gain;
+    let cutoff;
+    if (windDownStart !== null && windDownStart < recoveryEnd) {
+      gain = linear(from.gain, WIND_DOWN_LEVEL, progress(startTime, endTime));
+      cutoff = exponential(from.cutoff, WIND_DOWN_CUTOFF, progress(startTime, endTime));
+    } else if (windDownStart !== null && time >= windDownStart) {
+      gain = linear(1, WIND_DOWN_LEVEL, progress(windDownStart, endTime));
+      cutoff = exponential(OPEN_CUTOFF, WIND_DOWN_CUTOFF, progress(windDownStart, endTime));
+    } else {
+      gain = linear(from.gain, 1, progress(startTime, recoveryEnd));
+      cutoff = exponential(from.cutoff, OPEN_CUTOFF, progress(startTime, recoveryEnd));
+    }
+    
+    // The fade follows the cosine shape of createFadeCurve()
+    let fade;
+    if (fadeStart <= recoveryEnd) {
+      fade = from.fade * Math.cos(progress(startTime, endTime) * Math.PI / 2);
+    } else if (time >= fadeStart) {
+      fade = Math.cos(progress(fadeStart, endTime) * Math.PI / 2);
+    } else {
+      fade = linear(from.fade, 1, progress(startTime, recoveryEnd));
+    }
+    
+    return { gain, fade, cutoff };
+  }
+  
+  /**
+   * Stop everything when the sleep timer runs out
+   */
+  finishTimer() {
+    if (!this.timerClock) {
+      return; // Timer was already finished or cleared
+    }
+    
+    this.stopAll(0);
+    this.clearTimer();
+    this.emit('timerend', {});
+  }
+  
+  /**
+   * Tell listeners how long the timer has left
+   */
+  emitTimerTick() {
+    this.emit('timertick', {
+      remaining: Math.max(0, this.timerEndTime - this.audioContext.currentTime)
+    });
+  }
+  
+  /**
+   * Clear the active timer
+   */
+  clearTimer() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+    this.timerMinutes = 0;
+    
+    if (this.timerClock) {
+      this.timerClock.onended = null;
+      this.timerClock.stop();
+      this.timerClock = null;
+    }
+    this.timerStage = null;
+    
+    // Undo any wind-down or fade the timer had scheduled
+    if (this.audioContext) {
+      const now = this.audioContext.currentTime;
+      [this.windDownGain.gain, this.timerFadeGain.gain, this.windDownFilter.frequency].forEach(param => {
+        // Hold the current value where supported so the level doesn't jump
+        if (param.cancelAndHoldAtTime) {
+          param.cancelAndHoldAtTime(now);
+        } else {
+          param.cancelScheduledValues(now);
+        }
+      });
+      this.windDownGain.gain.setTargetAtTime(1, now, 0.1);
+      this.timerFadeGain.gain.setTargetAtTime(1, now, 0.1);
+      this.windDownFilter.frequency.setTargetAtTime(OPEN_CUTOFF, now, 0.1);
+    }
+    
+    this.emitStateChange();
+  }
+  
+  // -------------------- State --------------------
+  
+  /**
+   * Capture the current settings so they can be saved and restored later
+   * @returns {Object} Selected sounds, per-sound parameters, master volume and timer
+   */
+  getState() {
+    const sounds = Object.keys(this.comboSounds).filter(soundType => this.comboSounds[soundType]);
+    if (sounds.length === 0 && this.currentSound) {
+      sounds.push(this.currentSound);
+    }
+    
+    const params = {};
+    sounds.forEach(soundType => {
+      params[soundType] = Object.assign({}, this.getChannelSettings(soundType), this.soundParams[soundType]);
+    });
+    
+    return {
+      sounds: sounds,
+      params: params,
+      volume: this.masterGain ? this.masterGain.gain.value : 0.5,
+      timer: Math.round(this.timerMinutes)
+    };
+  }
+  
+  /**
+   * Restore settings captured by getState() and start the selected sounds
+   * @param {Object} state - State object as returned by getState()
+   * @param {number} [fadeTime] - Crossfade duration in seconds, defaults to the crossfade setting
+   */
+  applyState(state, fadeTime = this.crossfadeTime) {
+    this.setVolume(state.volume);
+    
+    // Split each sound's params into mixer settings and sound parameters
+    Object.keys(state.params).forEach(soundType => {
+      const channelSettings = this.getChannelSettings(soundType);
+      Object.keys(state.params[soundType]).forEach(param => {
+        if (param in channelSettings) {
+          channelSettings[param] = state.params[soundType][param];
+        } else {
+          this.setSoundParam(soundType, param, state.params[soundType][param]);
+        }
+      });
+    });
+    
+    // Play the sounds as a combo
+    if (state.sounds.length > 0) {
+      this.playCombo(state.sounds, fadeTime);
+    } else {
+      this.stopAll();
+    }
+    
+    // Starting the sounds clears the timer, so set it afterwards
+    this.setTimer(state.timer);
+  }
+  
+  // -------------------- Combo --------------------
+  
+  /**
+   * Crossfade out of whatever plays into several sounds layered through the mixer
+   * @param {Array<string>} soundTypes - Sounds to layer
+   * @param {number} [fadeTime] - Crossfade duration in seconds, defaults to the crossfade setting
+   */
+  playCombo(soundTypes, fadeTime = this.crossfadeTime) {
+    // Crossfade out of any currently playing sounds
+    this.stopAll(fadeTime);
+    
+    // Mark the layers first, so their channels open with the mixer settings
+    Object.keys(this.comboSounds).forEach(soundType => {
+      this.comboSounds[soundType] = soundTypes.includes(soundType);
+    });
+    
+    Object.keys(this.comboSounds).forEach(soundType => {
+      if (this.comboSounds[soundType]) {
+        this.play(soundType, fadeTime);
+      }
+    });
+    
+    // Solo state can only be resolved once every channel exists
+    this.updateChannelGains();
+  }
+  
+  /**
+   * Stop all combo sounds
+   */
+  stopCombo() {
+    // Stop all sounds that were part of the combo
+    Object.keys(this.comboSounds).forEach(soundType => {
+      if (this.comboSounds[soundType]) {
+        this.stop(soundType);
+      }
+      this.comboSounds[soundType] = false;
+    });
+    
+    this.currentSound = null;
+    this.emitStateChange();
+  }
+  
+  /**
+   * Get the sounds that are offered to play, in registration order
+   * @returns {Array<string>} Ids of the visible sound modules
+   */
+  getVisibleSoundTypes() {
+    return Object.keys(SOUND_MODULES).filter(soundType => !SOUND_MODULES[soundType].hidden);
+  }
+  
+  // -------------------- Mixer Methods --------------------
+  
+  /**
+   * Get the mixer settings for a sound, creating defaults if needed
+   * @param {string} soundType - Type of sound
+   * @returns {{volume: number, muted: boolean, solo: boolean, positionX: number, positionY: number}} Channel settings
+   */
+  getChannelSettings(soundType) {
+    if (!this.channelSettings[soundType]) {
+      this.channelSettings[soundType] = getChannelSettingDefaults(soundType);
+    }
+    return this.channelSettings[soundType];
+  }
+  
+  /**
+   * Create the fader, channel gain and panner nodes for a sound and connect them to the master bus
+   * @param {string} soundType - Type of sound
+   * @param {number} fadeTime - Fade-in duration in seconds
+   * @returns {GainNode} The channel input the generator should connect to
+   */
+  createChannel(soundType, fadeTime) {
+    this.removeChannel(soundType);
+    
+    const panner = this.audioContext.createPanner();
+    panner.distanceModel = 'inverse';
+    panner.refDistance = SPATIAL_HEIGHT;
+    panner.rolloffFactor = 0.3;
+    panner.connect(this.masterGain);
+    this.channelPanners[soundType] = panner;
+    this.updateChannelPanner(soundType);
+    
+    const channelGain = this.audioContext.createGain();
+    channelGain.gain.value = this.getChannelGainValue(soundType);
+    channelGain.connect(panner);
+    
+    const fader = this.audioContext.createGain();
+    fader.gain.value = 0;
+    fader.connect(channelGain);
+    this.rampFader(fader, 1, fadeTime);
+    
+    this.channelGains[soundType] = channelGain;
+    this.channelFaders[soundType] = fader;
+    return fader;
+  }
+  
+  /**
+   * Disconnect and forget the fader, channel gain and panner nodes for a sound
+   * @param {string} soundType - Type of sound
+   */
+  removeChannel(soundType) {
+    if (this.channelFaders[soundType]) {
+      this.channelFaders[soundType].disconnect();
+      delete this.channelFaders[soundType];
+    }
+    if (this.channelGains[soundType]) {
+      this.channelGains[soundType].disconnect();
+      delete this.channelGains[soundType];
+    }
+    if (this.channelPanners[soundType]) {
+      this.channelPanners[soundType].disconnect();
+      delete this.channelPanners[soundType];
+    }
+  }
+  
+  /**
+   * Work out the effective gain of a channel from its volume, mute and solo state
+   * @param {string} soundType - Type of sound
+   * @returns {number} Gain value (0 to 1)
+   */
+  getChannelGainValue(soundType) {
+    // The mixer only applies to combo layers; single tiles play at full level
+    if (!this.comboSounds[soundType]) {
+      return 1;
+    }
+    
+    const settings = this.getChannelSettings(soundType);
+    
+    // When any combo channel is soloed, only soloed channels are audible
+    const soloActive = Object.keys(this.comboSounds).some(type => {
+      return this.comboSounds[type] && this.channelGains[type] && this.getChannelSettings(type).solo;
+    });
+    
+    if (settings.muted || (soloActive && !settings.solo)) {
+      return 0;
+    }
+    return settings.volume;
+  }
+  
+  /**
+   * Apply the current mixer settings to every channel gain node
+   */
+  updateChannelGains() {
+    const now = this.audioContext.currentTime;
+    Object.keys(this.channelGains).forEach(soundType => {
+      // Short time constant avoids zipper noise while dragging a slider
+      this.channelGains[soundType].gain.setTargetAtTime(this.getChannelGainValue(soundType), now, 0.02);
+    });
+  }
+  
+  /**
+   * Set the volume of a single channel
+   * @param {string} soundType - Type of sound
+   * @param {number} value - Volume level (0 to 1)
+   */
+  setChannelVolume(soundType, value) {
+    this.getChannelSettings(soundType).volume = value;
+    this.updateChannelGains();
+    this.emitStateChange();
+  }
+  
+  /**
+   * Mute or unmute a single channel
+   * @param {string} soundType - Type of sound
+   * @param {boolean} muted - Whether the channel is muted
+   */
+  setChannelMute(soundType, muted) {
+    this.getChannelSettings(soundType).muted = muted;
+    this.updateChannelGains();
+    this.emitStateChange();
+  }
+  
+  /**
+   * Solo or unsolo a single channel
+   * @param {string} soundType - Type of sound
+   * @param {boolean} solo - Whether the channel is soloed
+   */
+  setChannelSolo(soundType, solo) {
+    this.getChannelSettings(soundType).solo = solo;
+    this.updateChannelGains();
+    this.emitStateChange();
+  }
+  
+  /**
+   * Work out where a channel sits in the room
+   * @param {string} soundType - Type of sound
+   * @returns {{x: number, y: number}} Position from -1 to 1 on each axis; -1 is left and in front
+   */
+  getChannelPosition(soundType) {
+    // Only combo layers are placed; a single tile plays from the middle of the room
+    if (!this.comboSounds[soundType]) {
+      return { x: 0, y: 0 };
+    }
+    
+    const settings = this.getChannelSettings(soundType);
+    return { x: settings.positionX, y: settings.positionY };
+  }
+  
+  /**
+   * Apply the position and output settings to a channel's panner node
+   * @param {string} soundType - Type of sound
+   */
+  updateChannelPanner(soundType) {
+    const panner = this.channelPanners[soundType];
+    if (!panner) {
+      return;
+    }
+    
+    panner.panningModel = this.binaural ? 'HRTF' : 'equalpower';
+    
+    // The listener faces -z, so the front of the room is at negative z
+    const position = this.getChannelPosition(soundType);
+    const x = position.x * SPATIAL_ROOM_SIZE;
+    const z = position.y * SPATIAL_ROOM_SIZE;
+    
+    if (panner.positionX) {
+      // Short time constant keeps dragging smooth
+      const now = this.audioContext.currentTime;
+      panner.positionX.setTargetAtTime(x, now, 0.05);
+      panner.positionY.setTargetAtTime(SPATIAL_HEIGHT, now, 0.05);
+      panner.positionZ.setTargetAtTime(z, now, 0.05);
+    } else {
+      // Older browsers only have the deprecated setter
+      panner.setPosition(x, SPATIAL_HEIGHT, z);
+    }
+  }
+  
+  /**
+   * Move a channel to a new place in the room
+   * @param {string} soundType - Type of sound
+   * @param {number} x - Left (-1) to right (1)
+   * @param {number} y - Front (-1) to back (1)
+   */
+  setChannelPosition(soundType, x, y) {
+    const settings = this.getChannelSettings(soundType);
+    settings.positionX = Math.max(-1, Math.min(1, x));
+    settings.positionY = Math.max(-1, Math.min(1, y));
+    this.updateChannelPanner(soundType);
+    this.emitStateChange();
+  }
+  
+  /**
+   * Switch between HRTF panning for headphones and equal-power panning for speakers
+   * @param {boolean} enabled - Whether to render binaurally
+   */
+  setBinaural(enabled) {
+    this.binaural = enabled;
+    Object.keys(this.channelPanners).forEach(soundType => {
+      this.updateChannelPanner(soundType);
+    });
+  }
+  
+  /**
+   * Fold the output down to mono for single-speaker setups
+   * Both speakers get the same signal, so nothing placed to one side goes missing.
+   * @param {boolean} enabled - Whether to play in mono
+   */
+  setMono(enabled) {
+    this.mono = enabled;
+    this.outputMixer.channelCount = enabled ? 1 : 2;
+    this.outputMixer.channelCountMode = enabled ? 'explicit' : 'max';
+  }
+  
+  // -------------------- Sound Parameter Methods --------------------
+  
+  /**
+   * Get the live parameter object of a sound, creating it from the defaults if needed
+   * @param {string} soundType - Type of sound
+   * @returns {Object} Parameters keyed by name
+   */
+  getSoundParams(soundType) {
+    if (!this.soundParams[soundType]) {
+      this.soundParams[soundType] = getSoundParamDefaults(soundType);
+    }
+    return this.soundParams[soundType];
+  }
+  
+  /**
+   * Change a parameter of a sound; playing generators pick it up on their next update
+   * @param {string} soundType - Type of sound
+   * @param {string} param - Parameter name
+   * @param {number|boolean|string} value - New value
+   */
+  setSoundParam(soundType, param, value) {
+    const module = SOUND_MODULES[soundType];
+    if (!module || !(param in module.params)) {
+      console.warn('Unknown sound parameter:', soundType, param);
+      return;
+    }
+    
+    this.getSoundParams(soundType)[param] = value;
+    this.emitStateChange();
+  }
+}
+
+/**
+ * Format the time left on a timer for display
+ * @param {number} timeRemaining - Seconds left
+ * @returns {string} "MM:SS", or "H:MM:SS" from an hour up
+ */
+function formatTimeRemaining(timeRemaining) {
+  const hours = Math.floor(timeRemaining / 3600);
+  const minutes = Math.floor((timeRemaining % 3600) / 60);
+  const seconds = Math.floor(timeRemaining % 60);
+  
+  let formattedTime = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  if (hours > 0) {
+    formattedTime = `${hours}:${formattedTime}`;
+  }
+  return formattedTime;
+}
@@ -0,0 +1,318 @@
+/**
+ * Wombcore 3000 - Sound Modules
+ * Registry of the sounds the machine can play. Each sound lives in its own
+ * file under sounds/ and describes itself with registerSoundModule(); the
+ * tiles, combo options, settings controls and playback are all built from
+ * the registry, so adding a sound only takes one file and a script tag.
+ *
+ * A module looks like:
+ *
+ *   registerSoundModule({
+ *     id: 'my-sound',               // Unique key, used in presets and the DOM
+ *     label: 'My Sound',            // Tile and combo option name
+ *     techLabel: 'MY SUBSYSTEM',    // Tile header
+ *     techDetail: 'What it does',   // Tile footer (optional)
+ *     icon: '🔊',                   // Tile icon
+ *     position: { x: 0, y: -0.5 },  // Starting place in the combo room (optional)
+ *     params: {                     // Tunable parameters (optional)
+ *       level: { type: 'range', label: 'LEVEL', default: 0.5, min: 0, max: 1, step: 0.01, unit: '%' }
+ *     },
+ *     start(ctx, destination, params) {
+ *       // Build the sound on ctx, connect it to destination and hand
+ *       // everything stop() must release to this.handle
+ *     }
+ *   });
+ *
+ * Parameters are 'range' (min, max, step, a unit for the value label such
+ * as '%' or 'BPM', and signed: true to show a + on positive values),
+ * 'checkbox', or 'select' (options as a list of { value, label }, or a
+ * function returning one). The params object passed to start() is live:
+ * it changes as the user moves controls.
+ *
+ * Positions run from -1 to 1: x from left to right and y from front to
+ * back, with the listener in the middle, where a layer sounds overhead.
+ *
+ * start() and stop() run on a fresh voice object created for every play,
+ * so several voices of one module (e.g. during a crossfade) never share state.
+ *
+ * Every voice gets a VoiceHandle as this.handle, which owns what the voice
+ * leaves running: nodes that play until it stops (handle.addNodes()),
+ * one-shot notes or droplets (handle.addEvent()), and scheduler timers
+ * (handle.setInterval()). stop() releases the handle, which stops and
+ * disconnects all of it, so a stopped voice leaves nothing behind.
+ */
+
+// How far ahead (seconds) scheduled sounds are queued on the audio clock,
+// long enough to ride out timer throttling in a background tab
+const SCHEDULE_AHEAD_TIME = 1.5;
+
+// How often (ms) schedulers top up their queue
+const SCHEDULER_INTERVAL = 250;
+
+// Registered sound modules keyed by id, in registration order
+const SOUND_MODULES = {};
+
+/**
+ * Error raised when a sound module definition is invalid
+ */
+class SoundModuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SoundModuleError';
+  }
+}
+
+/**
+ * Owner of the nodes, timers and one-shot events of one voice
+ */
+class VoiceHandle {
+  constructor() {
+    // Nodes that play until the voice stops
+    this.nodes = new Set();
+    
+    // One-shot events still sounding, each a list of its nodes
+    this.events = new Set();
+    
+    // Scheduler timer IDs
+    this.intervals = new Set();
+    this.timeouts = new Set();
+    
+    this.released = false;
+  }
+  
+  /**
+   * Take ownership of nodes that play until the voice stops
+   * @param {...AudioNode} nodes - Nodes to stop and disconnect on release
+   */
+  addNodes(...nodes) {
+    if (this.released) {
+      nodes.forEach(releaseAudioNode);
+      return;
+    }
+    nodes.forEach(node => this.nodes.add(node));
+  }
+  
+  /**
+   * Take ownership of a one-shot event, such as a note or a droplet
+   * Once all of its sources have ended its nodes are disconnected and forgotten,
+   * so a voice that plays for hours only ever holds the events still sounding.
+   * @param {Array<AudioNode>} nodes - Every node of the event; those with start() are its sources
+   */
+  addEvent(nodes) {
+    if (this.released) {
+      nodes.forEach(releaseAudioNode);
+      return;
+    }
+    
+    const sources = nodes.filter(node => typeof node.start === 'function');
+    let playing = sources.length;
+    sources.forEach(source => {
+      source.onended = () => {
+        playing--;
+        if (playing === 0) {
+          this.events.delete(nodes);
+          nodes.forEach(node => node.disconnect());
+        }
+      };
+    });
+    this.events.add(nodes);
+  }
+  
+  /**
+   * Start a repeating timer that stops with the voice
+   * @param {Function} callback - Function to call
+   * @param {number} delay - Milliseconds between calls
+   * @returns {number} Interval ID
+   */
+  setInterval(callback, delay) {
+    const id = setInterval(callback, delay);
+    this.intervals.add(id);
+    return id;
+  }
+  
+  /**
+   * Start a one-off timer that is cancelled if the voice stops first
+   * @param {Function} callback - Function to call
+   * @param {number} delay - Milliseconds until the call
+   * @returns {number} Timeout ID
+   */
+  setTimeout(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+    return id;
+  }
+  
+  /**
+   * Cancel every timer, then stop and disconnect every node and event
+   * Safe to call more than once; anything handed over afterwards is released straight away.
+   */
+  release() {
+    this.released = true;
+    
+    this.intervals.forEach(id => clearInterval(id));
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.events.forEach(nodes => nodes.forEach(releaseAudioNode));
+    this.nodes.forEach(releaseAudioNode);
+    
+    this.intervals.clear();
+    this.timeouts.clear();
+    this.events.clear();
+    this.nodes.clear();
+  }
+}
+
+/**
+ * Stop a node if it is a source and detach it from the graph
+ * @param {AudioNode} node - Node to release
+ */
+function releaseAudioNode(node) {
+  if (node.stop) {
+    node.onended = null;
+    node.stop();
+  }
+  node.disconnect();
+}
+
+// Mixer settings of a sound's channel in a combo, described like sound parameters so they can be checked the same way
+const CHANNEL_SETTING_PARAMS = {
+  volume: { type: 'range', min: 0, max: 1 },
+  muted: { type: 'checkbox' },
+  solo: { type: 'checkbox' },
+  positionX: { type: 'range', min: -1, max: 1 },
+  positionY: { type: 'range', min: -1, max: 1 }
+};
+
+// Behaviour shared by every sound module, which modules may override
+const SOUND_MODULE_BASE = {
+  // Tunable parameters keyed by name
+  params: {},
+  
+  // Hidden modules can be played programmatically but get no tile or combo option
+  hidden: false,
+  
+  // Where the sound starts out in the combo room: centred, in front of the listener
+  position: { x: 0, y: -0.5 },
+  
+  /**
+   * Stop and disconnect everything the voice handed to this.handle, and cancel its timers
+   */
+  stop() {
+    this.handle.release();
+  },
+  
+  /**
+   * Get how far ahead a voice should queue scheduled events
+   * An offline render runs faster than real time, so it schedules its whole length up front.
+   * @param {BaseAudioContext} ctx - Context the voice plays on
+   * @returns {number} Look-ahead in seconds
+   */
+  getScheduleAheadTime(ctx) {
+    if (typeof OfflineAudioContext !== 'undefined' && ctx instanceof OfflineAudioContext) {
+      return ctx.length / ctx.sampleRate;
+    }
+    return SCHEDULE_AHEAD_TIME;
+  }
+};
+
+/**
+ * Add a sound module to the registry
+ * @param {Object} definition - Module definition, see the top of this file
+ * @throws {SoundModuleError} If the definition is missing required fields or reuses an id
+ */
+function registerSoundModule(definition) {
+  if (!definition || typeof definition.id !== 'string' || !/^[a-z0-9-]+$/.test(definition.id)) {
+    throw new SoundModuleError('A sound module needs an "id" made of lowercase letters, digits and dashes.');
+  }
+  if (definition.id === 'combo') {
+    throw new SoundModuleError('"combo" is reserved for the combo tile.');
+  }
+  if (SOUND_MODULES[definition.id]) {
+    throw new SoundModuleError(`A sound module with the id "${definition.id}" is already registered.`);
+  }
+  ['label', 'techLabel', 'icon'].forEach(field => {
+    if (typeof definition[field] !== 'string') {
+      throw new SoundModuleError(`Sound module "${definition.id}" needs a "${field}".`);
+    }
+  });
+  if (typeof definition.start !== 'function') {
+    throw new SoundModuleError(`Sound module "${definition.id}" needs a start() function.`);
+  }
+  
+  SOUND_MODULES[definition.id] = Object.assign(Object.create(SOUND_MODULE_BASE), definition);
+}
+
+/**
+ * Get the default values of a sound's parameters
+ * @param {string} soundType - Id of the sound module
+ * @returns {Object} Parameter values keyed by name, empty for unknown sounds
+ */
+function getSoundParamDefaults(soundType) {
+  const defaults = {};
+  const module = SOUND_MODULES[soundType];
+  if (module) {
+    Object.keys(module.params).forEach(param => {
+      defaults[param] = module.params[param].default;
+    });
+  }
+  return defaults;
+}
+
+/**
+ * Get the mixer settings a sound's channel starts out with
+ * The room position starts at the place the sound module suggests.
+ * @param {string} soundType - Id of the sound module
+ * @returns {{volume: number, muted: boolean, solo: boolean, positionX: number, positionY: number}} Channel settings
+ */
+function getChannelSettingDefaults(soundType) {
+  const position = SOUND_MODULES[soundType] ? SOUND_MODULES[soundType].position : SOUND_MODULE_BASE.position;
+  return {
+    volume: 1,
+    muted: false,
+    solo: false,
+    positionX: position.x,
+    positionY: position.y
+  };
+}
+
+/**
+ * Check a value against the definition of a sound parameter
+ * Generators trust their params, e.g. a negative heartbeat BPM never lets the beat scheduler finish.
+ * @param {Object} definition - Parameter definition from the sound module
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a number within a range, true or false for a checkbox, or one of a select's option values
+ *   (any text for options given as a function, which differ between devices, e.g. imported melodies)
+ */
+function isSoundParamValue(definition, value) {
+  if (definition.type === 'checkbox') {
+    return typeof value === 'boolean';
+  }
+  
+  if (definition.type === 'select') {
+    // A preset or link from another device may name an option that isn't here; the generator plays its default instead
+    if (typeof definition.options === 'function') {
+      return typeof value === 'string' && value !== '';
+    }
+    return definition.options.some(option => option.value === value);
+  }
+  
+  return Number.isFinite(value) && value >= definition.min && value <= definition.max;
+}
+
+/**
+ * Create a fresh voice of a sound module
+ * @param {string} soundType - Id of the sound module
+ * @returns {Object|null} Voice with start(), stop() and its own handle, or null if the sound is unknown
+ */
+function createSoundVoice(soundType) {
+  const module = SOUND_MODULES[soundType];
+  if (!module) {
+    return null;
+  }
+  
+  const voice = Object.create(module);
+  voice.handle = new VoiceHandle();
+  return voice;
+}
@@ -0,0 +1,25 @@
+/**
+ * Wombcore 3000 - Blue Noise
+ */
+
+registerSoundModule({
+  id: 'blue-noise',
+  label: 'Blue Noise',
+  techLabel: 'HIGH-BAND SHIMMER',
+  techDetail: 'Rising Spectrum Emitter',
+  icon: '🧊',
+  params: {
+    slope: { type: 'range', label: 'COLOR TILT', default: 3, min: -6, max: 6, step: 0.5, unit: 'dB/OCT', signed: true }
+  },
+  
+  /**
+   * Generate blue noise
+   * Blue noise rises by 3 dB per octave, a brighter hiss than white noise
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    createColoredNoise(ctx, destination, params, this.handle);
+  }
+});
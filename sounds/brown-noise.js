@@ -0,0 +1,33 @@
+/**
+ * Wombcore 3000 - Brown Noise
+ */
+
+registerSoundModule({
+  id: 'brown-noise',
+  label: 'Brown Noise',
+  techLabel: 'SUB-HARMONIC FIELD',
+  techDetail: 'Low-Frequency Signal',
+  icon: '🕳️',
+  
+  /**
+   * Generate brown noise
+   * Brown noise has even more low-frequency components than pink noise
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   */
+  start(ctx, destination) {
+    const brownNoise = createNoiseSource(ctx, { color: 'brown' });
+    
+    // Add a low-pass filter with very low frequency for deep sound
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 1000;
+    
+    // Connect nodes
+    brownNoise.connect(filter);
+    filter.connect(destination);
+    
+    // Hand the nodes to the voice's handle so stop() releases them
+    this.handle.addNodes(brownNoise, filter);
+  }
+});
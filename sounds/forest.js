@@ -0,0 +1,467 @@
+/**
+ * Wombcore 3000 - Forest
+ * A breeze through the trees with a population of critters calling over it.
+ * The time of day decides who is awake and how busy they are; each kind of
+ * critter has its own corner of the stereo field and can be switched off.
+ */
+
+// Where each kind of critter lives in the stereo field, and how far individuals stray from it
+const FOREST_CRITTERS = {
+  trill: { pan: -0.6, spread: 0.4 },
+  warble: { pan: 0.5, spread: 0.4 },
+  cuckoo: { pan: 0.8, spread: 0.1 },
+  owl: { pan: -0.3, spread: 0.2 },
+  crickets: { pan: 0, spread: 1 },
+  frogs: { pan: -0.8, spread: 0.3 }
+};
+
+// Times of day: the breeze level, wind rustles and calls of each critter per minute
+const FOREST_PROFILES = {
+  dawn: {
+    label: 'Dawn Chorus',
+    breeze: 0.15, rustles: 3,
+    calls: { trill: 10, warble: 8, cuckoo: 1.5, owl: 0.3, crickets: 0, frogs: 2 }
+  },
+  afternoon: {
+    label: 'Afternoon',
+    breeze: 0.2, rustles: 4,
+    calls: { trill: 4, warble: 3, cuckoo: 1, owl: 0, crickets: 6, frogs: 0 }
+  },
+  night: {
+    label: 'Night',
+    breeze: 0.1, rustles: 2,
+    calls: { trill: 0, warble: 0, cuckoo: 0, owl: 2, crickets: 90, frogs: 20 }
+  }
+};
+
+registerSoundModule({
+  id: 'forest',
+  label: 'Forest',
+  techLabel: 'BIOPHONIC MODE',
+  techDetail: 'Natural Frequency Generator',
+  icon: '🪆',
+  position: { x: -0.8, y: 0 }, // Off to the side
+  params: {
+    profile: {
+      type: 'select',
+      label: 'TIME OF DAY',
+      default: 'afternoon',
+      options: Object.keys(FOREST_PROFILES).map(profileId => ({ value: profileId, label: FOREST_PROFILES[profileId].label }))
+    },
+    trill: { type: 'checkbox', label: 'Trilling songbirds', default: true },
+    warble: { type: 'checkbox', label: 'Warblers', default: true },
+    cuckoo: { type: 'checkbox', label: 'Cuckoo', default: true },
+    owl: { type: 'checkbox', label: 'Owl', default: true },
+    crickets: { type: 'checkbox', label: 'Crickets', default: true },
+    frogs: { type: 'checkbox', label: 'Frogs', default: true }
+  },
+  
+  /**
+   * Generate forest sounds with critters and wind
+   * Calls are scheduled ahead on the audio clock at random, at the rates of the time-of-day profile
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    // Create noise for forest background (gentle breeze)
+    const forestBase = createNoiseSource(ctx, { color: 'white' });
+    
+    const forestLevel = ctx.createGain();
+    forestLevel.gain.value = 0.15; // Quiet background
+    
+    // Create filter for forest background
+    const forestFilter = ctx.createBiquadFilter();
+    forestFilter.type = 'bandpass';
+    forestFilter.frequency.value = 800;
+    forestFilter.Q.value = 0.5;
+    
+    // Create gain node for forest background
+    const forestGain = ctx.createGain();
+    forestGain.gain.value = this.getProfile(params.profile).breeze;
+    
+    // Connect forest background nodes
+    forestBase.connect(forestLevel);
+    forestLevel.connect(forestFilter);
+    forestFilter.connect(forestGain);
+    forestGain.connect(destination);
+    
+    // Schedule critter calls and wind rustles at random on the audio clock
+    const scheduleAheadTime = this.getScheduleAheadTime(ctx);
+    const nextCallTimes = {};
+    Object.keys(FOREST_CRITTERS).forEach(critter => {
+      nextCallTimes[critter] = ctx.currentTime;
+    });
+    let nextWindTime = ctx.currentTime;
+    
+    const scheduleCritters = () => {
+      const now = ctx.currentTime;
+      const horizon = now + scheduleAheadTime;
+      const profile = this.getProfile(params.profile);
+      
+      // Pick up changes to the time of day
+      forestGain.gain.setTargetAtTime(profile.breeze, now, 1);
+      
+      Object.keys(FOREST_CRITTERS).forEach(critter => {
+        const rate = params[critter] ? profile.calls[critter] : 0;
+        
+        // Critters that are asleep or switched off start calling as soon as they are back
+        if (rate === 0) {
+          nextCallTimes[critter] = Math.max(nextCallTimes[critter], horizon);
+          return;
+        }
+        
+        while (nextCallTimes[critter] < horizon) {
+          nextCallTimes[critter] += this.getCallInterval(rate);
+          this.createCritterCall(ctx, destination, critter, nextCallTimes[critter]);
+        }
+      });
+      
+      while (nextWindTime < horizon) {
+        nextWindTime += this.getCallInterval(profile.rustles);
+        this.createWindRustle(ctx, destination, nextWindTime);
+      }
+    };
+    
+    scheduleCritters();
+    this.handle.setInterval(scheduleCritters, SCHEDULER_INTERVAL);
+    
+    // Hand the nodes to the voice's handle so stop() releases them
+    this.handle.addNodes(forestBase, forestLevel, forestFilter, forestGain);
+  },
+  
+  /**
+   * Look up a time-of-day profile, falling back to the afternoon for unknown ids (e.g. from an old preset)
+   * @param {string} profileId - Key of FOREST_PROFILES
+   * @returns {Object} Profile settings
+   */
+  getProfile(profileId) {
+    return FOREST_PROFILES[profileId] || FOREST_PROFILES.afternoon;
+  },
+  
+  /**
+   * Pick a random wait until the next call, so calls arrive at the given average rate
+   * @param {number} callsPerMinute - Average number of calls per minute
+   * @returns {number} Wait in seconds
+   */
+  getCallInterval(callsPerMinute) {
+    return -Math.log(1 - Math.random()) * 60 / callsPerMinute;
+  },
+  
+  /**
+   * Helper method to place one critter call in the stereo field and play it
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {string} critter - Key of FOREST_CRITTERS
+   * @param {number} startTime - Audio clock time the call starts
+   */
+  createCritterCall(ctx, destination, critter, startTime) {
+    const { pan, spread } = FOREST_CRITTERS[critter];
+    
+    const callPanner = ctx.createStereoPanner();
+    callPanner.pan.value = Math.max(-1, Math.min(1, pan + (Math.random() * 2 - 1) * spread));
+    callPanner.connect(destination);
+    
+    let callNodes;
+    if (critter === 'trill') {
+      callNodes = this.createTrill(ctx, callPanner, startTime);
+    } else if (critter === 'warble') {
+      callNodes = this.createWarble(ctx, callPanner, startTime);
+    } else if (critter === 'cuckoo') {
+      callNodes = this.createCuckoo(ctx, callPanner, startTime);
+    } else if (critter === 'owl') {
+      callNodes = this.createOwlHoot(ctx, callPanner, startTime);
+    } else if (critter === 'crickets') {
+      callNodes = this.createCricketChirp(ctx, callPanner, startTime);
+    } else {
+      callNodes = this.createFrogCroak(ctx, callPanner, startTime);
+    }
+    
+    this.handle.addEvent([callPanner, ...callNodes]);
+  },
+  
+  /**
+   * Helper method to create a songbird trill: a fast run of short notes drifting down in pitch
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the trill starts
+   * @returns {Array<AudioNode>} Nodes of the trill
+   */
+  createTrill(ctx, destination, startTime) {
+    const noteCount = 8 + Math.floor(Math.random() * 12);
+    const noteSpacing = 1 / (12 + Math.random() * 8);
+    const startFreq = 3000 + (Math.random() * 2000);
+    const endFreq = startFreq * (0.7 + Math.random() * 0.2);
+    const level = 0.04 + (Math.random() * 0.06);
+    const endTime = startTime + noteCount * noteSpacing;
+    
+    const trillOsc = ctx.createOscillator();
+    trillOsc.type = 'sine';
+    trillOsc.frequency.setValueAtTime(startFreq, startTime);
+    trillOsc.frequency.linearRampToValueAtTime(endFreq, endTime);
+    
+    const trillGain = ctx.createGain();
+    trillGain.gain.value = 0;
+    
+    trillOsc.connect(trillGain);
+    trillGain.connect(destination);
+    
+    // Gate the tone into separate notes
+    for (let i = 0; i < noteCount; i++) {
+      const noteTime = startTime + i * noteSpacing;
+      trillGain.gain.setValueAtTime(0, noteTime);
+      trillGain.gain.linearRampToValueAtTime(level, noteTime + noteSpacing * 0.2);
+      trillGain.gain.linearRampToValueAtTime(0, noteTime + noteSpacing * 0.7);
+    }
+    
+    trillOsc.start(startTime);
+    trillOsc.stop(endTime + 0.05);
+    
+    return [trillOsc, trillGain];
+  },
+  
+  /**
+   * Helper method to create a warbler's song: a wavering phrase that hops between pitches
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the song starts
+   * @returns {Array<AudioNode>} Nodes of the song
+   */
+  createWarble(ctx, destination, startTime) {
+    const noteCount = 4 + Math.floor(Math.random() * 5);
+    const level = 0.04 + (Math.random() * 0.06);
+    
+    const warbleOsc = ctx.createOscillator();
+    warbleOsc.type = 'sine';
+    
+    // Fast vibrato gives the warbling quality
+    const vibrato = ctx.createOscillator();
+    vibrato.frequency.value = 20 + (Math.random() * 10);
+    
+    const vibratoDepth = ctx.createGain();
+    vibratoDepth.gain.value = 200 + (Math.random() * 200);
+    
+    const warbleGain = ctx.createGain();
+    warbleGain.gain.value = 0;
+    
+    vibrato.connect(vibratoDepth);
+    vibratoDepth.connect(warbleOsc.frequency);
+    warbleOsc.connect(warbleGain);
+    warbleGain.connect(destination);
+    
+    let noteTime = startTime;
+    for (let i = 0; i < noteCount; i++) {
+      const noteLength = 0.08 + (Math.random() * 0.12);
+      warbleOsc.frequency.setValueAtTime(2000 + (Math.random() * 1500), noteTime);
+      warbleGain.gain.setValueAtTime(0, noteTime);
+      warbleGain.gain.linearRampToValueAtTime(level, noteTime + 0.02);
+      warbleGain.gain.linearRampToValueAtTime(0, noteTime + noteLength);
+      noteTime += noteLength + 0.02 + (Math.random() * 0.05);
+    }
+    
+    [warbleOsc, vibrato].forEach(osc => {
+      osc.start(startTime);
+      osc.stop(noteTime + 0.05);
+    });
+    
+    return [warbleOsc, vibrato, vibratoDepth, warbleGain];
+  },
+  
+  /**
+   * Helper method to create a cuckoo's call: a few "cu-ckoo"s, each falling a major third
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the call starts
+   * @returns {Array<AudioNode>} Nodes of the call
+   */
+  createCuckoo(ctx, destination, startTime) {
+    const repeats = 2 + Math.floor(Math.random() * 3);
+    const highFreq = 650 + (Math.random() * 100);
+    const level = 0.06 + (Math.random() * 0.04);
+    
+    const cuckooOsc = ctx.createOscillator();
+    cuckooOsc.type = 'sine';
+    
+    const cuckooGain = ctx.createGain();
+    cuckooGain.gain.value = 0;
+    
+    cuckooOsc.connect(cuckooGain);
+    cuckooGain.connect(destination);
+    
+    let callTime = startTime;
+    for (let i = 0; i < repeats; i++) {
+      [[highFreq, 0], [highFreq * 0.8, 0.35]].forEach(([freq, offset]) => {
+        const noteTime = callTime + offset;
+        cuckooOsc.frequency.setValueAtTime(freq, noteTime);
+        cuckooGain.gain.setValueAtTime(0, noteTime);
+        cuckooGain.gain.linearRampToValueAtTime(level, noteTime + 0.04);
+        cuckooGain.gain.linearRampToValueAtTime(level * 0.6, noteTime + 0.2);
+        cuckooGain.gain.linearRampToValueAtTime(0, noteTime + 0.3);
+      });
+      callTime += 0.9 + (Math.random() * 0.2);
+    }
+    
+    cuckooOsc.start(startTime);
+    cuckooOsc.stop(callTime);
+    
+    return [cuckooOsc, cuckooGain];
+  },
+  
+  /**
+   * Helper method to create an owl's hoot: one long "hooo", a pause, then a wavering "hoo-hoo-hooo"
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the hoot starts
+   * @returns {Array<AudioNode>} Nodes of the hoot
+   */
+  createOwlHoot(ctx, destination, startTime) {
+    const baseFreq = 350 + (Math.random() * 100);
+    const level = 0.08 + (Math.random() * 0.04);
+    
+    // Soft, breathy tone
+    const owlOsc = ctx.createOscillator();
+    owlOsc.type = 'triangle';
+    
+    const owlFilter = ctx.createBiquadFilter();
+    owlFilter.type = 'lowpass';
+    owlFilter.frequency.value = baseFreq * 2;
+    
+    const owlGain = ctx.createGain();
+    owlGain.gain.value = 0;
+    
+    owlOsc.connect(owlFilter);
+    owlFilter.connect(owlGain);
+    owlGain.connect(destination);
+    
+    const hoots = [[0, 0.5], [1.1, 0.15], [1.35, 0.15], [1.6, 0.6]];
+    hoots.forEach(([offset, length]) => {
+      const hootTime = startTime + offset;
+      owlOsc.frequency.setValueAtTime(baseFreq, hootTime);
+      owlOsc.frequency.linearRampToValueAtTime(baseFreq * 1.05, hootTime + length * 0.3);
+      owlOsc.frequency.linearRampToValueAtTime(baseFreq * 0.92, hootTime + length);
+      owlGain.gain.setValueAtTime(0, hootTime);
+      owlGain.gain.linearRampToValueAtTime(level, hootTime + Math.min(0.08, length * 0.4));
+      owlGain.gain.linearRampToValueAtTime(0, hootTime + length);
+    });
+    
+    owlOsc.start(startTime);
+    owlOsc.stop(startTime + 2.3);
+    
+    return [owlOsc, owlFilter, owlGain];
+  },
+  
+  /**
+   * Helper method to create a cricket chirp: a burst of a few rapid pulses of a high tone
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the chirp starts
+   * @returns {Array<AudioNode>} Nodes of the chirp
+   */
+  createCricketChirp(ctx, destination, startTime) {
+    const pulseCount = 3 + Math.floor(Math.random() * 2);
+    const level = 0.01 + (Math.random() * 0.02);
+    
+    const cricketOsc = ctx.createOscillator();
+    cricketOsc.type = 'sine';
+    cricketOsc.frequency.value = 4200 + (Math.random() * 600);
+    
+    const cricketGain = ctx.createGain();
+    cricketGain.gain.value = 0;
+    
+    cricketOsc.connect(cricketGain);
+    cricketGain.connect(destination);
+    
+    for (let i = 0; i < pulseCount; i++) {
+      const pulseTime = startTime + i * 0.025;
+      cricketGain.gain.setValueAtTime(0, pulseTime);
+      cricketGain.gain.linearRampToValueAtTime(level, pulseTime + 0.004);
+      cricketGain.gain.linearRampToValueAtTime(0, pulseTime + 0.015);
+    }
+    
+    cricketOsc.start(startTime);
+    cricketOsc.stop(startTime + pulseCount * 0.025 + 0.05);
+    
+    return [cricketOsc, cricketGain];
+  },
+  
+  /**
+   * Helper method to create a frog croak: a low, buzzy "rib-bit" of two quick pulses
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the croak starts
+   * @returns {Array<AudioNode>} Nodes of the croak
+   */
+  createFrogCroak(ctx, destination, startTime) {
+    const pitch = 120 + (Math.random() * 130);
+    const level = 0.05 + (Math.random() * 0.05);
+    
+    // Buzzy source resonating in the throat sac
+    const frogOsc = ctx.createOscillator();
+    frogOsc.type = 'sawtooth';
+    frogOsc.frequency.value = pitch;
+    
+    const frogFilter = ctx.createBiquadFilter();
+    frogFilter.type = 'bandpass';
+    frogFilter.frequency.value = 600 + (Math.random() * 400);
+    frogFilter.Q.value = 3;
+    
+    const frogGain = ctx.createGain();
+    frogGain.gain.value = 0;
+    
+    frogOsc.connect(frogFilter);
+    frogFilter.connect(frogGain);
+    frogGain.connect(destination);
+    
+    [[0, 0.07], [0.11, 0.1]].forEach(([offset, length]) => {
+      const pulseTime = startTime + offset;
+      frogGain.gain.setValueAtTime(0, pulseTime);
+      frogGain.gain.linearRampToValueAtTime(level, pulseTime + 0.01);
+      frogGain.gain.linearRampToValueAtTime(0, pulseTime + length);
+    });
+    
+    frogOsc.start(startTime);
+    frogOsc.stop(startTime + 0.3);
+    
+    return [frogOsc, frogFilter, frogGain];
+  },
+  
+  /**
+   * Helper method to create wind rustling sounds for forest
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {number} startTime - Audio clock time the rustle starts
+   */
+  createWindRustle(ctx, destination, startTime) {
+    const rustleDuration = 1 + (Math.random() * 2);
+    
+    // Create noise for wind rustle
+    const rustleNoise = ctx.createBufferSource();
+    rustleNoise.buffer = createNoiseBuffer(ctx, rustleDuration);
+    
+    // Create filter for wind rustle
+    const rustleFilter = ctx.createBiquadFilter();
+    rustleFilter.type = 'bandpass';
+    rustleFilter.frequency.value = 800 + (Math.random() * 1200);
+    rustleFilter.Q.value = 1;
+    
+    // Create gain node for wind rustle
+    const rustleGain = ctx.createGain();
+    rustleGain.gain.value = 0;
+    
+    // Connect wind rustle nodes
+    rustleNoise.connect(rustleFilter);
+    rustleFilter.connect(rustleGain);
+    rustleGain.connect(destination);
+    
+    // Fade in and out for natural sound
+    rustleGain.gain.setValueAtTime(0, startTime);
+    rustleGain.gain.linearRampToValueAtTime(0.03 + (Math.random() * 0.03), startTime + (rustleDuration * 0.3));
+    rustleGain.gain.linearRampToValueAtTime(0, startTime + rustleDuration);
+    
+    // Start and stop the rustle
+    rustleNoise.start(startTime);
+    rustleNoise.stop(startTime + rustleDuration);
+    
+    this.handle.addEvent([rustleNoise, rustleFilter, rustleGain]);
+  }
+});
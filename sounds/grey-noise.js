@@ -0,0 +1,25 @@
+/**
+ * Wombcore 3000 - Grey Noise
+ */
+
+registerSoundModule({
+  id: 'grey-noise',
+  label: 'Grey Noise',
+  techLabel: 'PSYCHOACOUSTIC FLAT',
+  techDetail: 'Equal-Loudness Curve',
+  icon: '🩶',
+  params: {
+    slope: { type: 'range', label: 'COLOR TILT', default: 0, min: -6, max: 6, step: 0.5, unit: 'dB/OCT', signed: true }
+  },
+  
+  /**
+   * Generate grey noise
+   * Grey noise follows an equal-loudness contour so every pitch sounds about as loud; the tilt leans it darker or brighter
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    createColoredNoise(ctx, destination, params, this.handle, GREY_NOISE_CONTOUR);
+  }
+});
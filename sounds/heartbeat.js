@@ -0,0 +1,139 @@
+/**
+ * Wombcore 3000 - Heartbeat
+ */
+
+// Heartbeat drift: BPM lost per minute, and the most it can drop in total
+const HEARTBEAT_DRIFT_RATE = 0.5;
+const HEARTBEAT_MAX_DRIFT = 12;
+
+registerSoundModule({
+  id: 'heartbeat',
+  label: 'Heartbeat',
+  techLabel: 'CARDIAC REPLICATOR',
+  techDetail: '60-80 BPM In-Utero Audio',
+  icon: '🧿',
+  position: { x: 0, y: -0.2 },
+  params: {
+    bpm: { type: 'range', label: 'TEMPO', default: 72, min: 50, max: 100, step: 1, unit: 'BPM' },
+    intensity: { type: 'range', label: 'BEAT INTENSITY', default: 0.7, min: 0, max: 1, step: 0.01, unit: '%' },
+    muffling: { type: 'range', label: 'MATERNAL MUFFLING', default: 0.5, min: 0, max: 1, step: 0.01, unit: '%' },
+    drift: { type: 'checkbox', label: 'Resting drift (slowly lowers the BPM)', default: false }
+  },
+  
+  /**
+   * Generate heartbeat sound
+   * Each beat is a "lub" (S1) followed by a softer "dub" (S2), scheduled ahead on the audio clock
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    // Low-pass filter simulating the sound travelling through the womb
+    const muffleFilter = ctx.createBiquadFilter();
+    muffleFilter.type = 'lowpass';
+    muffleFilter.frequency.value = this.getMuffleCutoff(params.muffling);
+    muffleFilter.Q.value = 0.7;
+    muffleFilter.connect(destination);
+    
+    // Short noise burst shared by every beat for the thump texture
+    const bufferSize = Math.floor(ctx.sampleRate / 4);
+    const noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+    const output = noiseBuffer.getChannelData(0);
+    
+    for (let i = 0; i < bufferSize; i++) {
+      output[i] = Math.random() * 2 - 1;
+    }
+    
+    const scheduleAheadTime = this.getScheduleAheadTime(ctx);
+    const startTime = ctx.currentTime;
+    let nextBeatTime = startTime + 0.1;
+    
+    const scheduleBeats = () => {
+      const now = ctx.currentTime;
+      
+      // Pick up changes to the muffling control
+      muffleFilter.frequency.setTargetAtTime(this.getMuffleCutoff(params.muffling), now, 0.1);
+      
+      while (nextBeatTime < now + scheduleAheadTime) {
+        const minutesPlayed = (nextBeatTime - startTime) / 60;
+        const drift = params.drift ? Math.min(HEARTBEAT_MAX_DRIFT, HEARTBEAT_DRIFT_RATE * minutesPlayed) : 0;
+        const beatLength = 60 / (params.bpm - drift);
+        
+        // S1 is lower and longer; S2 follows about a third of the way through the cycle
+        this.createHeartSound(ctx, muffleFilter, noiseBuffer, nextBeatTime, 55, 0.16, params.intensity);
+        this.createHeartSound(ctx, muffleFilter, noiseBuffer, nextBeatTime + beatLength * 0.35, 75, 0.11, params.intensity * 0.6);
+        
+        nextBeatTime += beatLength;
+      }
+    };
+    
+    scheduleBeats();
+    this.handle.setInterval(scheduleBeats, SCHEDULER_INTERVAL);
+    this.handle.addNodes(muffleFilter);
+  },
+  
+  /**
+   * Helper method to create one percussive heart sound for the heartbeat
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {AudioBuffer} noiseBuffer - Noise used for the thump texture
+   * @param {number} time - Audio clock time of the beat
+   * @param {number} pitch - Starting pitch (Hz) of the tonal body
+   * @param {number} decay - Decay time in seconds
+   * @param {number} level - Peak level (0 to 1)
+   */
+  createHeartSound(ctx, destination, noiseBuffer, time, pitch, decay, level) {
+    if (level <= 0) {
+      return;
+    }
+    
+    // Tonal body with a falling pitch
+    const bodyOsc = ctx.createOscillator();
+    bodyOsc.type = 'sine';
+    bodyOsc.frequency.setValueAtTime(pitch, time);
+    bodyOsc.frequency.exponentialRampToValueAtTime(pitch * 0.6, time + decay);
+    
+    const bodyGain = ctx.createGain();
+    bodyGain.gain.setValueAtTime(0, time);
+    bodyGain.gain.linearRampToValueAtTime(level, time + 0.012);
+    bodyGain.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+    
+    // Filtered noise thump
+    const thump = ctx.createBufferSource();
+    thump.buffer = noiseBuffer;
+    
+    const thumpFilter = ctx.createBiquadFilter();
+    thumpFilter.type = 'lowpass';
+    thumpFilter.frequency.value = 180;
+    
+    const thumpGain = ctx.createGain();
+    thumpGain.gain.setValueAtTime(0, time);
+    thumpGain.gain.linearRampToValueAtTime(level * 0.5, time + 0.008);
+    thumpGain.gain.exponentialRampToValueAtTime(0.0001, time + decay * 0.8);
+    
+    // Connect heart sound nodes
+    bodyOsc.connect(bodyGain);
+    bodyGain.connect(destination);
+    thump.connect(thumpFilter);
+    thumpFilter.connect(thumpGain);
+    thumpGain.connect(destination);
+    
+    // Start and stop the heart sound
+    bodyOsc.start(time);
+    bodyOsc.stop(time + decay + 0.05);
+    thump.start(time);
+    thump.stop(time + decay + 0.05);
+    
+    this.handle.addEvent([bodyOsc, bodyGain, thump, thumpFilter, thumpGain]);
+  },
+  
+  /**
+   * Map the heartbeat muffling amount to a low-pass cutoff
+   * @param {number} muffling - Muffling amount (0 to 1)
+   * @returns {number} Cutoff frequency in Hz
+   */
+  getMuffleCutoff(muffling) {
+    // Exponential sweep from an open 2 kHz down to a heavily muffled 150 Hz
+    return 2000 * Math.pow(150 / 2000, muffling);
+  }
+});
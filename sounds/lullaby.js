@@ -0,0 +1,169 @@
+/**
+ * Wombcore 3000 - Lullaby
+ * Plays melodies from the lullaby library (lullabies.js).
+ */
+
+registerSoundModule({
+  id: 'lullaby',
+  label: 'Lullaby',
+  techLabel: 'MELODIC HARMONY',
+  techDetail: 'Sleep Cycle Resonator',
+  icon: '🪤',
+  params: {
+    melody: {
+      type: 'select',
+      label: 'MELODY',
+      default: 'wombcore',
+      // Read when the picker is rendered, so imported melodies show up too
+      options: () => Object.keys(LULLABIES).map(melodyId => ({ value: melodyId, label: LULLABIES[melodyId].name }))
+    },
+    instrument: {
+      type: 'select',
+      label: 'INSTRUMENT',
+      default: 'music-box',
+      options: [
+        { value: 'music-box', label: 'Music Box' },
+        { value: 'soft-pad', label: 'Soft Pad' },
+        { value: 'harp', label: 'Harp' }
+      ]
+    },
+    tempo: { type: 'range', label: 'TEMPO', default: 60, min: 30, max: 120, step: 1, unit: 'BPM' },
+    transpose: { type: 'range', label: 'TRANSPOSE', default: 0, min: -12, max: 12, step: 1, unit: 'ST', signed: true }
+  },
+  
+  /**
+   * Generate gentle lullaby melody
+   * Notes are scheduled ahead on the audio clock so the melody keeps time in a background tab
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    // Create gain node for the melody
+    const melodyGain = ctx.createGain();
+    melodyGain.gain.value = 0.25;
+    melodyGain.connect(destination);
+    
+    const scheduleAheadTime = this.getScheduleAheadTime(ctx);
+    let melodyId = params.melody;
+    let notes = getMelodyNotes(melodyId);
+    let noteIndex = 0;
+    let nextNoteTime = ctx.currentTime + 0.1;
+    
+    const scheduleNotes = () => {
+      // Start the new melody from the top when the selection changes
+      if (params.melody !== melodyId) {
+        melodyId = params.melody;
+        notes = getMelodyNotes(melodyId);
+        noteIndex = 0;
+      }
+      
+      while (nextNoteTime < ctx.currentTime + scheduleAheadTime) {
+        const note = notes[noteIndex % notes.length];
+        const beatLength = 60 / params.tempo;
+        const duration = note.duration * beatLength;
+        
+        if (note.freq) {
+          const freq = note.freq * Math.pow(2, params.transpose / 12);
+          this.createLullabyNote(ctx, melodyGain, params.instrument, freq, nextNoteTime, duration);
+        }
+        
+        nextNoteTime += duration;
+        noteIndex++;
+      }
+    };
+    
+    scheduleNotes();
+    this.handle.setInterval(scheduleNotes, SCHEDULER_INTERVAL);
+    this.handle.addNodes(melodyGain);
+  },
+  
+  /**
+   * Helper method to create one lullaby note with the chosen instrument
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the note to
+   * @param {string} instrument - 'music-box', 'soft-pad' or 'harp'
+   * @param {number} freq - Frequency in Hz
+   * @param {number} time - Audio clock time the note starts
+   * @param {number} duration - Note length in seconds
+   */
+  createLullabyNote(ctx, destination, instrument, freq, time, duration) {
+    const noteGain = ctx.createGain();
+    noteGain.gain.setValueAtTime(0, time);
+    noteGain.connect(destination);
+    
+    // Every node of the note, released together once it has rung out
+    const noteNodes = [noteGain];
+    let oscillators;
+    let endTime;
+    
+    if (instrument === 'soft-pad') {
+      // Two slightly detuned triangles, softened by a low-pass filter, with slow attack and release
+      const padFilter = ctx.createBiquadFilter();
+      padFilter.type = 'lowpass';
+      padFilter.frequency.value = 1200;
+      padFilter.connect(noteGain);
+      noteNodes.push(padFilter);
+      
+      oscillators = [-6, 6].map(detune => {
+        const osc = ctx.createOscillator();
+        osc.type = 'triangle';
+        osc.frequency.value = freq;
+        osc.detune.value = detune;
+        osc.connect(padFilter);
+        return osc;
+      });
+      
+      const attack = Math.min(0.3, duration / 2);
+      noteGain.gain.linearRampToValueAtTime(0.5, time + attack);
+      noteGain.gain.setValueAtTime(0.5, time + duration);
+      noteGain.gain.linearRampToValueAtTime(0, time + duration + 0.6);
+      endTime = time + duration + 0.6;
+    } else if (instrument === 'harp') {
+      // Plucked string: bright attack that darkens as it decays
+      const pluckFilter = ctx.createBiquadFilter();
+      pluckFilter.type = 'lowpass';
+      pluckFilter.frequency.setValueAtTime(3000, time);
+      pluckFilter.frequency.exponentialRampToValueAtTime(600, time + 0.4);
+      pluckFilter.connect(noteGain);
+      noteNodes.push(pluckFilter);
+      
+      oscillators = [[1, 'triangle'], [2, 'sine']].map(([harmonic, type]) => {
+        const osc = ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.value = freq * harmonic;
+        osc.connect(pluckFilter);
+        return osc;
+      });
+      
+      noteGain.gain.linearRampToValueAtTime(0.6, time + 0.003);
+      noteGain.gain.exponentialRampToValueAtTime(0.0001, time + 1.2);
+      endTime = time + 1.2;
+    } else {
+      // Music box: a sine tine with a slightly inharmonic overtone and a long bell-like decay
+      oscillators = [[1, 1], [2, 0.3], [5.4, 0.08]].map(([harmonic, level]) => {
+        const osc = ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.value = freq * harmonic;
+        
+        const partialGain = ctx.createGain();
+        partialGain.gain.value = level;
+        osc.connect(partialGain);
+        partialGain.connect(noteGain);
+        noteNodes.push(partialGain);
+        return osc;
+      });
+      
+      noteGain.gain.linearRampToValueAtTime(0.6, time + 0.005);
+      noteGain.gain.exponentialRampToValueAtTime(0.0001, time + 1.5);
+      endTime = time + 1.5;
+    }
+    
+    oscillators.forEach(osc => {
+      osc.start(time);
+      osc.stop(endTime);
+    });
+    
+    this.handle.addEvent(noteNodes.concat(oscillators));
+  }
+});
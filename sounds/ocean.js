@@ -0,0 +1,243 @@
+/**
+ * Wombcore 3000 - Ocean Waves
+ * Each wave is scheduled on its own: it swells up with a rising filter
+ * cutoff, breaks at its crest, then washes out as a fizzing foam layer.
+ * Wave periods, heights and positions are randomized so no two are alike.
+ */
+
+// Number of wave lanes; waves take turns so one can wash out while the next builds
+const OCEAN_WAVE_LANES = 3;
+
+// Average seconds between waves on a calm lagoon and a stormy shore
+const OCEAN_CALM_PERIOD = 11;
+const OCEAN_STORM_PERIOD = 6;
+
+// Peak level of the swell layer for the tallest wave
+const OCEAN_SWELL_LEVEL = 0.4;
+
+// Peak level of the foam layer for the tallest wave on a stormy shore
+const OCEAN_FOAM_LEVEL = 0.3;
+
+// Nearest and farthest listening distance (metres)
+const OCEAN_MIN_DISTANCE = 5;
+const OCEAN_MAX_DISTANCE = 100;
+
+registerSoundModule({
+  id: 'ocean',
+  label: 'Ocean Waves',
+  techLabel: 'OCEANIC INDUCTION',
+  techDetail: 'Theta Wave Harmonic',
+  icon: '🫧',
+  position: { x: 0, y: -0.9 },
+  params: {
+    intensity: { type: 'range', label: 'CALM LAGOON ↔ STORMY SHORE', default: 0.35, min: 0, max: 1, step: 0.01, unit: '%' },
+    distance: { type: 'range', label: 'DISTANCE TO SHORE', default: 20, min: OCEAN_MIN_DISTANCE, max: OCEAN_MAX_DISTANCE, step: 5, unit: 'm' }
+  },
+  
+  /**
+   * Generate ocean waves sound
+   * A steady surf bed sits under waves that are scheduled ahead on the audio clock
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    // Distance stage: far-off surf is quieter and loses its highs to the air
+    const distanceFilter = ctx.createBiquadFilter();
+    distanceFilter.type = 'lowpass';
+    distanceFilter.frequency.value = this.getDistanceCutoff(params.distance);
+    
+    const distanceGain = ctx.createGain();
+    distanceGain.gain.value = this.getDistanceLevel(params.distance);
+    
+    distanceFilter.connect(distanceGain);
+    distanceGain.connect(destination);
+    
+    // Low rumble of distant surf, one decorrelated source per side
+    const bedGain = ctx.createGain();
+    bedGain.gain.value = this.getBedLevel(params.intensity);
+    bedGain.connect(distanceFilter);
+    
+    const bedNodes = [];
+    [-1, 1].forEach(side => {
+      const bedNoise = createNoiseSource(ctx, { color: 'brown' });
+      
+      const bedFilter = ctx.createBiquadFilter();
+      bedFilter.type = 'lowpass';
+      bedFilter.frequency.value = 350;
+      
+      const bedPanner = ctx.createStereoPanner();
+      bedPanner.pan.value = side * this.getStereoSpread(params.distance) * 0.6;
+      
+      bedNoise.connect(bedFilter);
+      bedFilter.connect(bedPanner);
+      bedPanner.connect(bedGain);
+      
+      bedNodes.push({ side, noise: bedNoise, filter: bedFilter, panner: bedPanner });
+    });
+    
+    // Wave lanes: one noise source feeds both the swell and the foam of a wave
+    const lanes = [];
+    for (let i = 0; i < OCEAN_WAVE_LANES; i++) {
+      const noise = createNoiseSource(ctx, { color: 'white' });
+      
+      // Swell layer, whose cutoff rises as the wave builds to its crest
+      const swellFilter = ctx.createBiquadFilter();
+      swellFilter.type = 'lowpass';
+      swellFilter.Q.value = 0.7;
+      
+      const swellGain = ctx.createGain();
+      swellGain.gain.value = 0;
+      
+      // Foam layer, the hiss of the wash after the wave breaks
+      const foamFilter = ctx.createBiquadFilter();
+      foamFilter.type = 'bandpass';
+      foamFilter.frequency.value = 4500;
+      foamFilter.Q.value = 0.5;
+      
+      const foamGain = ctx.createGain();
+      foamGain.gain.value = 0;
+      
+      const panner = ctx.createStereoPanner();
+      
+      noise.connect(swellFilter);
+      swellFilter.connect(swellGain);
+      swellGain.connect(panner);
+      noise.connect(foamFilter);
+      foamFilter.connect(foamGain);
+      foamGain.connect(panner);
+      panner.connect(distanceFilter);
+      
+      lanes.push({ noise, swellFilter, swellGain, foamFilter, foamGain, panner });
+    }
+    
+    const scheduleAheadTime = this.getScheduleAheadTime(ctx);
+    let nextWaveTime = ctx.currentTime + 0.1;
+    let nextLane = 0;
+    
+    const scheduleWaves = () => {
+      const now = ctx.currentTime;
+      
+      // Pick up changes to the intensity and distance controls
+      distanceFilter.frequency.setTargetAtTime(this.getDistanceCutoff(params.distance), now, 0.5);
+      distanceGain.gain.setTargetAtTime(this.getDistanceLevel(params.distance), now, 0.5);
+      bedGain.gain.setTargetAtTime(this.getBedLevel(params.intensity), now, 0.5);
+      bedNodes.forEach(bed => {
+        bed.panner.pan.setTargetAtTime(bed.side * this.getStereoSpread(params.distance) * 0.6, now, 0.5);
+      });
+      
+      while (nextWaveTime < now + scheduleAheadTime) {
+        const averagePeriod = OCEAN_CALM_PERIOD + (OCEAN_STORM_PERIOD - OCEAN_CALM_PERIOD) * params.intensity;
+        const period = averagePeriod * (0.75 + Math.random() * 0.5);
+        
+        this.createWave(lanes[nextLane], nextWaveTime, period, params);
+        
+        nextLane = (nextLane + 1) % lanes.length;
+        nextWaveTime += period;
+      }
+    };
+    
+    scheduleWaves();
+    this.handle.setInterval(scheduleWaves, SCHEDULER_INTERVAL);
+    
+    // Hand the nodes to the voice's handle so stop() releases them
+    this.handle.addNodes(distanceFilter, distanceGain, bedGain);
+    bedNodes.forEach(bed => {
+      this.handle.addNodes(bed.noise, bed.filter, bed.panner);
+    });
+    lanes.forEach(lane => {
+      this.handle.addNodes(lane.noise, lane.swellFilter, lane.swellGain, lane.foamFilter, lane.foamGain, lane.panner);
+    });
+  },
+  
+  /**
+   * Helper method to schedule one wave on a wave lane
+   * The wave builds for just over half its period, then its wash runs on into the next wave.
+   * @param {Object} lane - Swell, foam and panner nodes of the lane
+   * @param {number} time - Audio clock time the wave starts building
+   * @param {number} period - Seconds until the next wave
+   * @param {Object} params - Live parameter values
+   */
+  createWave(lane, time, period, params) {
+    // Mostly modest waves, with the occasional big one
+    let height = 0.55 + Math.random() * 0.3;
+    if (Math.random() < 0.15) {
+      height = 1;
+    }
+    
+    const breakTime = time + period * 0.55;
+    const washLength = period * 1.1;
+    const endTime = breakTime + washLength;
+    
+    // Swell: a slow build that steepens just before the crest, then a long draw back
+    const swellPeak = OCEAN_SWELL_LEVEL * height * (0.5 + params.intensity * 0.5);
+    lane.swellGain.gain.setValueAtTime(0, time);
+    lane.swellGain.gain.linearRampToValueAtTime(swellPeak * 0.3, time + period * 0.35);
+    lane.swellGain.gain.linearRampToValueAtTime(swellPeak, breakTime);
+    lane.swellGain.gain.linearRampToValueAtTime(swellPeak * 0.35, breakTime + washLength * 0.3);
+    lane.swellGain.gain.linearRampToValueAtTime(0, endTime);
+    
+    // Crest: the cutoff opens up as the wave rises and closes again as it drains away
+    const baseCutoff = 300 + params.intensity * 200;
+    const crestCutoff = baseCutoff + height * (900 + params.intensity * 2600);
+    lane.swellFilter.frequency.setValueAtTime(baseCutoff, time);
+    lane.swellFilter.frequency.exponentialRampToValueAtTime(crestCutoff, breakTime);
+    lane.swellFilter.frequency.exponentialRampToValueAtTime(baseCutoff, breakTime + washLength * 0.6);
+    
+    // Foam: silent until the break, a burst of hiss, then fizzing out over the wash
+    const foamPeak = OCEAN_FOAM_LEVEL * height * (0.2 + params.intensity * 0.8);
+    lane.foamGain.gain.setValueAtTime(0, time);
+    lane.foamGain.gain.setValueAtTime(0, breakTime - 0.15);
+    lane.foamGain.gain.linearRampToValueAtTime(foamPeak, breakTime + 0.1);
+    lane.foamGain.gain.linearRampToValueAtTime(foamPeak * 0.4, breakTime + washLength * 0.35);
+    lane.foamGain.gain.linearRampToValueAtTime(0, endTime);
+    
+    // Each wave breaks somewhere along the shore and its wash spreads sideways
+    const spread = this.getStereoSpread(params.distance);
+    const breakPan = (Math.random() * 2 - 1) * spread;
+    const washPan = Math.max(-1, Math.min(1, breakPan + (Math.random() * 2 - 1) * 0.3 * spread));
+    lane.panner.pan.setValueAtTime(breakPan, time);
+    lane.panner.pan.setValueAtTime(breakPan, breakTime);
+    lane.panner.pan.linearRampToValueAtTime(washPan, endTime);
+  },
+  
+  /**
+   * Map the distance to shore to the cutoff of the air absorption filter
+   * @param {number} distance - Distance in metres
+   * @returns {number} Cutoff frequency in Hz
+   */
+  getDistanceCutoff(distance) {
+    // 18 kHz right at the waterline, about 2.5 kHz from the far end of the beach
+    return 18000 * Math.pow(OCEAN_MIN_DISTANCE / distance, 0.65);
+  },
+  
+  /**
+   * Map the distance to shore to an output level
+   * @param {number} distance - Distance in metres
+   * @returns {number} Linear gain
+   */
+  getDistanceLevel(distance) {
+    // Gentler than real spreading loss, so the far shore stays audible
+    return Math.pow(OCEAN_MIN_DISTANCE / distance, 0.27);
+  },
+  
+  /**
+   * Map the distance to shore to how wide the waves spread across the stereo field
+   * @param {number} distance - Distance in metres
+   * @returns {number} Spread from 0 (centre) to 1 (full width)
+   */
+  getStereoSpread(distance) {
+    // Up close the surf surrounds you; from afar the shore is a narrower strip
+    const farness = (distance - OCEAN_MIN_DISTANCE) / (OCEAN_MAX_DISTANCE - OCEAN_MIN_DISTANCE);
+    return 1 - farness * 0.6;
+  },
+  
+  /**
+   * Map the intensity to the level of the surf bed
+   * @param {number} intensity - Calm lagoon (0) to stormy shore (1)
+   * @returns {number} Linear gain
+   */
+  getBedLevel(intensity) {
+    return 0.05 + intensity * 0.15;
+  }
+});
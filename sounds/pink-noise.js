@@ -0,0 +1,25 @@
+/**
+ * Wombcore 3000 - Pink Noise
+ */
+
+registerSoundModule({
+  id: 'pink-noise',
+  label: 'Pink Noise',
+  techLabel: 'BALANCED SPECTRUM',
+  techDetail: 'Equal-Energy Octaves',
+  icon: '🩷',
+  params: {
+    slope: { type: 'range', label: 'COLOR TILT', default: -3, min: -6, max: 6, step: 0.5, unit: 'dB/OCT', signed: true }
+  },
+  
+  /**
+   * Generate pink noise
+   * Pink noise falls by 3 dB per octave, so every octave carries the same energy
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    createColoredNoise(ctx, destination, params, this.handle);
+  }
+});
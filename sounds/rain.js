@@ -0,0 +1,259 @@
+/**
+ * Wombcore 3000 - Rain
+ * Granular rain: a wash of filtered noise for the drops too small to hear
+ * one by one, with individual droplets scheduled on the audio clock on top.
+ * The surface the rain falls on shapes both, and distant thunder can roll
+ * in now and then.
+ */
+
+// How rain sounds on each surface: the wash filter, the droplet resonance
+// ranges (Hz, seconds) and how much of a tonal ping each droplet has
+const RAIN_SURFACES = {
+  roof: {
+    label: 'Roof',
+    washFrequency: 2500, washQ: 0.5,
+    dropFrequency: [1800, 4500], dropQ: 3, dropDecay: [0.02, 0.06],
+    tone: 0.15, toneGlide: 1, level: 1
+  },
+  leaves: {
+    label: 'Leaves',
+    washFrequency: 4500, washQ: 0.4,
+    dropFrequency: [3000, 8000], dropQ: 1.2, dropDecay: [0.03, 0.09],
+    tone: 0, toneGlide: 1, level: 0.7
+  },
+  window: {
+    label: 'Window',
+    washFrequency: 3500, washQ: 0.7,
+    dropFrequency: [3000, 7000], dropQ: 6, dropDecay: [0.01, 0.035],
+    tone: 0.5, toneGlide: 1.3, level: 0.8
+  },
+  tent: {
+    label: 'Tent',
+    washFrequency: 1200, washQ: 0.6,
+    dropFrequency: [300, 900], dropQ: 2.5, dropDecay: [0.04, 0.12],
+    tone: 0.6, toneGlide: 0.6, level: 1
+  }
+};
+
+// Droplets per second for a light drizzle; a downpour has RAIN_DROP_RANGE times as many
+const RAIN_DRIZZLE_DROPS = 4;
+const RAIN_DROP_RANGE = 15;
+
+// Peak level of a thunder rumble
+const RAIN_THUNDER_LEVEL = 0.6;
+
+registerSoundModule({
+  id: 'rain',
+  label: 'Rain',
+  techLabel: 'PRECIPITATION SIMULATOR',
+  techDetail: 'Hydro-acoustic Resonance',
+  icon: '🪣',
+  position: { x: 0, y: 0 }, // Overhead
+  params: {
+    intensity: { type: 'range', label: 'DRIZZLE ↔ DOWNPOUR', default: 0.5, min: 0, max: 1, step: 0.01, unit: '%' },
+    surface: {
+      type: 'select',
+      label: 'SURFACE',
+      default: 'roof',
+      options: Object.keys(RAIN_SURFACES).map(surfaceId => ({ value: surfaceId, label: RAIN_SURFACES[surfaceId].label }))
+    },
+    thunder: { type: 'range', label: 'DISTANT THUNDER', default: 0, min: 0, max: 30, step: 1, unit: 'PER HOUR' }
+  },
+  
+  /**
+   * Generate rain sound
+   * Droplets and thunder are scheduled ahead on the audio clock
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    // Create noise for the rain wash
+    const rainBase = createNoiseSource(ctx, { color: 'white' });
+    
+    // Create filter for the wash, tuned to the surface
+    const rainFilter = ctx.createBiquadFilter();
+    rainFilter.type = 'bandpass';
+    rainFilter.frequency.value = this.getSurface(params.surface).washFrequency;
+    rainFilter.Q.value = this.getSurface(params.surface).washQ;
+    
+    // Create gain node for the wash, which thickens as the rain gets heavier
+    const washGain = ctx.createGain();
+    washGain.gain.value = this.getWashLevel(params.intensity);
+    
+    // Create dynamics compressor to glue the wash and droplets together
+    const compressor = ctx.createDynamicsCompressor();
+    compressor.threshold.value = -20;
+    compressor.knee.value = 30;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0.003;
+    compressor.release.value = 0.25;
+    
+    // Create gain node for rain volume
+    const rainGain = ctx.createGain();
+    rainGain.gain.value = 0.3;
+    
+    // Connect nodes
+    rainBase.connect(rainFilter);
+    rainFilter.connect(washGain);
+    washGain.connect(compressor);
+    compressor.connect(rainGain);
+    rainGain.connect(destination);
+    
+    // Distant thunder: brown noise rumbling through a low-pass filter, silent between rolls
+    const thunderNoise = createNoiseSource(ctx, { color: 'brown' });
+    
+    const thunderFilter = ctx.createBiquadFilter();
+    thunderFilter.type = 'lowpass';
+    thunderFilter.frequency.value = 120;
+    
+    const thunderGain = ctx.createGain();
+    thunderGain.gain.value = 0;
+    
+    thunderNoise.connect(thunderFilter);
+    thunderFilter.connect(thunderGain);
+    thunderGain.connect(destination);
+    
+    // Short burst of noise that every droplet plays a slice of
+    const dropBuffer = createNoiseBuffer(ctx, 0.5);
+    
+    const scheduleAheadTime = this.getScheduleAheadTime(ctx);
+    let nextDropTime = ctx.currentTime + 0.05;
+    let nextThunderCheck = ctx.currentTime + 1;
+    let thunderEndTime = 0;
+    
+    const scheduleRain = () => {
+      const now = ctx.currentTime;
+      const surface = this.getSurface(params.surface);
+      
+      // Pick up changes to the intensity and surface controls
+      washGain.gain.setTargetAtTime(this.getWashLevel(params.intensity), now, 0.3);
+      rainFilter.frequency.setTargetAtTime(surface.washFrequency, now, 0.3);
+      rainFilter.Q.setTargetAtTime(surface.washQ, now, 0.3);
+      
+      // Droplets land at random, on average dropRate times a second
+      const dropRate = RAIN_DRIZZLE_DROPS * Math.pow(RAIN_DROP_RANGE, params.intensity);
+      while (nextDropTime < now + scheduleAheadTime) {
+        this.createDroplet(ctx, compressor, dropBuffer, surface, nextDropTime);
+        nextDropTime += -Math.log(1 - Math.random()) / dropRate;
+      }
+      
+      // Roll the dice once a second, so the thunder rate can change at any time
+      while (nextThunderCheck < now + scheduleAheadTime) {
+        if (nextThunderCheck > thunderEndTime && Math.random() < params.thunder / 3600) {
+          thunderEndTime = this.createThunder(thunderFilter, thunderGain, nextThunderCheck);
+        }
+        nextThunderCheck += 1;
+      }
+    };
+    
+    scheduleRain();
+    this.handle.setInterval(scheduleRain, SCHEDULER_INTERVAL);
+    
+    // Hand the nodes to the voice's handle so stop() releases them
+    this.handle.addNodes(rainBase, rainFilter, washGain, compressor, rainGain, thunderNoise, thunderFilter, thunderGain);
+  },
+  
+  /**
+   * Helper method to create one droplet
+   * A slice of noise rings a resonant filter, with an optional pitched ping on top.
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the droplet to
+   * @param {AudioBuffer} dropBuffer - Noise to take the droplet's slice from
+   * @param {Object} surface - Entry of RAIN_SURFACES the droplet lands on
+   * @param {number} time - Audio clock time the droplet lands
+   */
+  createDroplet(ctx, destination, dropBuffer, surface, time) {
+    const [minFrequency, maxFrequency] = surface.dropFrequency;
+    const [minDecay, maxDecay] = surface.dropDecay;
+    const frequency = minFrequency * Math.pow(maxFrequency / minFrequency, Math.random());
+    const decay = minDecay + Math.random() * (maxDecay - minDecay);
+    const level = surface.level * (0.05 + Math.random() * 0.2);
+    
+    const dropGain = ctx.createGain();
+    dropGain.gain.setValueAtTime(level, time);
+    dropGain.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+    dropGain.connect(destination);
+    
+    // Noise impact through a resonance at the droplet's pitch
+    const dropFilter = ctx.createBiquadFilter();
+    dropFilter.type = 'bandpass';
+    dropFilter.frequency.value = frequency;
+    dropFilter.Q.value = surface.dropQ;
+    dropFilter.connect(dropGain);
+    
+    const drop = ctx.createBufferSource();
+    drop.buffer = dropBuffer;
+    drop.connect(dropFilter);
+    drop.start(time, Math.random() * (dropBuffer.duration - decay));
+    drop.stop(time + decay);
+    
+    const dropNodes = [dropGain, dropFilter, drop];
+    
+    // Pitched ping for hard or taut surfaces, gliding up on glass and down on fabric
+    if (surface.tone > 0) {
+      const pingGain = ctx.createGain();
+      pingGain.gain.value = surface.tone;
+      pingGain.connect(dropGain);
+      
+      const ping = ctx.createOscillator();
+      ping.type = 'sine';
+      ping.frequency.setValueAtTime(frequency, time);
+      ping.frequency.exponentialRampToValueAtTime(frequency * surface.toneGlide, time + decay);
+      ping.connect(pingGain);
+      ping.start(time);
+      ping.stop(time + decay);
+      dropNodes.push(pingGain, ping);
+    }
+    
+    this.handle.addEvent(dropNodes);
+  },
+  
+  /**
+   * Helper method to schedule one roll of distant thunder
+   * A few swelling rolls that darken as they fade into a long tail.
+   * @param {BiquadFilterNode} thunderFilter - Low-pass filter of the thunder layer
+   * @param {GainNode} thunderGain - Gain of the thunder layer
+   * @param {number} time - Audio clock time the thunder starts
+   * @returns {number} Audio clock time the thunder has died away
+   */
+  createThunder(thunderFilter, thunderGain, time) {
+    const peak = RAIN_THUNDER_LEVEL * (0.5 + Math.random() * 0.5);
+    const rolls = 2 + Math.floor(Math.random() * 3);
+    
+    thunderGain.gain.setValueAtTime(0, time);
+    thunderFilter.frequency.setValueAtTime(250 + Math.random() * 150, time);
+    
+    let rollTime = time;
+    for (let i = 0; i < rolls; i++) {
+      rollTime += 0.3 + Math.random() * 0.5;
+      thunderGain.gain.linearRampToValueAtTime(peak * (0.5 + Math.random() * 0.5), rollTime);
+      rollTime += 0.8 + Math.random() * 0.7;
+      thunderGain.gain.linearRampToValueAtTime(peak * 0.3, rollTime);
+    }
+    
+    const endTime = rollTime + 3 + Math.random() * 2;
+    thunderGain.gain.linearRampToValueAtTime(0, endTime);
+    thunderFilter.frequency.exponentialRampToValueAtTime(80, endTime);
+    
+    return endTime;
+  },
+  
+  /**
+   * Look up a rain surface, falling back to the roof for unknown ids (e.g. from an old preset)
+   * @param {string} surfaceId - Key of RAIN_SURFACES
+   * @returns {Object} Surface settings
+   */
+  getSurface(surfaceId) {
+    return RAIN_SURFACES[surfaceId] || RAIN_SURFACES.roof;
+  },
+  
+  /**
+   * Map the rain intensity to the level of the wash
+   * @param {number} intensity - Drizzle (0) to downpour (1)
+   * @returns {number} Linear gain
+   */
+  getWashLevel(intensity) {
+    return 0.1 + intensity * 0.9;
+  }
+});
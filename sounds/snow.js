@@ -0,0 +1,63 @@
+/**
+ * Wombcore 3000 - Snow
+ */
+
+registerSoundModule({
+  id: 'snow',
+  label: 'Snow',
+  techLabel: 'CRYOGENIC AMBIENCE',
+  techDetail: 'Thermal Noise Dampener',
+  icon: '🫥',
+  
+  /**
+   * Generate snow/gentle breeze sound
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   */
+  start(ctx, destination) {
+    // Create noise for snow base (very soft white noise)
+    const snowBase = createNoiseSource(ctx, { color: 'white' });
+    
+    const snowLevel = ctx.createGain();
+    snowLevel.gain.value = 0.35; // Lower amplitude
+    
+    // Create filter for snow sound (gentle high frequencies)
+    const snowFilter = ctx.createBiquadFilter();
+    snowFilter.type = 'highpass';
+    snowFilter.frequency.value = 1500;
+    
+    // Add another filter to shape the sound
+    const secondFilter = ctx.createBiquadFilter();
+    secondFilter.type = 'lowpass';
+    secondFilter.frequency.value = 7500;
+    
+    // Create gain node for gentle volume
+    const snowGain = ctx.createGain();
+    snowGain.gain.value = 0.2;
+    
+    // Create LFO for subtle wind effect
+    const windLFO = ctx.createOscillator();
+    windLFO.type = 'sine';
+    windLFO.frequency.value = 0.05; // Very slow modulation
+    
+    const windLFOGain = ctx.createGain();
+    windLFOGain.gain.value = 0.05; // Subtle effect
+    
+    // Connect wind LFO to the main gain
+    windLFO.connect(windLFOGain);
+    windLFOGain.connect(snowGain.gain);
+    
+    // Connect snow nodes
+    snowBase.connect(snowLevel);
+    snowLevel.connect(snowFilter);
+    snowFilter.connect(secondFilter);
+    secondFilter.connect(snowGain);
+    snowGain.connect(destination);
+    
+    // Start wind LFO
+    windLFO.start();
+    
+    // Hand the nodes to the voice's handle so stop() releases them
+    this.handle.addNodes(snowBase, snowLevel, snowFilter, secondFilter, snowGain, windLFO, windLFOGain);
+  }
+});
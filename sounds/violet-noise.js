@@ -0,0 +1,25 @@
+/**
+ * Wombcore 3000 - Violet Noise
+ */
+
+registerSoundModule({
+  id: 'violet-noise',
+  label: 'Violet Noise',
+  techLabel: 'ULTRA-BAND HISS',
+  techDetail: 'Tinnitus Masking Array',
+  icon: '🔮',
+  params: {
+    slope: { type: 'range', label: 'COLOR TILT', default: 6, min: -6, max: 6, step: 0.5, unit: 'dB/OCT', signed: true }
+  },
+  
+  /**
+   * Generate violet noise
+   * Violet noise rises by 6 dB per octave, mostly high-pitched hiss
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   * @param {Object} params - Live parameter values
+   */
+  start(ctx, destination, params) {
+    createColoredNoise(ctx, destination, params, this.handle);
+  }
+});
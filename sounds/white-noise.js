@@ -0,0 +1,32 @@
+/**
+ * Wombcore 3000 - White Noise
+ */
+
+registerSoundModule({
+  id: 'white-noise',
+  label: 'White Noise',
+  techLabel: 'SPECTRUM MASKING',
+  techDetail: 'Digital Static Protocol',
+  icon: '🫚',
+  
+  /**
+   * Generate white noise
+   * @param {BaseAudioContext} ctx - Audio context to build the sound on
+   * @param {AudioNode} destination - Node to connect the sound's output to
+   */
+  start(ctx, destination) {
+    const whiteNoise = createNoiseSource(ctx, { color: 'white' });
+    
+    // Add a low-pass filter to make it softer
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 1000;
+    
+    // Connect nodes
+    whiteNoise.connect(filter);
+    filter.connect(destination);
+    
+    // Hand the nodes to the voice's handle so stop() releases them
+    this.handle.addNodes(whiteNoise, filter);
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * Wombcore 3000 - Service Worker
+ * Precaches the whole app so it starts without a network once it has been
+ * opened. Each version gets its own cache; a new version installs in the
+ * background and waits until the page asks it to take over, so an update
+ * never cuts off a sound in the middle of the night.
+ */
+
+importScripts('version.js', 'app-scripts.js');
+
+// Cache holding the files of this version
+const CACHE_NAME = `wombcore-${APP_VERSION}`;
+
+// Cache for third-party files that can't be listed up front: the Google Fonts stylesheet and its font files
+const RUNTIME_CACHE_NAME = 'wombcore-runtime';
+
+// Everything the app needs to start offline besides its scripts, which come from app-scripts.js
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'style.css',
+  'manifest.webmanifest',
+  'version.js',
+  'apple-touch-icon.png',
+  'apple-touch-icon-152x152.png',
+  'apple-touch-icon-167x167.png',
+  'apple-touch-icon-180x180.png',
+  'favicon-16x16.png',
+  'favicon-32x32.png',
+  'icon-192x192.png',
+  'icon-512x512.png',
+  'vendor/bootstrap.min.css'
+].concat(ENGINE_SCRIPTS, PAGE_SCRIPTS);
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', event => {
+  // Drop the caches of earlier versions
+  event.waitUntil(
+    caches.keys().then(names => Promise.all(
+      names
+        .filter(name => name.startsWith('wombcore-') && name !== CACHE_NAME && name !== RUNTIME_CACHE_NAME)
+        .map(name => caches.delete(name))
+    )).then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (!event.data) {
+    return;
+  }
+  
+  if (event.data.type === 'GET_VERSION') {
+    event.ports[0].postMessage(APP_VERSION);
+  } else if (event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') {
+    return;
+  }
+  
+  if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(respondFromCache(request));
+  } else {
+    event.respondWith(respondFromRuntimeCache(request));
+  }
+});
+
+/**
+ * Answer a request for one of the app's own files from this version's cache
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response>} Cached response, or the network's for files that aren't precached
+ */
+function respondFromCache(request) {
+  return caches.open(CACHE_NAME).then(cache => {
+    return cache.match(request).then(cached => {
+      if (cached) {
+        return cached;
+      }
+      
+      // Any page under the app's scope gets the app, e.g. with a query string on the URL
+      if (request.mode === 'navigate') {
+        return cache.match('index.html').then(page => page || fetch(request));
+      }
+      return fetch(request);
+    });
+  });
+}
+
+/**
+ * Answer a third-party request from the cache while refreshing it in the background
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response>} Cached response if there is one, otherwise the network's
+ */
+function respondFromRuntimeCache(request) {
+  return caches.match(request).then(cached => {
+    const refresh = caches.open(RUNTIME_CACHE_NAME).then(cache => {
+      return fetch(request).then(response => {
+        // Opaque responses (status 0) from no-cors requests such as fonts are fine to keep
+        if (response.ok || response.type === 'opaque') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      });
+    });
+    
+    if (cached) {
+      refresh.catch(() => {}); // Offline: the cached copy will do
+      return cached;
+    }
+    return refresh;
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * Wombcore 3000 - Script List Tests
+ * Checks that the script lists in app-scripts.js, which the service worker
+ * and wombcore.mjs load from, match the <script> tags of index.html and
+ * cover every sound module in sounds/.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { getPageScripts } = require('./load-app');
+
+// Root of the app, where index.html and the scripts live
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run app-scripts.js and read its lists
+ * @returns {{engine: Array<string>, page: Array<string>}} The engine and page scripts
+ */
+function loadScriptLists() {
+  const context = vm.createContext({});
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'app-scripts.js'), 'utf8'), context);
+  return {
+    engine: [...vm.runInContext('ENGINE_SCRIPTS', context)],
+    page: [...vm.runInContext('PAGE_SCRIPTS', context)]
+  };
+}
+
+test('index.html loads the listed scripts in the listed order', () => {
+  const lists = loadScriptLists();
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  
+  assert.deepEqual(getPageScripts(html), ['version.js'].concat(lists.engine, lists.page));
+});
+
+test('every sound module is listed, and every listed script exists', () => {
+  const lists = loadScriptLists();
+  
+  fs.readdirSync(path.join(ROOT, 'sounds')).filter(file => file.endsWith('.js')).forEach(file => {
+    assert.ok(lists.engine.includes(`sounds/${file}`), `sounds/${file} is missing from ENGINE_SCRIPTS`);
+  });
+  lists.engine.concat(lists.page).forEach(file => {
+    assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} does not exist`);
+  });
+});
+
+test('the service worker and the ES module take their scripts from the lists', () => {
+  const sw = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+  const mjs = fs.readFileSync(path.join(ROOT, 'wombcore.mjs'), 'utf8');
+  
+  assert.match(sw, /importScripts\([^)]*'app-scripts\.js'\)/);
+  assert.match(sw, /\.concat\(ENGINE_SCRIPTS, PAGE_SCRIPTS\)/);
+  assert.match(mjs, /fetchScript\('app-scripts\.js'\)/);
+  assert.match(mjs, /ENGINE_SCRIPTS\.concat\(PLAYER_SCRIPT\)/);
+});
@@ -0,0 +1,126 @@
+/**
+ * Wombcore 3000 - Cry Detector Tests
+ * Feeds prerecorded audio into the detector in place of the microphone,
+ * on a mock audio context whose analyser reads the recording, and checks
+ * when it decides the baby is crying and what it does about it.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+// How often (ms) the tests tick the timers and the audio clock, the detector's analysis interval
+const TICK = 100;
+
+/**
+ * Load the app with a sound machine and a cry detector
+ * @returns {Object} The app, context, machine and detector
+ */
+function setup() {
+  const app = loadApp();
+  const ctx = new MockAudioContext();
+  const machine = new (app.get('SoundMachine'))({ audioContext: ctx });
+  machine.init();
+  const detector = new (app.get('CryDetector'))(machine, { presets: {} });
+  detector.init();
+  
+  return { app, ctx, machine, detector };
+}
+
+/**
+ * Record a quiet room, then a baby crying from some point on
+ * @param {MockAudioContext} ctx - Context to create the buffer on
+ * @param {number} quietSeconds - Length of the quiet part
+ * @param {number} cryingSeconds - Length of the crying part, 0 for a quiet recording
+ * @returns {MockAudioBuffer} Mono recording
+ */
+function recordNursery(ctx, quietSeconds, cryingSeconds) {
+  const buffer = ctx.createBuffer(1, Math.round((quietSeconds + cryingSeconds) * ctx.sampleRate), ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  
+  // Seeded, so every run hears the same room
+  let seed = 1;
+  for (let i = 0; i < data.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    const t = i / ctx.sampleRate;
+    data[i] = 0.002 * (seed / 2147483647 - 0.5);
+    
+    // A wailing cry around 450 Hz with a few harmonics
+    if (t >= quietSeconds) {
+      const pitch = 450 + 40 * Math.sin(2 * Math.PI * 3 * t);
+      data[i] += 0.3 * Math.sin(2 * Math.PI * pitch * t) + 0.1 * Math.sin(4 * Math.PI * pitch * t) + 0.05 * Math.sin(6 * Math.PI * pitch * t);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Play a recording into the detector as if it had been picked as a file
+ * @param {Object} env - Environment from setup()
+ * @param {MockAudioBuffer} buffer - Recording the file decodes to
+ * @returns {Promise} Resolves once the recording plays into the detector
+ */
+function playRecording(env, buffer) {
+  env.ctx.decodeAudioData = () => Promise.resolve(buffer);
+  return env.detector.listenToRecording({ arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)) });
+}
+
+/**
+ * Let time pass on both the timers and the audio clock
+ * @param {Object} env - Environment from setup()
+ * @param {number} seconds - How long to wait
+ */
+function wait(env, seconds) {
+  for (let elapsed = 0; elapsed < seconds * 1000; elapsed += TICK) {
+    env.ctx.advance(TICK / 1000);
+    env.app.timers.advance(TICK);
+  }
+}
+
+test('a quiet room is left alone', async () => {
+  const env = setup();
+  env.machine.play('white-noise');
+  env.machine.setVolume(0.5);
+  
+  await playRecording(env, recordNursery(env.ctx, 4, 0));
+  wait(env, 3.5);
+  assert.equal(env.machine.masterGain.gain.value, 0.5);
+  assert.equal(env.app.document.getElementById('cry-status').textContent, 'LISTENING');
+});
+
+test('a recorded cry raises the volume one step', async () => {
+  const env = setup();
+  env.machine.play('white-noise');
+  env.machine.setVolume(0.5);
+  
+  await playRecording(env, recordNursery(env.ctx, 2, 3));
+  wait(env, 2);
+  assert.equal(env.machine.masterGain.gain.value, 0.5);
+  
+  wait(env, 2);
+  assert.ok(Math.abs(env.machine.masterGain.gain.value - 0.6) < 1e-9);
+  assert.match(env.app.document.getElementById('cry-status').textContent, /^STIRRED /);
+});
+
+test('a cry never turns a volume above the cap down', async () => {
+  const env = setup();
+  env.machine.play('white-noise');
+  env.machine.setVolume(0.9);
+  
+  await playRecording(env, recordNursery(env.ctx, 2, 3));
+  wait(env, 4);
+  assert.match(env.app.document.getElementById('cry-status').textContent, /^STIRRED /);
+  assert.equal(env.machine.masterGain.gain.value, 0.9);
+});
+
+test('the detector stops listening when the recording ends', async () => {
+  const env = setup();
+  await playRecording(env, recordNursery(env.ctx, 1, 0));
+  
+  wait(env, 1.5);
+  assert.equal(env.detector.input, null);
+  assert.equal(env.app.document.getElementById('cry-status').textContent, 'OFF');
+});
@@ -0,0 +1,189 @@
+/**
+ * Wombcore 3000 - Deep Link Tests
+ * Opens the app at URLs with a hash, on a mock audio context, and checks
+ * that the link is offered and played on a tap, that what it couldn't use
+ * is pointed out, and that the hash follows what the sound machine plays.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+/**
+ * Load the app at a URL hash, with its page controls and deep links
+ * @param {string} hash - Hash the page is opened with
+ * @returns {Object} The app, machine, controls, location and the URLs written to the history
+ */
+function setup(hash) {
+  const location = { protocol: 'file:', pathname: '/index.html', search: '', hash: hash };
+  const urls = [];
+  const app = loadApp({
+    location: location,
+    history: {
+      replaceState(state, title, url) {
+        urls.push(url);
+        location.hash = url.includes('#') ? url.slice(url.indexOf('#')) : '';
+      }
+    },
+    addEventListener() {}
+  });
+  
+  const machine = new (app.get('SoundMachine'))({ audioContext: new MockAudioContext() });
+  machine.init();
+  const ui = new (app.get('SoundMachineUI'))(machine, { document: app.document });
+  ui.init();
+  const deepLinks = new (app.get('DeepLinkManager'))(machine);
+  deepLinks.init();
+  
+  return {
+    app,
+    machine,
+    ui,
+    location,
+    urls,
+    banner: app.document.getElementById('link-banner'),
+    notice: app.document.getElementById('link-notice')
+  };
+}
+
+/**
+ * Let the URL catch up with the sound machine
+ * @param {Object} env - Environment from setup()
+ */
+function settle(env) {
+  env.app.timers.advance(env.app.get('LINK_UPDATE_DELAY'));
+}
+
+test('a link is offered in a banner and plays on a tap', () => {
+  const env = setup('#sounds=ocean,heartbeat&volume=40&timer=30&lullaby.tempo=72');
+  
+  assert.equal(env.banner.classList.contains('d-none'), false);
+  assert.equal(env.app.document.getElementById('link-summary').textContent, 'PLAY OCEAN WAVES + HEARTBEAT AT 40% WITH A 30 MIN TIMER?');
+  assert.equal(env.notice.classList.contains('d-none'), true);
+  assert.deepEqual(Object.keys(env.machine.activeSounds), []);
+  
+  env.app.document.getElementById('link-play').click();
+  assert.equal(env.banner.classList.contains('d-none'), true);
+  assert.deepEqual(Object.keys(env.machine.activeSounds).sort(), ['heartbeat', 'ocean']);
+  assert.equal(env.machine.masterGain.gain.value, 0.4);
+  assert.equal(env.machine.timerMinutes, 30);
+  assert.equal(env.machine.getSoundParams('lullaby').tempo, 72);
+});
+
+test('unknown sounds and settings are left out and pointed out', () => {
+  const env = setup('#sounds=rain,thunder&volume=400&rain.depth=3&lullaby.instrument=kazoo');
+  
+  assert.equal(env.notice.classList.contains('d-none'), false);
+  assert.equal(env.notice.textContent, 'Ignored from the link: thunder, volume, rain.depth, lullaby.instrument');
+  
+  env.app.document.getElementById('link-play').click();
+  assert.deepEqual(Object.keys(env.machine.activeSounds), ['rain']);
+  assert.equal(env.machine.getSoundParams('lullaby').instrument, 'music-box');
+});
+
+test('a link with no sound it knows can only be dismissed', () => {
+  const env = setup('#sounds=thunder');
+  
+  assert.equal(env.banner.classList.contains('d-none'), false);
+  assert.equal(env.app.document.getElementById('link-play').classList.contains('d-none'), true);
+  
+  env.app.document.getElementById('link-dismiss').click();
+  assert.equal(env.banner.classList.contains('d-none'), true);
+  assert.equal(env.location.hash, '');
+});
+
+test('the hash follows the sounds, volume, timer and parameters', () => {
+  const env = setup('');
+  assert.equal(env.banner.classList.contains('d-none'), true);
+  
+  env.machine.toggle('ocean');
+  settle(env);
+  assert.equal(env.location.hash, '#sounds=ocean&volume=50');
+  
+  env.machine.setVolume(0.4);
+  env.machine.setTimer(30);
+  env.machine.setSoundParam('ocean', 'intensity', 0.8);
+  settle(env);
+  assert.equal(env.location.hash, '#sounds=ocean&volume=40&timer=30&ocean.intensity=0.8');
+  
+  env.machine.toggle('ocean');
+  settle(env);
+  assert.equal(env.location.hash, '');
+  
+  env.machine.playCombo(['lullaby', 'heartbeat']);
+  env.machine.setSoundParam('lullaby', 'tempo', 72);
+  settle(env);
+  assert.equal(env.location.hash, '#sounds=lullaby,heartbeat&volume=40&lullaby.tempo=72');
+  
+  env.machine.stopAll();
+  settle(env);
+  assert.equal(env.location.hash, '');
+  assert.equal(env.urls.at(-1), '/index.html');
+});
+
+test('the hash follows the mixer, and a link sets it up again', () => {
+  const env = setup('');
+  env.machine.playCombo(['rain', 'ocean']);
+  env.machine.setChannelVolume('rain', 0.5);
+  env.machine.setChannelMute('ocean', true);
+  env.machine.setChannelPosition('rain', 1, 0);
+  settle(env);
+  assert.equal(env.location.hash, '#sounds=ocean,rain&volume=50&ocean.muted=1&rain.volume=0.5&rain.positionX=1');
+  
+  const other = setup(`${env.location.hash}&ocean.solo=yes&ocean.volume=2`);
+  assert.equal(other.notice.textContent, 'Ignored from the link: ocean.solo, ocean.volume');
+  other.app.document.getElementById('link-play').click();
+  assert.deepEqual({ ...other.machine.getChannelSettings('rain') }, { volume: 0.5, muted: false, solo: false, positionX: 1, positionY: 0 });
+  assert.equal(other.machine.getChannelSettings('ocean').muted, true);
+  assert.equal(other.machine.getChannelGainValue('ocean'), 0);
+});
+
+test('dragging the volume slider rewrites the URL once it comes to rest', () => {
+  const env = setup('');
+  env.machine.toggle('rain');
+  settle(env);
+  const writes = env.urls.length;
+  
+  const slider = env.app.document.getElementById('volume-control');
+  for (let step = 1; step <= 50; step++) {
+    slider.value = String(0.5 + step / 100);
+    slider.dispatchEvent(new env.app.context.Event('input'));
+    env.app.timers.advance(20);
+  }
+  assert.equal(env.urls.length, writes);
+  
+  settle(env);
+  assert.equal(env.urls.length, writes + 1);
+  assert.equal(env.location.hash, '#sounds=rain&volume=100');
+});
+
+test('a browser refusing to replace the URL does not break the controls', () => {
+  const env = setup('');
+  env.app.context.history.replaceState = () => {
+    throw new Error('SecurityError: Attempt to use history.replaceState() more than 100 times per 10 seconds');
+  };
+  const warn = console.warn;
+  console.warn = () => {};
+  
+  try {
+    env.machine.toggle('rain');
+    assert.doesNotThrow(() => settle(env));
+    assert.deepEqual(Object.keys(env.machine.activeSounds), ['rain']);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a link waiting in the banner is kept in the URL until it is played or dismissed', () => {
+  const env = setup('#sounds=snow');
+  
+  env.machine.toggle('rain');
+  settle(env);
+  assert.equal(env.location.hash, '#sounds=snow');
+  
+  env.app.document.getElementById('link-dismiss').click();
+  assert.equal(env.location.hash, '#sounds=rain&volume=50');
+});
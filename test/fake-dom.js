@@ -0,0 +1,782 @@
+/**
+ * Wombcore 3000 - Fake DOM
+ * Just enough of the DOM for the app's UI code to run in Node: elements
+ * with attributes, classes, events and simple selectors, and a parser
+ * that builds a document from index.html so tests run against the real
+ * markup.
+ *
+ * Selectors may use tag names, #ids, .classes and [attribute="value"]
+ * filters, joined by spaces for descendants and by commas for a list.
+ *
+ * Custom elements defined on the document's registry are constructed by
+ * createElement(), get a shadow root from attachShadow(), and have their
+ * connected, disconnected and attribute changed callbacks called.
+ */
+
+// Elements that never have children or a closing tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Character references the app's markup uses
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+class FakeEvent {
+  /**
+   * @param {string} type - Event type, such as 'click'
+   * @param {Object} [init] - Event options
+   * @param {boolean} [init.bubbles] - Whether the event bubbles up to the ancestors
+   * @param {*} [init.detail] - Data carried by a custom event
+   */
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = Boolean(init.bubbles);
+    this.detail = init.detail === undefined ? null : init.detail;
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+  
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+  
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+}
+
+class FakeEventTarget {
+  constructor() {
+    this.listeners = {};
+  }
+  
+  /**
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event
+   * @param {Object} [options] - Listener options; once removes the listener after its first call
+   */
+  addEventListener(type, listener, options = {}) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push({ listener, once: Boolean(options.once) });
+  }
+  
+  /**
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener to remove
+   */
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(entry => entry.listener !== listener);
+  }
+  
+  /**
+   * Call the listeners of the target, then of its ancestors if the event bubbles
+   * @param {FakeEvent} event - Event to dispatch
+   * @returns {boolean} False if a listener prevented the default action
+   */
+  dispatchEvent(event) {
+    event.target = this;
+    for (let target = this; target && !event.propagationStopped; target = event.bubbles ? target.parentNode : null) {
+      event.currentTarget = target;
+      (target.listeners[event.type] || []).slice().forEach(entry => {
+        if (entry.once) {
+          target.removeEventListener(event.type, entry.listener);
+        }
+        entry.listener.call(target, event);
+      });
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+class FakeText {
+  /**
+   * @param {string} text - Text of the node
+   */
+  constructor(text) {
+    this.nodeType = 3;
+    this.textContent = text;
+    this.parentNode = null;
+  }
+}
+
+class FakeClassList {
+  /**
+   * @param {FakeElement} element - Element whose class attribute the list reads and writes
+   */
+  constructor(element) {
+    this.element = element;
+  }
+  
+  /**
+   * @returns {Array<string>} Class names of the element
+   */
+  values() {
+    return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  }
+  
+  /**
+   * @param {Array<string>} names - Class names to write back
+   */
+  write(names) {
+    this.element.setAttribute('class', names.join(' '));
+  }
+  
+  /**
+   * @param {...string} names - Class names to add
+   */
+  add(...names) {
+    const classes = this.values();
+    names.forEach(name => {
+      if (!classes.includes(name)) {
+        classes.push(name);
+      }
+    });
+    this.write(classes);
+  }
+  
+  /**
+   * @param {...string} names - Class names to remove
+   */
+  remove(...names) {
+    this.write(this.values().filter(name => !names.includes(name)));
+  }
+  
+  /**
+   * @param {string} name - Class name to flip
+   * @param {boolean} [force] - Add it if true, remove it if false
+   * @returns {boolean} Whether the class is now present
+   */
+  toggle(name, force) {
+    const add = force === undefined ? !this.contains(name) : Boolean(force);
+    if (add) {
+      this.add(name);
+    } else {
+      this.remove(name);
+    }
+    return add;
+  }
+  
+  /**
+   * @param {string} name - Class name to look for
+   * @returns {boolean} True if the element has the class
+   */
+  contains(name) {
+    return this.values().includes(name);
+  }
+}
+
+class FakeElement extends FakeEventTarget {
+  /**
+   * @param {FakeDocument} ownerDocument - Document the element belongs to
+   * @param {string} tagName - Tag name, in any case
+   */
+  constructor(ownerDocument, tagName) {
+    super();
+    this.nodeType = 1;
+    this.ownerDocument = ownerDocument;
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.parentNode = null;
+    this.classList = new FakeClassList(this);
+    this.style = {};
+    
+    // Form state, which starts out from the attributes until it is set
+    this.currentValue = null;
+    this.currentChecked = null;
+  }
+  
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+  
+  get isConnected() {
+    let node = this;
+    while (node.parentNode) {
+      node = node.parentNode;
+    }
+    return node === this.ownerDocument;
+  }
+  
+  get parentElement() {
+    return this.parentNode instanceof FakeElement ? this.parentNode : null;
+  }
+  
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+  
+  set id(id) {
+    this.setAttribute('id', id);
+  }
+  
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+  
+  set className(className) {
+    this.setAttribute('class', className);
+  }
+  
+  get htmlFor() {
+    return this.getAttribute('for') || '';
+  }
+  
+  set htmlFor(id) {
+    this.setAttribute('for', id);
+  }
+  
+  get type() {
+    return this.getAttribute('type') || (this.tagName === 'INPUT' ? 'text' : '');
+  }
+  
+  set type(type) {
+    this.setAttribute('type', type);
+  }
+  
+  get value() {
+    if (this.currentValue !== null) {
+      return this.currentValue;
+    }
+    if (this.tagName === 'SELECT') {
+      const options = this.querySelectorAll('option');
+      const selected = options.find(option => option.hasAttribute('selected')) || options[0];
+      return selected ? selected.value : '';
+    }
+    if (this.tagName === 'OPTION' && !this.hasAttribute('value')) {
+      return this.textContent;
+    }
+    return this.getAttribute('value') || '';
+  }
+  
+  set value(value) {
+    this.currentValue = String(value);
+  }
+  
+  get checked() {
+    return this.currentChecked !== null ? this.currentChecked : this.hasAttribute('checked');
+  }
+  
+  set checked(checked) {
+    this.currentChecked = Boolean(checked);
+  }
+  
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+  
+  set textContent(text) {
+    this.childNodes.forEach(node => {
+      node.parentNode = null;
+    });
+    this.childNodes = [];
+    if (text !== '') {
+      this.appendChild(new FakeText(String(text)));
+    }
+  }
+  
+  /**
+   * Replace the children with parsed markup
+   * @param {string} html - Markup of the new children
+   */
+  set innerHTML(html) {
+    this.textContent = '';
+    parseHTML(this.ownerDocument, html, this);
+  }
+  
+  /**
+   * @param {string} name - Attribute name
+   * @returns {?string} Attribute value, or null if it isn't set
+   */
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+  
+  /**
+   * @param {string} name - Attribute name
+   * @param {*} value - Attribute value
+   */
+  setAttribute(name, value) {
+    const oldValue = this.getAttribute(name);
+    this.attributes.set(name, String(value));
+    this.attributeChanged(name, oldValue);
+  }
+  
+  /**
+   * @param {string} name - Attribute name
+   * @returns {boolean} True if the attribute is set
+   */
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+  
+  /**
+   * @param {string} name - Attribute name
+   */
+  removeAttribute(name) {
+    const oldValue = this.getAttribute(name);
+    this.attributes.delete(name);
+    this.attributeChanged(name, oldValue);
+  }
+  
+  /**
+   * Tell a custom element that one of its observed attributes changed
+   * @param {string} name - Attribute name
+   * @param {?string} oldValue - Value before the change
+   */
+  attributeChanged(name, oldValue) {
+    const observed = this.constructor.observedAttributes || [];
+    if (this.attributeChangedCallback && observed.includes(name)) {
+      this.attributeChangedCallback(name, oldValue, this.getAttribute(name));
+    }
+  }
+  
+  /**
+   * @param {string} name - Attribute name
+   * @param {boolean} [force] - Set it if true, remove it if false
+   * @returns {boolean} Whether the attribute is now set
+   */
+  toggleAttribute(name, force) {
+    const set = force === undefined ? !this.hasAttribute(name) : Boolean(force);
+    if (set) {
+      this.setAttribute(name, '');
+    } else {
+      this.removeAttribute(name);
+    }
+    return set;
+  }
+  
+  /**
+   * @param {FakeElement|FakeText} child - Node to add as the last child
+   * @returns {FakeElement|FakeText} The added node
+   */
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+  
+  /**
+   * @param {...(FakeElement|FakeText|string)} nodes - Nodes or text to add as the last children
+   */
+  append(...nodes) {
+    nodes.forEach(node => {
+      this.appendChild(typeof node === 'string' ? new FakeText(node) : node);
+    });
+  }
+  
+  /**
+   * @param {FakeElement|FakeText} child - Node to add
+   * @param {?FakeElement} reference - Child to add it in front of, or null to add it last
+   * @returns {FakeElement|FakeText} The added node
+   */
+  insertBefore(child, reference) {
+    if (child.parentNode) {
+      child.parentNode.removeChild(child);
+    }
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) {
+      this.childNodes.push(child);
+    } else {
+      this.childNodes.splice(index, 0, child);
+    }
+    child.parentNode = this;
+    if (child.connectedCallback && child.isConnected) {
+      child.connectedCallback();
+    }
+    return child;
+  }
+  
+  /**
+   * @param {FakeElement|FakeText} child - Child to take out
+   * @returns {FakeElement|FakeText} The removed node
+   */
+  removeChild(child) {
+    const wasConnected = child.nodeType === 1 && child.isConnected;
+    this.childNodes = this.childNodes.filter(node => node !== child);
+    child.parentNode = null;
+    if (child.disconnectedCallback && wasConnected) {
+      child.disconnectedCallback();
+    }
+    return child;
+  }
+  
+  /**
+   * Take the element out of its parent
+   */
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+  
+  /**
+   * Give the element a shadow root to hold its own children
+   * @returns {FakeElement} The shadow root
+   */
+  attachShadow() {
+    this.shadowRoot = new FakeElement(this.ownerDocument, '#shadow-root');
+    this.shadowRoot.host = this;
+    return this.shadowRoot;
+  }
+  
+  /**
+   * Dispatch a bubbling click, as a user's click would
+   */
+  click() {
+    this.dispatchEvent(new FakeEvent('click', { bubbles: true }));
+  }
+  
+  focus() {}
+  
+  blur() {}
+  
+  setPointerCapture() {}
+  
+  releasePointerCapture() {}
+  
+  /**
+   * @returns {Object} An empty box at the origin, as nothing is laid out
+   */
+  getBoundingClientRect() {
+    return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+  }
+  
+  /**
+   * @returns {Array<FakeElement>} Every element below this one, in document order
+   */
+  getDescendants() {
+    const descendants = [];
+    this.children.forEach(child => {
+      descendants.push(child, ...child.getDescendants());
+    });
+    return descendants;
+  }
+  
+  /**
+   * @param {string} selectors - Selector list
+   * @returns {Array<FakeElement>} Matching descendants in document order
+   */
+  querySelectorAll(selectors) {
+    const list = parseSelectorList(selectors);
+    return this.getDescendants().filter(element => list.some(selector => matchesSelector(element, selector, this)));
+  }
+  
+  /**
+   * @param {string} selectors - Selector list
+   * @returns {?FakeElement} First matching descendant, or null
+   */
+  querySelector(selectors) {
+    return this.querySelectorAll(selectors)[0] || null;
+  }
+  
+  /**
+   * @param {string} selectors - Selector list
+   * @returns {boolean} True if the element matches one of the selectors
+   */
+  matches(selectors) {
+    return parseSelectorList(selectors).some(selector => matchesSelector(this, selector, null));
+  }
+  
+  /**
+   * @param {string} selectors - Selector list
+   * @returns {?FakeElement} The element itself or its closest ancestor that matches, or null
+   */
+  closest(selectors) {
+    for (let element = this; element; element = element.parentElement) {
+      if (element.matches(selectors)) {
+        return element;
+      }
+    }
+    return null;
+  }
+}
+
+class FakeCustomElementRegistry {
+  constructor() {
+    // Element classes keyed by tag name
+    this.definitions = new Map();
+  }
+  
+  /**
+   * @param {string} name - Tag name of the element
+   * @param {Function} constructor - Class of the element, extending the document's HTMLElement
+   */
+  define(name, constructor) {
+    if (this.definitions.has(name)) {
+      throw new Error(`"${name}" has already been defined`);
+    }
+    this.definitions.set(name, constructor);
+  }
+  
+  /**
+   * @param {string} name - Tag name
+   * @returns {Function|undefined} Class defined for the tag
+   */
+  get(name) {
+    return this.definitions.get(name);
+  }
+  
+  /**
+   * @param {Function} constructor - Class of an element
+   * @returns {?string} Tag name the class is defined for
+   */
+  getName(constructor) {
+    for (const [name, definition] of this.definitions) {
+      if (definition === constructor) {
+        return name;
+      }
+    }
+    return null;
+  }
+}
+
+class FakeDocument extends FakeEventTarget {
+  constructor() {
+    super();
+    this.customElements = new FakeCustomElementRegistry();
+    
+    // Base class of the document's custom elements
+    const document = this;
+    this.HTMLElement = class HTMLElement extends FakeElement {
+      constructor() {
+        super(document, document.customElements.getName(new.target) || 'div');
+      }
+    };
+    
+    this.documentElement = new FakeElement(this, 'html');
+    this.documentElement.parentNode = this;
+    this.head = this.documentElement.appendChild(new FakeElement(this, 'head'));
+    this.body = this.documentElement.appendChild(new FakeElement(this, 'body'));
+  }
+  
+  /**
+   * @param {string} tagName - Tag name
+   * @returns {FakeElement} New element, not yet in the document
+   */
+  createElement(tagName) {
+    const CustomElement = this.customElements.get(tagName.toLowerCase());
+    return CustomElement ? new CustomElement() : new FakeElement(this, tagName);
+  }
+  
+  /**
+   * @param {string} text - Text of the node
+   * @returns {FakeText} New text node
+   */
+  createTextNode(text) {
+    return new FakeText(text);
+  }
+  
+  /**
+   * @param {string} id - Element id
+   * @returns {?FakeElement} The element with the id, or null
+   */
+  getElementById(id) {
+    return this.documentElement.getDescendants().find(element => element.id === id) || null;
+  }
+  
+  /**
+   * @param {string} selectors - Selector list
+   * @returns {Array<FakeElement>} Matching elements in document order
+   */
+  querySelectorAll(selectors) {
+    const list = parseSelectorList(selectors);
+    return [this.documentElement, ...this.documentElement.getDescendants()]
+      .filter(element => list.some(selector => matchesSelector(element, selector, null)));
+  }
+  
+  /**
+   * @param {string} selectors - Selector list
+   * @returns {?FakeElement} First matching element, or null
+   */
+  querySelector(selectors) {
+    return this.querySelectorAll(selectors)[0] || null;
+  }
+}
+
+/**
+ * Split a selector list into selectors made of compound parts, last part first
+ * @param {string} selectors - Selector list, such as '.timer-btn[data-time], #volume-control'
+ * @returns {Array<Array<Object>>} Each selector's parts, from the subject up through its ancestors
+ */
+function parseSelectorList(selectors) {
+  return selectors.split(',').map(selector => {
+    return selector.trim().split(/\s+/).map(parseCompoundSelector).reverse();
+  });
+}
+
+/**
+ * Parse one compound selector such as 'select.sound-param[data-param="melody"]'
+ * @param {string} compound - Compound selector without spaces
+ * @returns {{tag: ?string, filters: Array<Object>}} Tag name and the id, class and attribute filters
+ * @throws {Error} If the selector uses syntax the fake DOM doesn't support
+ */
+function parseCompoundSelector(compound) {
+  const pattern = /^[a-zA-Z][a-zA-Z0-9-]*|#[\w-]+|\.[\w-]+|\[([\w-]+)(?:="([^"]*)"|='([^']*)'|=([\w-]+))?\]/g;
+  const part = { tag: null, filters: [] };
+  let consumed = 0;
+  let match;
+  
+  while ((match = pattern.exec(compound)) !== null && match.index === consumed) {
+    const token = match[0];
+    if (token[0] === '#') {
+      part.filters.push({ attribute: 'id', value: token.slice(1) });
+    } else if (token[0] === '.') {
+      part.filters.push({ className: token.slice(1) });
+    } else if (token[0] === '[') {
+      const value = [match[2], match[3], match[4]].find(candidate => candidate !== undefined);
+      part.filters.push({ attribute: match[1], value: value === undefined ? null : value });
+    } else {
+      part.tag = token.toUpperCase();
+    }
+    consumed += token.length;
+  }
+  
+  if (consumed !== compound.length) {
+    throw new Error(`The fake DOM does not support the selector "${compound}".`);
+  }
+  return part;
+}
+
+/**
+ * Check one element against one compound part of a selector
+ * @param {FakeElement} element - Element to check
+ * @param {Object} part - Part from parseCompoundSelector()
+ * @returns {boolean} True if the element matches
+ */
+function matchesPart(element, part) {
+  if (part.tag && element.tagName !== part.tag) {
+    return false;
+  }
+  return part.filters.every(filter => {
+    if (filter.className) {
+      return element.classList.contains(filter.className);
+    }
+    if (!element.hasAttribute(filter.attribute)) {
+      return false;
+    }
+    return filter.value === null || element.getAttribute(filter.attribute) === filter.value;
+  });
+}
+
+/**
+ * Check an element against a selector, looking for the ancestor parts above it
+ * @param {FakeElement} element - Element to check
+ * @param {Array<Object>} parts - Parts of the selector, last part first
+ * @param {?FakeElement} root - Element the search started from; ancestors must lie below it
+ * @returns {boolean} True if the element matches
+ */
+function matchesSelector(element, parts, root) {
+  if (!matchesPart(element, parts[0])) {
+    return false;
+  }
+  
+  let ancestor = element.parentElement;
+  for (let i = 1; i < parts.length; i++) {
+    while (ancestor && ancestor !== root && !matchesPart(ancestor, parts[i])) {
+      ancestor = ancestor.parentElement;
+    }
+    if (!ancestor || ancestor === root) {
+      return false;
+    }
+    ancestor = ancestor.parentElement;
+  }
+  return true;
+}
+
+/**
+ * Replace character references with the characters they stand for
+ * @param {string} text - Text from the markup
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return name in HTML_ENTITIES ? HTML_ENTITIES[name] : reference;
+  });
+}
+
+/**
+ * Parse markup into elements
+ * Good enough for hand-written markup like index.html; it does not repair broken nesting.
+ * @param {FakeDocument} document - Document to create the elements in
+ * @param {string} html - Markup to parse
+ * @param {FakeElement} parent - Element to add the parsed nodes to
+ */
+function parseHTML(document, html, parent) {
+  const tokens = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>|[^<]+|</g;
+  const attributePattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  const stack = [parent];
+  let match;
+  
+  while ((match = tokens.exec(html)) !== null) {
+    const current = stack[stack.length - 1];
+    const [token, closingTag, openingTag, attributeText] = match;
+    
+    if (token.startsWith('<!')) {
+      continue;
+    }
+    
+    if (closingTag) {
+      const tagName = closingTag.toUpperCase();
+      const index = stack.map(element => element.tagName).lastIndexOf(tagName);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+    
+    if (!openingTag) {
+      current.appendChild(new FakeText(decodeEntities(token)));
+      continue;
+    }
+    
+    const tagName = openingTag.toLowerCase();
+    
+    // The fixed skeleton already has these, so only their content is added
+    if (tagName === 'html' || tagName === 'head' || tagName === 'body') {
+      if (parent === document.body || parent === document.documentElement) {
+        stack.push(document[tagName === 'html' ? 'documentElement' : tagName]);
+      }
+      continue;
+    }
+    
+    const element = document.createElement(tagName);
+    let attribute;
+    attributePattern.lastIndex = 0;
+    while ((attribute = attributePattern.exec(attributeText)) !== null) {
+      const value = [attribute[2], attribute[3], attribute[4]].find(candidate => candidate !== undefined);
+      element.setAttribute(attribute[1].toLowerCase(), decodeEntities(value === undefined ? '' : value));
+    }
+    current.appendChild(element);
+    
+    if (RAW_TEXT_ELEMENTS.includes(tagName)) {
+      const end = html.toLowerCase().indexOf(`</${tagName}`, tokens.lastIndex);
+      const text = html.slice(tokens.lastIndex, end === -1 ? html.length : end);
+      if (text) {
+        element.appendChild(new FakeText(tagName === 'script' || tagName === 'style' ? text : decodeEntities(text)));
+      }
+      tokens.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1;
+    } else if (!VOID_ELEMENTS.includes(tagName) && !token.endsWith('/>')) {
+      stack.push(element);
+    }
+  }
+}
+
+/**
+ * Build a document from a whole page of markup
+ * @param {string} html - Markup of the page, such as the contents of index.html
+ * @returns {FakeDocument} The parsed document
+ */
+function createDocument(html) {
+  const document = new FakeDocument();
+  parseHTML(document, html, document.body);
+  return document;
+}
+
+module.exports = { FakeDocument, FakeElement, FakeEvent, FakeText, createDocument, parseHTML };
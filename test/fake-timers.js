@@ -0,0 +1,72 @@
+/**
+ * Wombcore 3000 - Fake Timers
+ * setInterval(), setTimeout() and their clear functions on a clock that
+ * only moves when a test calls advance(), so schedulers run on demand and
+ * a test can count the timers still pending.
+ */
+
+class FakeTimers {
+  constructor() {
+    // Pending timers keyed by ID: when they are due next, and the interval for repeating ones
+    this.timers = new Map();
+    this.nextId = 1;
+    this.now = 0;
+    
+    // Bound so they can be handed to scripts as globals
+    this.setInterval = (callback, delay) => this.add(callback, delay, true);
+    this.setTimeout = (callback, delay) => this.add(callback, delay, false);
+    this.clearInterval = id => this.timers.delete(id);
+    this.clearTimeout = id => this.timers.delete(id);
+  }
+  
+  /**
+   * @param {Function} callback - Function to call
+   * @param {number} delay - Milliseconds until the (first) call
+   * @param {boolean} repeat - Whether to keep calling it every delay
+   * @returns {number} Timer ID
+   */
+  add(callback, delay, repeat) {
+    const id = this.nextId++;
+    const interval = Math.max(1, delay || 0);
+    this.timers.set(id, { callback, due: this.now + interval, interval: repeat ? interval : null });
+    return id;
+  }
+  
+  /**
+   * Move the clock on, running every timer that falls due in order
+   * @param {number} ms - Milliseconds to move the clock
+   */
+  advance(ms) {
+    const end = this.now + ms;
+    for (;;) {
+      let nextId = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.due <= end && (nextId === null || timer.due < this.timers.get(nextId).due)) {
+          nextId = id;
+        }
+      });
+      if (nextId === null) {
+        break;
+      }
+      
+      const timer = this.timers.get(nextId);
+      this.now = timer.due;
+      if (timer.interval === null) {
+        this.timers.delete(nextId);
+      } else {
+        timer.due += timer.interval;
+      }
+      timer.callback();
+    }
+    this.now = end;
+  }
+  
+  /**
+   * @returns {number} Number of timers that are still pending
+   */
+  get pending() {
+    return this.timers.size;
+  }
+}
+
+module.exports = { FakeTimers };
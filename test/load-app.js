@@ -0,0 +1,81 @@
+/**
+ * Wombcore 3000 - App Loader
+ * Runs the app's scripts in Node the way the page does: every script from
+ * index.html, in order, in one shared global scope. The scripts see a fake
+ * DOM built from index.html and fake timers, so tests can drive the app's
+ * classes without a browser.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { FakeEvent, createDocument } = require('./fake-dom');
+const { FakeTimers } = require('./fake-timers');
+
+// Root of the app, where index.html and the scripts live
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * List the scripts index.html loads, in order
+ * @param {string} html - Markup of index.html
+ * @returns {Array<string>} Script paths relative to the app root
+ */
+function getPageScripts(html) {
+  const scripts = [];
+  const pattern = /<script\b[^>]*\bsrc="([^"]+)"/g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    // Only the app's own files; libraries from a CDN aren't needed to test it
+    if (!/^https?:/.test(match[1])) {
+      scripts.push(match[1]);
+    }
+  }
+  return scripts;
+}
+
+/**
+ * Load the app into a fresh script context
+ * @param {Object} [globals] - Extra globals for the scripts, such as a stand-in AudioWorkletNode
+ * @param {Array<string>} [scripts] - Further scripts to run after the page's, such as the embeddable player
+ * @returns {{context: Object, document: FakeDocument, timers: FakeTimers, alerts: Array<string>, get: function(string): *}}
+ *   The context, its document, timers and the messages passed to alert(), and a getter for the scripts' top-level names
+ */
+function loadApp(globals = {}, scripts = []) {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const document = createDocument(html);
+  const timers = new FakeTimers();
+  const alerts = [];
+  
+  const context = vm.createContext(Object.assign({
+    console: console,
+    document: document,
+    navigator: {},
+    location: { protocol: 'file:', hash: '' },
+    URLSearchParams: URLSearchParams,
+    alert: message => alerts.push(message),
+    Event: FakeEvent,
+    CustomEvent: FakeEvent,
+    HTMLElement: document.HTMLElement,
+    customElements: document.customElements,
+    setInterval: timers.setInterval,
+    clearInterval: timers.clearInterval,
+    setTimeout: timers.setTimeout,
+    clearTimeout: timers.clearTimeout
+  }, globals));
+  context.window = context;
+  
+  getPageScripts(html).concat(scripts).forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  
+  return {
+    context,
+    document,
+    timers,
+    alerts,
+    // Top-level const and class declarations aren't properties of the global object, so look them up by name
+    get: name => vm.runInContext(name, context)
+  };
+}
+
+module.exports = { loadApp, getPageScripts };
@@ -0,0 +1,461 @@
+/**
+ * Wombcore 3000 - Mock Audio Context
+ * A stand-in for the Web Audio API that makes no sound but keeps track of
+ * every node it creates: what each one is connected to, whether a source
+ * has started and not yet stopped, and the automation scheduled on each
+ * param. advance() moves the audio clock on and fires the onended of
+ * sources that stop along the way. Analysers read the buffers of the
+ * sources feeding them, so recordings can stand in for a microphone.
+ */
+
+/**
+ * Error thrown where the Web Audio API would throw an InvalidStateError
+ */
+class MockInvalidStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidStateError';
+  }
+}
+
+class MockAudioParam {
+  /**
+   * @param {number} value - Starting value
+   */
+  constructor(value) {
+    this.value = value;
+    
+    // Automation calls in the order they were made, e.g. { type: 'setValueAtTime', value: 1, time: 0 }
+    this.events = [];
+  }
+  
+  /**
+   * Record an automation call; nothing is rendered, so the value jumps to where the call ends up
+   * @param {Object} event - Type, time and value of the call
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  record(event) {
+    this.events.push(event);
+    if ('value' in event) {
+      this.value = event.value;
+    }
+    return this;
+  }
+  
+  /**
+   * @param {number} value - Target value
+   * @param {number} time - Audio clock time
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  setValueAtTime(value, time) {
+    return this.record({ type: 'setValueAtTime', value, time });
+  }
+  
+  /**
+   * @param {number} value - Target value
+   * @param {number} time - Audio clock time the ramp ends
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  linearRampToValueAtTime(value, time) {
+    return this.record({ type: 'linearRampToValueAtTime', value, time });
+  }
+  
+  /**
+   * @param {number} value - Target value
+   * @param {number} time - Audio clock time the ramp ends
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  exponentialRampToValueAtTime(value, time) {
+    return this.record({ type: 'exponentialRampToValueAtTime', value, time });
+  }
+  
+  /**
+   * @param {number} value - Target value
+   * @param {number} time - Audio clock time the approach starts
+   * @param {number} timeConstant - Time constant of the approach in seconds
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  setTargetAtTime(value, time, timeConstant) {
+    return this.record({ type: 'setTargetAtTime', value, time, timeConstant });
+  }
+  
+  /**
+   * @param {Float32Array} curve - Values of the curve
+   * @param {number} time - Audio clock time the curve starts
+   * @param {number} duration - Length of the curve in seconds
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  setValueCurveAtTime(curve, time, duration) {
+    return this.record({ type: 'setValueCurveAtTime', value: curve[curve.length - 1], curve: Array.from(curve), time, duration });
+  }
+  
+  /**
+   * @param {number} time - Audio clock time from which to drop automation
+   * @returns {MockAudioParam} This param, for chaining
+   */
+  cancelScheduledValues(time) {
+    return this.record({ type: 'cancelScheduledValues', time });
+  }
+  
+  /**
+   * Find the automation calls of one type
+   * @param {string} type - Method name, such as 'linearRampToValueAtTime'
+   * @returns {Array<Object>} Matching calls in the order they were made
+   */
+  getEvents(type) {
+    return this.events.filter(event => event.type === type);
+  }
+}
+
+class MockAudioNode {
+  /**
+   * @param {MockAudioContext} context - Context that created the node
+   * @param {Object} [params] - Starting values of the node's AudioParams, keyed by name
+   */
+  constructor(context, params = {}) {
+    this.context = context;
+    
+    // Nodes and params this node's output is connected to
+    this.outputs = new Set();
+    
+    Object.keys(params).forEach(name => {
+      this[name] = new MockAudioParam(params[name]);
+    });
+    
+    context.nodes.push(this);
+  }
+  
+  /**
+   * @param {MockAudioNode|MockAudioParam} destination - Node or param to connect to
+   * @returns {MockAudioNode|MockAudioParam} The destination, for chaining
+   */
+  connect(destination) {
+    this.outputs.add(destination);
+    return destination;
+  }
+  
+  /**
+   * Disconnect every output
+   */
+  disconnect() {
+    this.outputs.clear();
+  }
+  
+  /**
+   * Tell whether the node still holds on to the graph
+   * @returns {boolean} True while it is connected to anything
+   */
+  isLive() {
+    return this.outputs.size > 0;
+  }
+}
+
+class MockScheduledSourceNode extends MockAudioNode {
+  /**
+   * @param {MockAudioContext} context - Context that created the node
+   * @param {Object} [params] - Starting values of the node's AudioParams, keyed by name
+   */
+  constructor(context, params) {
+    super(context, params);
+    this.startTime = null;
+    this.stopTime = Infinity;
+    this.endedFired = false;
+    this.onended = null;
+  }
+  
+  /**
+   * @param {number} [when] - Audio clock time to start at
+   * @throws {MockInvalidStateError} If the source was already started
+   */
+  start(when = 0) {
+    if (this.startTime !== null) {
+      throw new MockInvalidStateError('start() may only be called once.');
+    }
+    this.startTime = when;
+  }
+  
+  /**
+   * @param {number} [when] - Audio clock time to stop at, now if it has passed
+   * @throws {MockInvalidStateError} If the source was never started
+   */
+  stop(when = 0) {
+    if (this.startTime === null) {
+      throw new MockInvalidStateError('stop() called before start().');
+    }
+    this.stopTime = Math.max(when, this.context.currentTime);
+  }
+  
+  /**
+   * Get when the source stops: its stop time, or the end of its buffer if that comes first
+   * @returns {number} Audio clock time, Infinity while nothing ends it
+   */
+  getEndTime() {
+    if (this.buffer && !this.loop && this.startTime !== null) {
+      return Math.min(this.stopTime, this.startTime + this.buffer.duration / this.playbackRate.value);
+    }
+    return this.stopTime;
+  }
+  
+  /**
+   * Tell whether the source is started and hasn't reached its end yet
+   * @returns {boolean} True while it is playing or waiting to play
+   */
+  isPlaying() {
+    return this.startTime !== null && this.context.currentTime < this.getEndTime();
+  }
+  
+  /**
+   * @returns {boolean} True while it is connected or still playing
+   */
+  isLive() {
+    return super.isLive() || this.isPlaying();
+  }
+}
+
+class MockAnalyserNode extends MockAudioNode {
+  /**
+   * @param {MockAudioContext} context - Context that created the node
+   */
+  constructor(context) {
+    super(context);
+    this.fftSize = 2048;
+    this.smoothingTimeConstant = 0.8;
+  }
+  
+  /**
+   * @returns {number} Number of frequency bins, half the FFT size
+   */
+  get frequencyBinCount() {
+    return this.fftSize / 2;
+  }
+  
+  /**
+   * Fill in the spectrum of the latest fftSize samples that playing buffer sources feed into the analyser
+   * Computed with a plain DFT under a Blackman window, without the smoothing over time a browser adds.
+   * @param {Float32Array} array - Receives the level of each bin in dB
+   */
+  getFloatFrequencyData(array) {
+    const samples = new Float32Array(this.fftSize);
+    this.context.nodes.forEach(node => {
+      if (!(node instanceof MockScheduledSourceNode) || !node.buffer || !node.isPlaying() || !node.outputs.has(this)) {
+        return;
+      }
+      const data = node.buffer.getChannelData(0);
+      const end = Math.floor((this.context.currentTime - node.startTime) * node.buffer.sampleRate);
+      for (let i = 0; i < this.fftSize; i++) {
+        const index = end - this.fftSize + i;
+        if (index >= 0 && index < data.length) {
+          samples[i] += data[index];
+        }
+      }
+    });
+    
+    const n = this.fftSize;
+    for (let i = 0; i < n; i++) {
+      samples[i] *= 0.42 - 0.5 * Math.cos(2 * Math.PI * i / n) + 0.08 * Math.cos(4 * Math.PI * i / n);
+    }
+    for (let bin = 0; bin < array.length; bin++) {
+      let real = 0;
+      let imag = 0;
+      for (let i = 0; i < n; i++) {
+        const angle = 2 * Math.PI * bin * i / n;
+        real += samples[i] * Math.cos(angle);
+        imag -= samples[i] * Math.sin(angle);
+      }
+      array[bin] = 20 * Math.log10(Math.sqrt(real * real + imag * imag) / n + 1e-20);
+    }
+  }
+}
+
+class MockAudioBuffer {
+  /**
+   * @param {number} numberOfChannels - Channel count
+   * @param {number} length - Length in frames
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  constructor(numberOfChannels, length, sampleRate) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = [];
+    for (let i = 0; i < numberOfChannels; i++) {
+      this.channels.push(new Float32Array(length));
+    }
+  }
+  
+  /**
+   * @param {number} channel - Channel index
+   * @returns {Float32Array} Samples of the channel
+   */
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+class MockAudioContext {
+  /**
+   * @param {Object} [options] - Context options
+   * @param {number} [options.sampleRate] - Sample rate in Hz, low by default to keep noise buffers small
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.currentTime = 0;
+    this.state = 'running';
+    
+    // Every node created on the context, apart from the destination
+    this.nodes = [];
+    this.destination = new MockAudioNode(this);
+    this.nodes.pop();
+  }
+  
+  /**
+   * @returns {MockAudioNode} Gain node
+   */
+  createGain() {
+    return new MockAudioNode(this, { gain: 1 });
+  }
+  
+  /**
+   * @returns {MockAudioNode} Filter node, low-pass by default
+   */
+  createBiquadFilter() {
+    const filter = new MockAudioNode(this, { frequency: 350, Q: 1, gain: 0, detune: 0 });
+    filter.type = 'lowpass';
+    return filter;
+  }
+  
+  /**
+   * @returns {MockAudioNode} Stereo panner node
+   */
+  createStereoPanner() {
+    return new MockAudioNode(this, { pan: 0 });
+  }
+  
+  /**
+   * @returns {MockAudioNode} 3D panner node
+   */
+  createPanner() {
+    const panner = new MockAudioNode(this, { positionX: 0, positionY: 0, positionZ: 0 });
+    panner.panningModel = 'equalpower';
+    panner.distanceModel = 'inverse';
+    return panner;
+  }
+  
+  /**
+   * @returns {MockAudioNode} Compressor node
+   */
+  createDynamicsCompressor() {
+    return new MockAudioNode(this, { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 });
+  }
+  
+  /**
+   * @returns {MockScheduledSourceNode} Sine oscillator
+   */
+  createOscillator() {
+    const oscillator = new MockScheduledSourceNode(this, { frequency: 440, detune: 0 });
+    oscillator.type = 'sine';
+    return oscillator;
+  }
+  
+  /**
+   * @returns {MockScheduledSourceNode} Buffer source without a buffer
+   */
+  createBufferSource() {
+    const source = new MockScheduledSourceNode(this, { playbackRate: 1, detune: 0 });
+    source.buffer = null;
+    source.loop = false;
+    return source;
+  }
+  
+  /**
+   * @returns {MockScheduledSourceNode} Constant source
+   */
+  createConstantSource() {
+    return new MockScheduledSourceNode(this, { offset: 1 });
+  }
+  
+  /**
+   * @returns {MockAnalyserNode} Analyser reading the buffer sources connected to it
+   */
+  createAnalyser() {
+    return new MockAnalyserNode(this);
+  }
+  
+  /**
+   * @param {number} numberOfChannels - Channel count
+   * @param {number} length - Length in frames
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {MockAudioBuffer} Silent buffer
+   */
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new MockAudioBuffer(numberOfChannels, length, sampleRate);
+  }
+  
+  /**
+   * @returns {Promise} Resolves once the context runs
+   */
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+  
+  /**
+   * @returns {Promise} Resolves once the context is closed
+   */
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+  
+  /**
+   * Move the audio clock on, firing onended for every source that stops on the way
+   * @param {number} seconds - How far to move the clock
+   */
+  advance(seconds) {
+    this.currentTime += seconds;
+    this.nodes.forEach(node => {
+      if (node instanceof MockScheduledSourceNode && !node.endedFired && node.startTime !== null && node.getEndTime() <= this.currentTime) {
+        node.endedFired = true;
+        if (node.onended) {
+          node.onended();
+        }
+      }
+    });
+  }
+  
+  /**
+   * List the nodes that are still connected, or sources that are still playing
+   * @returns {Array<MockAudioNode>} Live nodes
+   */
+  getLiveNodes() {
+    return this.nodes.filter(node => node.isLive());
+  }
+  
+  /**
+   * Tell whether audio from a node reaches another node through the graph
+   * Connections to params carry modulation, not audio, so they aren't followed.
+   * @param {MockAudioNode} from - Node the audio starts at
+   * @param {MockAudioNode} to - Node to look for
+   * @returns {boolean} True if there is a path of connections from one to the other
+   */
+  isConnected(from, to) {
+    const seen = new Set();
+    const queue = [from];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (node === to) {
+        return true;
+      }
+      node.outputs.forEach(output => {
+        if (output instanceof MockAudioNode && !seen.has(output)) {
+          seen.add(output);
+          queue.push(output);
+        }
+      });
+    }
+    return false;
+  }
+}
+
+module.exports = { MockAudioContext, MockAudioNode, MockScheduledSourceNode, MockAnalyserNode, MockAudioParam, MockInvalidStateError };
@@ -0,0 +1,141 @@
+/**
+ * Wombcore 3000 - Night Log Tests
+ * Follows a sound machine on a mock audio context with the night log, and
+ * checks the sessions it logs, which night they count towards and how the
+ * log is written out as CSV.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+// How often (ms) the tests tick the timers and the audio clock
+const TICK = 250;
+
+/**
+ * Load the app with a sound machine and the night log
+ * Without IndexedDB the log keeps this visit only; its warning about that is left out of the test output.
+ * @returns {Object} The app, context, machine and night log
+ */
+function setup() {
+  const app = loadApp({
+    console: Object.assign({}, console, { warn: () => {} })
+  });
+  
+  const ctx = new MockAudioContext();
+  const machine = new (app.get('SoundMachine'))({ audioContext: ctx });
+  machine.init();
+  const nightLog = new (app.get('NightLog'))(machine);
+  nightLog.init();
+  
+  return { app, ctx, machine, nightLog };
+}
+
+/**
+ * Let time pass on both the timers and the audio clock
+ * @param {Object} env - Environment from setup()
+ * @param {number} seconds - How long to wait
+ */
+function wait(env, seconds) {
+  for (let elapsed = 0; elapsed < seconds * 1000; elapsed += TICK) {
+    env.ctx.advance(TICK / 1000);
+    env.app.timers.advance(TICK);
+  }
+}
+
+/**
+ * Build a local timestamp
+ * @param {number} day - Day of March 2024
+ * @param {number} hours - Hour of the day
+ * @param {number} [minutes] - Minutes past the hour
+ * @returns {number} Timestamp in ms
+ */
+function at(day, hours, minutes = 0) {
+  return new Date(2024, 2, day, hours, minutes).getTime();
+}
+
+test('a session follows the sound machine from the first sound to the last one stopping', () => {
+  const env = setup();
+  
+  env.machine.play('rain');
+  env.machine.play('heartbeat');
+  env.machine.setTimer(45);
+  env.machine.setVolume(0.8);
+  assert.equal(env.nightLog.sessions.length, 1);
+  assert.deepEqual([...env.nightLog.currentSession.sounds], ['rain', 'heartbeat']);
+  assert.equal(env.nightLog.currentSession.timer, 45);
+  
+  // Switching sounds within the grace time carries the session on
+  env.machine.stopAll();
+  wait(env, 2);
+  env.machine.play('ocean');
+  env.machine.stopAll();
+  wait(env, 6);
+  
+  assert.equal(env.nightLog.sessions.length, 1);
+  assert.equal(env.nightLog.currentSession, null);
+  assert.deepEqual([...env.nightLog.sessions[0].sounds], ['rain', 'heartbeat', 'ocean']);
+  assert.equal(env.nightLog.sessions[0].endReason, 'manual');
+});
+
+test('a session the sleep timer ends is logged as ended by the timer', () => {
+  const env = setup();
+  
+  env.machine.play('rain');
+  env.machine.setTimer(1);
+  wait(env, 70);
+  
+  assert.equal(env.nightLog.currentSession, null);
+  assert.equal(env.nightLog.sessions[0].endReason, 'timer');
+  assert.equal(env.nightLog.sessions[0].timer, 1);
+});
+
+test('a night runs from noon to noon, across midnight', () => {
+  const env = setup();
+  const nightOf9th = at(9, 12);
+  
+  assert.equal(env.nightLog.getNightStart(at(9, 12)), nightOf9th);
+  assert.equal(env.nightLog.getNightStart(at(9, 23, 30)), nightOf9th);
+  assert.equal(env.nightLog.getNightStart(at(10, 0)), nightOf9th);
+  assert.equal(env.nightLog.getNightStart(at(10, 11, 59)), nightOf9th);
+  assert.equal(env.nightLog.getNightStart(at(10, 12)), at(10, 12));
+});
+
+test('the summary counts a session after midnight towards the night before, and splits one across noon', () => {
+  const env = setup();
+  env.nightLog.sessions = [
+    { id: 1, start: at(9, 22), end: at(10, 2), sounds: ['rain'], volume: 0.5, timer: 0, endReason: 'manual' },
+    { id: 2, start: at(10, 11), end: at(10, 13), sounds: ['rain'], volume: 0.5, timer: 0, endReason: 'manual' }
+  ];
+  env.nightLog.wakes = [{ id: 3, time: at(10, 3) }];
+  env.nightLog.shownNight = at(10, 12);
+  env.nightLog.render();
+  
+  const rows = env.app.document.querySelectorAll('#night-summary tbody tr').slice(-2);
+  const cells = rows.map(row => row.children.map(cell => cell.textContent).slice(1));
+  assert.deepEqual(cells, [
+    // Night of the 9th: 4 hours, then the hour before noon
+    ['5:00', '2', '1'],
+    // Night of the 10th: the hour after noon
+    ['1:00', '1', '0']
+  ]);
+});
+
+test('the CSV export quotes every field and doubles the quotes inside them', () => {
+  const env = setup();
+  env.nightLog.sessions = [
+    // A sound that is no longer installed keeps its id, quotes and commas included
+    { id: 1, start: at(9, 21, 5), end: at(9, 22, 35), sounds: ['rain', 'mum\'s "shh", loud'], volume: 0.42, timer: 90, endReason: 'timer' }
+  ];
+  env.nightLog.wakes = [{ id: 2, time: at(10, 3, 15) }];
+  
+  assert.equal(env.nightLog.exportCsv(), [
+    '"type","start","end","duration_min","sounds","volume_percent","timer_min","end_reason"',
+    '"session","2024-03-09 21:05","2024-03-09 22:35","90","Rain; mum\'s ""shh"", loud","42","90","timer"',
+    '"wake","2024-03-10 03:15","","","","","",""',
+    ''
+  ].join('\r\n'));
+});
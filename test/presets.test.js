@@ -0,0 +1,104 @@
+/**
+ * Wombcore 3000 - Preset Tests
+ * Saves, exports and imports presets against a mock audio context and an
+ * in-memory localStorage, and checks that imported presets are held to the
+ * sound modules' parameter definitions before they can reach a generator.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+/**
+ * Load the app with a sound machine and the preset manager
+ * @returns {Object} The app, machine and preset manager
+ */
+function setup() {
+  const storage = {};
+  const app = loadApp({
+    localStorage: {
+      getItem: key => (key in storage ? storage[key] : null),
+      setItem: (key, value) => { storage[key] = String(value); }
+    }
+  });
+  
+  const machine = new (app.get('SoundMachine'))({ audioContext: new MockAudioContext() });
+  machine.init();
+  const presets = new (app.get('PresetManager'))(machine);
+  presets.init();
+  
+  return { app, machine, presets };
+}
+
+/**
+ * Write a preset export holding one preset
+ * @param {Object} preset - Fields to put over a valid preset
+ * @returns {string} JSON document
+ */
+function exportOf(preset) {
+  return JSON.stringify({
+    format: 'wombcore-presets',
+    version: 1,
+    presets: [Object.assign({ name: 'Night', sounds: ['heartbeat'], params: {}, volume: 0.5, timer: 0 }, preset)]
+  });
+}
+
+test('saved presets export and import again', () => {
+  const env = setup();
+  env.machine.setVolume(0.4);
+  env.machine.setSoundParam('heartbeat', 'bpm', 60);
+  env.machine.playCombo(['heartbeat', 'rain']);
+  env.presets.savePreset('Night');
+  
+  const other = setup();
+  assert.equal(other.presets.importPresets(env.presets.exportPresets()), 1);
+  other.presets.applyPreset('Night');
+  assert.deepEqual(Object.keys(other.machine.activeSounds).sort(), ['heartbeat', 'rain']);
+  assert.equal(other.machine.getSoundParams('heartbeat').bpm, 60);
+});
+
+test('a preset with an out-of-range sound parameter is refused', () => {
+  const env = setup();
+  
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { heartbeat: { bpm: -10 } } })), {
+    name: 'PresetError',
+    message: 'Preset #1 is invalid: "params.heartbeat.bpm" must be a number from 50 to 100.'
+  });
+  assert.deepEqual(Object.keys(env.presets.presets), []);
+});
+
+test('a preset with an unknown or mistyped sound parameter is refused', () => {
+  const env = setup();
+  
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { heartbeat: { speed: 2 } } })), /unknown setting "speed"/);
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { forest: { owl: 'yes' } } })), /"params\.forest\.owl" must be true or false/);
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { heartbeat: { positionX: 3 } } })), /from -1 to 1/);
+});
+
+test('text is only taken for a choice, and only one of its options', () => {
+  const env = setup();
+  
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { lullaby: { tempo: 'fast' } } })), /"params\.lullaby\.tempo" must be a number from 30 to 120/);
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { lullaby: { tempo: 0 } } })), /"params\.lullaby\.tempo" must be a number from 30 to 120/);
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { lullaby: { instrument: 'kazoo' } } })), {
+    message: 'Preset #1 is invalid: "params.lullaby.instrument" must be one of "music-box", "soft-pad", "harp".'
+  });
+  
+  assert.equal(env.presets.importPresets(exportOf({ params: { lullaby: { instrument: 'harp', melody: 'wombcore' } } })), 1);
+});
+
+test('a preset playing a melody imported on another device is kept and plays the default melody here', () => {
+  const env = setup();
+  
+  assert.equal(env.presets.importPresets(exportOf({ sounds: ['lullaby'], params: { lullaby: { melody: 'custom-twinkle' } } })), 1);
+  env.presets.applyPreset('Night');
+  assert.equal(env.machine.getSoundParams('lullaby').melody, 'custom-twinkle');
+  
+  const getMelodyNotes = env.app.get('getMelodyNotes');
+  assert.deepEqual([...getMelodyNotes('custom-twinkle')], [...getMelodyNotes('wombcore')]);
+  
+  assert.throws(() => env.presets.importPresets(exportOf({ params: { lullaby: { melody: 3 } } })), /"params\.lullaby\.melody" must be text/);
+});
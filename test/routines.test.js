@@ -0,0 +1,78 @@
+/**
+ * Wombcore 3000 - Routine Tests
+ * Edits the routine through the routine panel, with an in-memory
+ * localStorage, and checks that the edits survive a reload.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+/**
+ * Load the app with a sound machine and the routine panel
+ * @param {Object} storage - Contents of localStorage, kept across loads
+ * @returns {Object} The app and the routine manager
+ */
+function setup(storage) {
+  const app = loadApp({
+    localStorage: {
+      getItem: key => (key in storage ? storage[key] : null),
+      setItem: (key, value) => { storage[key] = String(value); }
+    }
+  });
+  
+  const machine = new (app.get('SoundMachine'))({ audioContext: new MockAudioContext() });
+  machine.init();
+  const routines = new (app.get('RoutineManager'))(machine, { presets: {} });
+  routines.init();
+  
+  return { app, routines };
+}
+
+/**
+ * Find the delete buttons of the step rows
+ * @param {Object} env - Environment from setup()
+ * @returns {Array<HTMLButtonElement>} One button per step, in order
+ */
+function getDeleteButtons(env) {
+  return env.app.document.querySelectorAll('.routine-step button').filter(button => button.title === 'Delete step');
+}
+
+test('the last remaining step cannot be deleted', () => {
+  const env = setup({});
+  assert.equal(getDeleteButtons(env).length, 2);
+  assert.equal(getDeleteButtons(env)[0].disabled, false);
+  
+  getDeleteButtons(env)[0].click();
+  assert.equal(getDeleteButtons(env).length, 1);
+  assert.equal(getDeleteButtons(env)[0].disabled, true);
+});
+
+test('a routine cut down to one step is still there after a reload', () => {
+  const storage = {};
+  const env = setup(storage);
+  getDeleteButtons(env)[0].click();
+  
+  const reloaded = setup(storage);
+  assert.deepEqual([...reloaded.routines.routine.steps.map(step => step.name)], ['brown-noise']);
+});
+
+test('changing the sound of the step that plays switches to it right away', () => {
+  const env = setup({});
+  const machine = env.routines.soundMachine;
+  env.routines.runNow();
+  assert.deepEqual(Object.keys(machine.activeSounds), ['lullaby']);
+  
+  const pickers = env.app.document.querySelectorAll('.routine-step select').filter(select => /^Step \d sound$/.test(select.getAttribute('aria-label')));
+  pickers[1].value = 'sound:ocean';
+  pickers[1].dispatchEvent(new env.app.context.Event('change'));
+  assert.deepEqual(Object.keys(machine.activeSounds), ['lullaby']);
+  
+  pickers[0].value = 'sound:rain';
+  pickers[0].dispatchEvent(new env.app.context.Event('change'));
+  assert.deepEqual(Object.keys(machine.activeSounds), ['rain']);
+  assert.equal(env.routines.run.stepIndex, 0);
+});
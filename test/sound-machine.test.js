@@ -0,0 +1,530 @@
+/**
+ * Wombcore 3000 - Sound Machine Tests
+ * Drives SoundMachine and its page controls against the real index.html
+ * markup in a fake DOM and a mock audio context, and checks the node graph
+ * it builds, the automation it schedules, the events it reports and the
+ * classes the controls set on the page.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext, MockScheduledSourceNode } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+// How often (ms) the tests tick the timers and the audio clock
+const TICK = 250;
+
+/**
+ * Load the app and start a sound machine on a mock audio context, with its page controls
+ * @returns {Object} The app, context, machine, controls and document, and a tile lookup
+ */
+function setup() {
+  const app = loadApp();
+  const ctx = new MockAudioContext();
+  const machine = new (app.get('SoundMachine'))({ audioContext: ctx });
+  machine.init();
+  const ui = new (app.get('SoundMachineUI'))(machine, { document: app.document });
+  ui.init();
+  
+  return {
+    app,
+    ctx,
+    machine,
+    ui,
+    document: app.document,
+    tile: soundType => app.document.querySelector(`.sound-tile[data-sound="${soundType}"]`)
+  };
+}
+
+/**
+ * Let time pass on both the timers and the audio clock
+ * @param {Object} env - Environment from setup()
+ * @param {number} seconds - How long to wait
+ */
+function wait(env, seconds) {
+  for (let elapsed = 0; elapsed < seconds * 1000; elapsed += TICK) {
+    env.ctx.advance(TICK / 1000);
+    env.app.timers.advance(TICK);
+  }
+}
+
+/**
+ * List the nodes of the output stage, which live as long as the machine
+ * @param {SoundMachine} machine - The machine
+ * @returns {Array<AudioNode>} Master gain, wind-down filter and gain, timer fade and output mixer
+ */
+function getOutputStage(machine) {
+  return [machine.masterGain, machine.windDownFilter, machine.windDownGain, machine.timerFadeGain, machine.outputMixer];
+}
+
+/**
+ * Find the sources that play into a node
+ * @param {MockAudioContext} ctx - The context
+ * @param {AudioNode} node - Node to trace back from
+ * @returns {Array<MockScheduledSourceNode>} Started sources with a path to the node
+ */
+function getSourcesInto(ctx, node) {
+  return ctx.nodes.filter(source => {
+    return source instanceof MockScheduledSourceNode && source.startTime !== null && ctx.isConnected(source, node);
+  });
+}
+
+/**
+ * Tick every combo checkbox of the given sounds
+ * @param {Object} env - Environment from setup()
+ * @param {Array<string>} soundTypes - Sounds to select
+ */
+function selectCombo(env, soundTypes) {
+  soundTypes.forEach(soundType => {
+    env.document.getElementById(`combo-${soundType}`).checked = true;
+  });
+}
+
+// -------------------- Output Stage --------------------
+
+test('init builds the output stage and a tile for every sound', () => {
+  const env = setup();
+  const stage = getOutputStage(env.machine);
+  
+  for (let i = 1; i < stage.length; i++) {
+    assert.ok(stage[i - 1].outputs.has(stage[i]), `stage ${i - 1} should feed stage ${i}`);
+  }
+  assert.ok(env.machine.outputMixer.outputs.has(env.ctx.destination));
+  
+  const tiles = env.document.querySelectorAll('.sound-tile').map(tile => tile.getAttribute('data-sound'));
+  // Arrays from the script context have another Array prototype, so copy before comparing
+  assert.deepEqual(tiles.filter(soundType => soundType !== 'combo'), [...env.machine.getVisibleSoundTypes()]);
+});
+
+// -------------------- Playback --------------------
+
+test('play routes a voice through its own channel and fades it in', () => {
+  const env = setup();
+  env.machine.play('white-noise');
+  
+  const fader = env.machine.channelFaders['white-noise'];
+  assert.ok(env.ctx.isConnected(fader, env.machine.masterGain));
+  assert.ok(getSourcesInto(env.ctx, fader).length > 0, 'the noise should play into the fader');
+  
+  const [fadeIn] = fader.gain.getEvents('setValueCurveAtTime');
+  assert.equal(fadeIn.duration, env.machine.fadeInTime);
+  assert.equal(fadeIn.curve[0], 0);
+  assert.equal(fadeIn.value, 1);
+  
+  assert.ok(env.machine.activeSounds['white-noise']);
+  assert.ok(env.tile('white-noise').classList.contains('playing'));
+});
+
+test('clicking a tile starts its sound, and clicking it again fades it out and releases it', () => {
+  const env = setup();
+  const tile = env.tile('rain');
+  
+  tile.click();
+  assert.ok(tile.classList.contains('playing'));
+  assert.equal(env.machine.currentSound, 'rain');
+  const voice = env.machine.activeSounds.rain;
+  const fader = env.machine.channelFaders.rain;
+  wait(env, 5);
+  
+  tile.click();
+  assert.ok(!tile.classList.contains('playing'));
+  assert.deepEqual(Object.keys(env.machine.activeSounds), []);
+  
+  const fadeOut = fader.gain.getEvents('setValueCurveAtTime').pop();
+  assert.equal(fadeOut.duration, env.machine.fadeOutTime);
+  assert.ok(Math.abs(fadeOut.value) < 1e-9);
+  
+  // The voice keeps playing through the fade, then everything but the output stage is released
+  assert.ok(!voice.handle.released);
+  wait(env, env.machine.fadeOutTime);
+  assert.ok(voice.handle.released);
+  assert.deepEqual(env.ctx.getLiveNodes(), getOutputStage(env.machine));
+  assert.equal(env.app.timers.pending, 0);
+});
+
+test('a tile crossfades from the playing sound into the new one', () => {
+  const env = setup();
+  env.tile('rain').click();
+  const rainVoice = env.machine.activeSounds.rain;
+  const rainFader = env.machine.channelFaders.rain;
+  wait(env, 5);
+  
+  env.tile('ocean').click();
+  assert.deepEqual(Object.keys(env.machine.activeSounds), ['ocean']);
+  assert.ok(!env.tile('rain').classList.contains('playing'));
+  assert.ok(env.tile('ocean').classList.contains('playing'));
+  
+  const fadeOut = rainFader.gain.getEvents('setValueCurveAtTime').pop();
+  const fadeIn = env.machine.channelFaders.ocean.gain.getEvents('setValueCurveAtTime').pop();
+  assert.equal(fadeOut.duration, env.machine.crossfadeTime);
+  assert.equal(fadeIn.duration, env.machine.crossfadeTime);
+  assert.equal(fadeOut.time, fadeIn.time);
+  
+  wait(env, env.machine.crossfadeTime);
+  assert.ok(rainVoice.handle.released);
+  assert.ok(!rainFader.isLive());
+  assert.ok(!env.machine.activeSounds.ocean.handle.released);
+});
+
+test('stopAll stops every sound, ends the combo and clears the timer', () => {
+  const env = setup();
+  selectCombo(env, ['rain', 'heartbeat']);
+  env.ui.applyComboSettings();
+  env.machine.setTimer(10);
+  
+  env.machine.stopAll();
+  assert.deepEqual(Object.keys(env.machine.activeSounds), []);
+  assert.ok(Object.values(env.machine.comboSounds).every(selected => !selected));
+  assert.equal(env.machine.timerClock, null);
+  assert.ok(env.document.getElementById('timer-display').classList.contains('d-none'));
+  
+  wait(env, env.machine.fadeOutTime);
+  assert.deepEqual(env.ctx.getLiveNodes(), getOutputStage(env.machine));
+  assert.equal(env.app.timers.pending, 0);
+});
+
+// -------------------- Combo --------------------
+
+test('applyComboSettings plays the checked sounds together with a mixer strip each', () => {
+  const env = setup();
+  selectCombo(env, ['rain', 'heartbeat']);
+  env.ui.applyComboSettings();
+  
+  assert.deepEqual(Object.keys(env.machine.activeSounds).sort(), ['heartbeat', 'rain']);
+  assert.equal(env.machine.comboSounds.rain, true);
+  assert.equal(env.machine.comboSounds.heartbeat, true);
+  assert.equal(env.machine.comboSounds.ocean, false);
+  
+  const mixer = env.document.getElementById('combo-mixer');
+  assert.ok(!mixer.classList.contains('d-none'));
+  const strips = mixer.querySelectorAll('.mixer-channel').map(strip => strip.getAttribute('data-channel'));
+  assert.deepEqual(strips.sort(), ['heartbeat', 'rain']);
+});
+
+test('mixer changes are reported and shown without rebuilding the strip or marker being moved', () => {
+  const env = setup();
+  env.machine.playCombo(['rain', 'heartbeat']);
+  const changes = [];
+  env.machine.on('statechange', detail => changes.push(detail));
+  
+  const mixer = env.document.getElementById('combo-mixer');
+  const strip = mixer.querySelector('.mixer-channel[data-channel="rain"]');
+  const slider = strip.querySelector('.mixer-volume');
+  const marker = mixer.querySelector('.spatial-marker[data-channel="rain"]');
+  
+  slider.value = '0.3';
+  slider.dispatchEvent(new env.app.context.Event('input'));
+  env.machine.setChannelMute('rain', true);
+  env.machine.setChannelSolo('heartbeat', true);
+  env.machine.setChannelPosition('rain', 1, 0);
+  assert.equal(changes.length, 4);
+  
+  assert.equal(mixer.querySelector('.mixer-channel[data-channel="rain"]'), strip);
+  assert.equal(mixer.querySelector('.spatial-marker[data-channel="rain"]'), marker);
+  assert.equal(env.machine.getChannelSettings('rain').volume, 0.3);
+  assert.ok(strip.querySelector('.mixer-mute').classList.contains('active'));
+  assert.ok(mixer.querySelector('.mixer-channel[data-channel="heartbeat"] .mixer-solo').classList.contains('active'));
+  assert.equal(marker.style.left, '100%');
+  assert.equal(marker.style.top, '50%');
+});
+
+test('applyComboSettings asks for a selection when nothing is checked', () => {
+  const env = setup();
+  env.ui.applyComboSettings();
+  
+  assert.deepEqual(Object.keys(env.machine.activeSounds), []);
+  assert.equal(env.app.alerts.length, 1);
+});
+
+test('stopCombo stops the combo sounds and clears the selection', () => {
+  const env = setup();
+  selectCombo(env, ['rain', 'heartbeat']);
+  env.ui.applyComboSettings();
+  
+  env.ui.stopCombo();
+  assert.deepEqual(Object.keys(env.machine.activeSounds), []);
+  assert.equal(env.document.getElementById('combo-rain').checked, false);
+  assert.equal(env.document.getElementById('combo-heartbeat').checked, false);
+  assert.ok(Object.values(env.machine.comboSounds).every(selected => !selected));
+  assert.equal(env.machine.currentSound, null);
+  assert.ok(env.document.getElementById('combo-mixer').classList.contains('d-none'));
+});
+
+// -------------------- Timer --------------------
+
+test('setTimer fades to silence at the end and stops everything when it runs out', () => {
+  const env = setup();
+  env.tile('white-noise').click();
+  env.machine.setTimer(1);
+  
+  const display = env.document.getElementById('timer-display');
+  assert.ok(!display.classList.contains('d-none'));
+  assert.equal(env.document.getElementById('time-remaining').textContent, '01:00');
+  
+  const fade = env.machine.timerFadeGain.gain.getEvents('setValueCurveAtTime').pop();
+  assert.equal(fade.time, 60 - env.machine.timerFadeTime);
+  assert.equal(fade.duration, env.machine.timerFadeTime);
+  assert.ok(Math.abs(fade.value) < 1e-9);
+  
+  wait(env, 30);
+  assert.equal(env.document.getElementById('time-remaining').textContent, '00:30');
+  
+  wait(env, 31);
+  assert.deepEqual(Object.keys(env.machine.activeSounds), []);
+  assert.ok(!env.tile('white-noise').classList.contains('playing'));
+  assert.ok(display.classList.contains('d-none'));
+  assert.equal(env.machine.timerClock, null);
+  assert.equal(env.app.timers.pending, 0);
+});
+
+test('setTimer winds the volume and brightness down over the last minutes', () => {
+  const env = setup();
+  const WIND_DOWN_LEVEL = env.app.get('WIND_DOWN_LEVEL');
+  const WIND_DOWN_CUTOFF = env.app.get('WIND_DOWN_CUTOFF');
+  env.machine.windDownMinutes = 5;
+  env.machine.setTimer(10);
+  
+  const gain = env.machine.windDownGain.gain;
+  assert.deepEqual(gain.getEvents('setValueAtTime').pop(), { type: 'setValueAtTime', value: 1, time: 300 });
+  assert.deepEqual(gain.getEvents('linearRampToValueAtTime').pop(), { type: 'linearRampToValueAtTime', value: WIND_DOWN_LEVEL, time: 600 });
+  
+  const cutoff = env.machine.windDownFilter.frequency;
+  assert.deepEqual(cutoff.getEvents('exponentialRampToValueAtTime').pop(), { type: 'exponentialRampToValueAtTime', value: WIND_DOWN_CUTOFF, time: 600 });
+});
+
+test('clearTimer cancels the timer and opens the output stage up again', () => {
+  const env = setup();
+  const OPEN_CUTOFF = env.app.get('OPEN_CUTOFF');
+  env.machine.windDownMinutes = 5;
+  env.machine.setTimer(10);
+  const timerClock = env.machine.timerClock;
+  wait(env, 2);
+  
+  env.machine.clearTimer();
+  assert.equal(env.machine.timerClock, null);
+  assert.equal(env.machine.timerMinutes, 0);
+  assert.ok(!timerClock.isLive());
+  assert.ok(env.document.getElementById('timer-display').classList.contains('d-none'));
+  assert.equal(env.app.timers.pending, 0);
+  
+  assert.equal(env.machine.windDownGain.gain.getEvents('setTargetAtTime').pop().value, 1);
+  assert.equal(env.machine.timerFadeGain.gain.getEvents('setTargetAtTime').pop().value, 1);
+  assert.equal(env.machine.windDownFilter.frequency.getEvents('setTargetAtTime').pop().value, OPEN_CUTOFF);
+});
+
+/**
+ * List the automation scheduled on a param since it was last cancelled, e.g. by a timer restart
+ * @param {MockAudioParam} param - The param
+ * @returns {Array<Object>} Automation calls after the last cancelScheduledValues()
+ */
+function getEventsSinceCancel(param) {
+  const cancelled = param.events.map(event => event.type).lastIndexOf('cancelScheduledValues');
+  return param.events.slice(cancelled + 1).map(event => [event.type, Math.round(event.value * 1000) / 1000, event.time]);
+}
+
+test('restarting the timer mid-wind-down opens the output stage up from where it is', () => {
+  const env = setup();
+  env.machine.play('brown-noise');
+  env.machine.windDownMinutes = 5;
+  env.machine.setTimer(10);
+  
+  // Halfway through the wind-down the gain is halfway down and the cutoff halfway on a log scale
+  wait(env, 450);
+  env.machine.setTimer(30);
+  
+  assert.deepEqual(getEventsSinceCancel(env.machine.windDownGain.gain), [
+    ['setValueAtTime', 0.65, 450],
+    ['linearRampToValueAtTime', 1, 452],
+    ['setValueAtTime', 1, 1950],
+    ['linearRampToValueAtTime', 0.3, 2250]
+  ]);
+  assert.deepEqual(getEventsSinceCancel(env.machine.windDownFilter.frequency).slice(0, 2), [
+    ['setValueAtTime', 3162.278, 450],
+    ['exponentialRampToValueAtTime', 20000, 452]
+  ]);
+});
+
+test('restarting the timer with a wind-down longer than the new timer carries on down without a jump', () => {
+  const env = setup();
+  env.machine.play('brown-noise');
+  env.machine.windDownMinutes = 5;
+  env.machine.setTimer(10);
+  
+  wait(env, 450);
+  env.machine.setTimer(3);
+  
+  assert.deepEqual(getEventsSinceCancel(env.machine.windDownGain.gain), [
+    ['setValueAtTime', 0.65, 450],
+    ['linearRampToValueAtTime', 0.3, 630]
+  ]);
+});
+
+test('restarting the timer during the final fade brings the sound back up smoothly', () => {
+  const env = setup();
+  env.machine.play('brown-noise');
+  env.machine.setTimer(1);
+  
+  // Halfway through the 30 second fade
+  wait(env, 45);
+  env.machine.setTimer(1);
+  
+  const events = getEventsSinceCancel(env.machine.timerFadeGain.gain);
+  assert.deepEqual(events.slice(0, 2), [
+    ['setValueAtTime', 0.707, 45],
+    ['linearRampToValueAtTime', 1, 47]
+  ]);
+  assert.equal(events[2][0], 'setValueCurveAtTime');
+  assert.equal(events[2][2], 75);
+});
+
+// -------------------- Events --------------------
+
+test('the sound machine reports what plays through statechange, without any page controls', () => {
+  const app = loadApp();
+  const ctx = new MockAudioContext();
+  const machine = new (app.get('SoundMachine'))({ audioContext: ctx });
+  machine.init();
+  
+  const changes = [];
+  const listener = detail => changes.push(detail);
+  machine.on('statechange', listener);
+  
+  machine.play('rain');
+  assert.deepEqual([...changes.pop().playing], ['rain']);
+  
+  machine.setVolume(0.3);
+  assert.equal(changes.pop().volume, 0.3);
+  
+  machine.stop('rain');
+  assert.deepEqual([...changes.pop().playing], []);
+  
+  machine.off('statechange', listener);
+  machine.play('ocean');
+  assert.equal(changes.length, 0);
+  
+  // Nothing on the page changed, as no controls are attached
+  assert.equal(app.document.querySelectorAll('.sound-tile').length, 1);
+});
+
+test('timertick counts the timer down once a second', () => {
+  const env = setup();
+  const ticks = [];
+  env.machine.on('timertick', ({ remaining }) => ticks.push(remaining));
+  
+  env.machine.setTimer(1);
+  assert.deepEqual(ticks, [60]);
+  
+  wait(env, 3);
+  assert.deepEqual(ticks.map(Math.round), [60, 59, 58, 57]);
+  
+  env.machine.clearTimer();
+  wait(env, 3);
+  assert.equal(ticks.length, 4);
+});
+
+test('the page follows a sound machine driven from code', () => {
+  const env = setup();
+  
+  env.machine.play('ocean');
+  assert.ok(env.tile('ocean').classList.contains('playing'));
+  
+  env.machine.setVolume(0.2);
+  assert.equal(env.document.getElementById('volume-control').value, '0.2');
+  
+  env.machine.setTimer(15);
+  assert.ok(env.document.querySelector('.timer-btn[data-time="15"]').classList.contains('active'));
+  assert.ok(!env.document.getElementById('timer-display').classList.contains('d-none'));
+  
+  env.machine.applyState({ sounds: ['rain', 'heartbeat'], params: {}, volume: 0.5, timer: 0 });
+  assert.ok(!env.tile('ocean').classList.contains('playing'));
+  assert.ok(env.tile('rain').classList.contains('playing'));
+  assert.equal(env.document.getElementById('combo-rain').checked, true);
+  assert.equal(env.document.getElementById('combo-ocean').checked, false);
+  assert.ok(env.document.querySelector('.timer-btn[data-time="0"]').classList.contains('active'));
+});
+
+// -------------------- Generators --------------------
+
+test('every generator plays into its channel', () => {
+  const env = setup();
+  env.machine.getVisibleSoundTypes().forEach(soundType => {
+    env.machine.play(soundType);
+    const fader = env.machine.channelFaders[soundType];
+    assert.ok(getSourcesInto(env.ctx, fader).length > 0, `${soundType} should play into its channel`);
+  });
+});
+
+test('pink and blue noise tilt every shelf of the chain by their slope', () => {
+  const env = setup();
+  [['pink-noise', -3], ['blue-noise', 3]].forEach(([soundType, slope]) => {
+    env.machine.play(soundType);
+    const shelves = env.ctx.nodes.filter(node => node.type === 'highshelf' && env.ctx.isConnected(node, env.machine.channelFaders[soundType]));
+    
+    assert.equal(shelves.length, env.app.get('NOISE_SHELF_FREQUENCIES').length);
+    shelves.forEach(shelf => {
+      assert.equal(shelf.gain.getEvents('setValueAtTime')[0].value, slope);
+    });
+  });
+});
+
+test('heartbeat schedules a lub and a dub on every beat at the set tempo', () => {
+  const env = setup();
+  env.machine.play('heartbeat');
+  const bpm = env.machine.getSoundParams('heartbeat').bpm;
+  
+  // The lub's tonal body starts at 55 Hz and the dub's at 75 Hz
+  const startsAt = pitch => env.ctx.nodes
+    .filter(node => node.frequency && node.frequency.events.length > 0 && node.frequency.events[0].value === pitch)
+    .map(node => node.startTime);
+  const lubs = startsAt(55);
+  const dubs = startsAt(75);
+  
+  assert.ok(lubs.length >= 2);
+  assert.equal(dubs.length, lubs.length);
+  for (let i = 1; i < lubs.length; i++) {
+    assert.ok(Math.abs(lubs[i] - lubs[i - 1] - 60 / bpm) < 1e-9);
+  }
+  dubs.forEach((time, i) => {
+    assert.ok(Math.abs(time - lubs[i] - 0.35 * 60 / bpm) < 1e-9);
+  });
+});
+
+test('lullaby plays the notes of the melody at the tempo', () => {
+  const env = setup();
+  env.machine.play('lullaby');
+  const params = env.machine.getSoundParams('lullaby');
+  const notes = env.app.context.getMelodyNotes(params.melody);
+  
+  const noteTimes = [...new Set(env.ctx.nodes
+    .filter(node => node instanceof MockScheduledSourceNode && node.startTime > 0)
+    .map(node => node.startTime))];
+  
+  const expected = [];
+  let time = 0.1;
+  for (let i = 0; expected.length < noteTimes.length; i++) {
+    const note = notes[i % notes.length];
+    if (note.freq) {
+      expected.push(time);
+    }
+    time += note.duration * 60 / params.tempo;
+  }
+  
+  assert.ok(noteTimes.length > 0);
+  noteTimes.forEach((noteTime, i) => {
+    assert.ok(Math.abs(noteTime - expected[i]) < 1e-9, `note ${i} at ${noteTime}, expected ${expected[i]}`);
+  });
+});
+
+test('rain queues droplets no further ahead than the scheduler look-ahead', () => {
+  const env = setup();
+  env.machine.play('rain');
+  const lookAhead = env.app.get('SCHEDULE_AHEAD_TIME');
+  
+  const droplets = env.ctx.nodes.filter(node => node instanceof MockScheduledSourceNode && node.startTime > 0);
+  assert.ok(droplets.length > 0);
+  droplets.forEach(droplet => {
+    assert.ok(droplet.startTime < lookAhead + 0.1);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Wombcore 3000 - Voice Lifecycle Tests
+ * Plays every sound module on a mock audio context and checks that stopping
+ * a voice leaves no node connected, no source playing and no timer pending.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockAudioContext, MockAudioNode } = require('./mock-audio-context');
+const { loadApp } = require('./load-app');
+
+// How often (ms) the tests tick the schedulers and the audio clock
+const TICK = 250;
+
+/**
+ * Let a voice play, ticking its schedulers and the audio clock together
+ * @param {MockAudioContext} ctx - Context the voice plays on
+ * @param {FakeTimers} timers - Timers of the script context
+ * @param {number} seconds - How long to play
+ */
+function play(ctx, timers, seconds) {
+  for (let elapsed = 0; elapsed < seconds * 1000; elapsed += TICK) {
+    ctx.advance(TICK / 1000);
+    timers.advance(TICK);
+  }
+}
+
+const app = loadApp();
+const timers = app.timers;
+const soundModules = app.get('SOUND_MODULES');
+const VoiceHandle = app.get('VoiceHandle');
+
+/**
+ * Start a voice of a sound module with its default parameters
+ * @param {string} soundType - Id of the sound module
+ * @param {MockAudioContext} ctx - Context to play on
+ * @returns {Object} The playing voice
+ */
+function startVoice(soundType, ctx) {
+  const voice = app.context.createSoundVoice(soundType);
+  voice.start(ctx, ctx.destination, app.context.getSoundParamDefaults(soundType));
+  return voice;
+}
+
+Object.keys(soundModules).forEach(soundType => {
+  test(`${soundType} leaves no live nodes or timers after stop`, () => {
+    const ctx = new MockAudioContext();
+    const voice = startVoice(soundType, ctx);
+    play(ctx, timers, 20);
+    
+    assert.ok(ctx.getLiveNodes().length > 0, 'the voice should be playing');
+    
+    voice.stop();
+    assert.deepEqual(ctx.getLiveNodes(), []);
+    assert.equal(timers.pending, 0);
+  });
+  
+  test(`${soundType} leaves nothing behind when stopped straight after starting`, () => {
+    const ctx = new MockAudioContext();
+    const voice = startVoice(soundType, ctx);
+    
+    voice.stop();
+    assert.deepEqual(ctx.getLiveNodes(), []);
+    assert.equal(timers.pending, 0);
+    
+    // Events queued ahead must not come back to life when their time comes
+    play(ctx, timers, 5);
+    assert.deepEqual(ctx.getLiveNodes(), []);
+  });
+  
+  test(`${soundType} can be stopped twice`, () => {
+    const ctx = new MockAudioContext();
+    const voice = startVoice(soundType, ctx);
+    play(ctx, timers, 1);
+    
+    voice.stop();
+    voice.stop();
+    assert.deepEqual(ctx.getLiveNodes(), []);
+  });
+});
+
+test('playing a sound that already plays keeps the one voice, which stop() releases', () => {
+  const ctx = new MockAudioContext();
+  const machine = new (app.get('SoundMachine'))({ audioContext: ctx });
+  machine.init();
+  const outputStage = ctx.getLiveNodes();
+  
+  machine.play('ocean');
+  const voice = machine.activeSounds.ocean;
+  play(ctx, timers, 1);
+  machine.play('ocean');
+  assert.equal(machine.activeSounds.ocean, voice);
+  
+  machine.stop('ocean', 0);
+  assert.deepEqual(ctx.getLiveNodes().filter(node => !outputStage.includes(node)), []);
+  assert.equal(timers.pending, 0);
+});
+
+test('one-shot events are released as soon as they end', () => {
+  const ctx = new MockAudioContext();
+  const voice = startVoice('heartbeat', ctx);
+  
+  play(ctx, timers, 60);
+  
+  // Only the beats queued ahead are held, however long the voice plays
+  assert.ok(voice.handle.events.size <= 8, `${voice.handle.events.size} events still held`);
+  
+  // The muffle filter, plus the five nodes of each heart sound still to come
+  assert.ok(ctx.getLiveNodes().length <= 1 + 5 * voice.handle.events.size);
+  
+  voice.stop();
+});
+
+test('worklet noise sources are stopped and disconnected', () => {
+  const ctx = new MockAudioContext();
+  const messages = [];
+  app.context.AudioWorkletNode = class extends MockAudioNode {
+    constructor(audioContext) {
+      super(audioContext);
+      this.port = { postMessage: message => messages.push(message) };
+    }
+  };
+  app.get('noiseWorkletContexts').add(ctx);
+  
+  const voice = startVoice('white-noise', ctx);
+  play(ctx, timers, 1);
+  voice.stop();
+  
+  assert.deepEqual(messages, ['stop']);
+  assert.deepEqual(ctx.getLiveNodes(), []);
+});
+
+test('a released handle cancels its timeouts and releases anything handed to it afterwards', () => {
+  const ctx = new MockAudioContext();
+  const handle = new VoiceHandle();
+  let fired = 0;
+  
+  handle.setTimeout(() => fired++, 100);
+  handle.setTimeout(() => fired++, 1000);
+  timers.advance(500);
+  assert.equal(fired, 1);
+  assert.equal(handle.timeouts.size, 1);
+  
+  handle.release();
+  timers.advance(1000);
+  assert.equal(fired, 1);
+  assert.equal(timers.pending, 0);
+  
+  const late = ctx.createOscillator();
+  late.connect(ctx.destination);
+  late.start();
+  handle.addEvent([late]);
+  assert.deepEqual(ctx.getLiveNodes(), []);
+});
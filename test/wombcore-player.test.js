@@ -0,0 +1,177 @@
+/**
+ * Wombcore 3000 - Embeddable Player Tests
+ * Puts <wombcore-player> elements on the fake DOM, playing on mock audio
+ * contexts, and checks that their attributes drive the sound machine and
+ * that they tell the host page when they play, stop and the timer ends.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { fileURLToPath, pathToFileURL } = require('node:url');
+const { MockAudioContext } = require('./mock-audio-context');
+const { createDocument } = require('./fake-dom');
+const { loadApp } = require('./load-app');
+
+// How often (ms) the tests tick the timers and the audio clock
+const TICK = 250;
+
+/**
+ * Load the app with the player script, and add a player to the page
+ * @param {Object} attributes - Attributes of the player
+ * @returns {Object} The app, the player, the contexts it created and the events it dispatched
+ */
+function setup(attributes) {
+  const contexts = [];
+  const app = loadApp({
+    // Keep the sample rate of the contexts the players create low
+    AudioContext: class extends MockAudioContext {
+      constructor() {
+        super();
+        contexts.push(this);
+      }
+    }
+  }, ['wombcore-player.js']);
+  
+  const player = app.document.createElement('wombcore-player');
+  Object.keys(attributes).forEach(name => player.setAttribute(name, attributes[name]));
+  app.document.body.appendChild(player);
+  
+  const events = [];
+  ['play', 'stop', 'timer-end'].forEach(type => {
+    app.document.body.addEventListener(type, e => events.push({ type: e.type, detail: e.detail }));
+  });
+  
+  return { app, player, contexts, events };
+}
+
+/**
+ * Let time pass on both the timers and the audio clock of the player
+ * @param {Object} env - Environment from setup()
+ * @param {number} seconds - How long to wait
+ */
+function wait(env, seconds) {
+  for (let elapsed = 0; elapsed < seconds * 1000; elapsed += TICK) {
+    env.contexts.forEach(ctx => ctx.advance(TICK / 1000));
+    env.app.timers.advance(TICK);
+  }
+}
+
+/**
+ * Let the microtasks queued so far run, such as the player's check after it was disconnected
+ * @returns {Promise} Resolves once they have run
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('the player waits for a click before creating an audio context', () => {
+  const env = setup({ sounds: 'ocean,heartbeat' });
+  
+  assert.equal(env.contexts.length, 0);
+  assert.equal(env.player.shadowRoot.querySelector('.title').textContent, '🫧 Ocean Waves + 🧿 Heartbeat');
+  
+  env.player.shadowRoot.querySelector('.toggle').click();
+  assert.equal(env.contexts.length, 1);
+  assert.deepEqual(Object.keys(env.player.soundMachine.activeSounds).sort(), ['heartbeat', 'ocean']);
+  assert.equal(env.player.shadowRoot.querySelector('.toggle').getAttribute('aria-pressed'), 'true');
+  assert.deepEqual(env.events.map(e => e.type), ['play']);
+  assert.deepEqual([...env.events[0].detail.sounds], ['ocean', 'heartbeat']);
+});
+
+test('the volume attribute sets the master volume, before and during playback', () => {
+  const env = setup({ sounds: 'rain', volume: '0.2' });
+  env.player.play();
+  assert.equal(env.player.soundMachine.masterGain.gain.value, 0.2);
+  
+  env.player.setAttribute('volume', '0.7');
+  assert.equal(env.player.soundMachine.masterGain.gain.value, 0.7);
+  assert.equal(env.player.shadowRoot.querySelector('.volume').value, '0.7');
+});
+
+test('changing the sounds crossfades into the new ones, and unknown ones are skipped', () => {
+  const env = setup({ sounds: 'rain' });
+  env.player.play();
+  
+  env.player.setAttribute('sounds', 'forest,thunder');
+  assert.deepEqual(Object.keys(env.player.soundMachine.activeSounds), ['forest']);
+  assert.equal(env.player.shadowRoot.querySelector('.title').textContent, '🪆 Forest');
+});
+
+test('the timer stops the player and tells the page', () => {
+  const env = setup({ sounds: 'white-noise', timer: '1' });
+  env.player.play();
+  
+  const timer = env.player.shadowRoot.querySelector('.timer');
+  assert.equal(timer.hidden, false);
+  assert.equal(timer.textContent, '01:00');
+  
+  wait(env, 61);
+  assert.equal(env.player.playing, false);
+  assert.equal(timer.hidden, true);
+  assert.deepEqual(env.events.map(e => e.type), ['play', 'stop', 'timer-end']);
+  assert.equal(env.events[1].detail.reason, 'timer');
+});
+
+test('a player taken off the page stops and closes its audio context', async () => {
+  const env = setup({ sounds: 'snow' });
+  env.player.play();
+  env.player.stop();
+  assert.deepEqual(env.events.map(e => e.type), ['play', 'stop']);
+  
+  env.player.play();
+  env.player.remove();
+  await settle();
+  assert.equal(env.player.soundMachine, null);
+  assert.equal(env.contexts[0].state, 'closed');
+  
+  wait(env, 5);
+  assert.equal(env.app.timers.pending, 0);
+});
+
+test('a player moved to another container keeps playing and can be played again', async () => {
+  const env = setup({ sounds: 'rain' });
+  env.player.play();
+  
+  const container = env.app.document.createElement('div');
+  env.app.document.body.appendChild(container);
+  container.appendChild(env.player);
+  await settle();
+  assert.equal(env.contexts[0].state, 'running');
+  assert.deepEqual(Object.keys(env.player.soundMachine.activeSounds), ['rain']);
+  
+  env.player.stop();
+  env.player.setAttribute('sounds', 'ocean');
+  env.player.play();
+  assert.equal(env.contexts.length, 1);
+  assert.deepEqual(Object.keys(env.player.soundMachine.activeSounds), ['ocean']);
+});
+
+test('the ES module exports the engine and the player without adding globals to the host page', async () => {
+  // This test's process stands in for the host page: a fake DOM, and fetch() reading the app's files
+  const document = createDocument('<!DOCTYPE html><html><head></head><body></body></html>');
+  Object.assign(globalThis, {
+    document: document,
+    window: globalThis,
+    HTMLElement: document.HTMLElement,
+    customElements: document.customElements,
+    fetch: async url => ({ ok: true, text: async () => fs.readFileSync(fileURLToPath(url), 'utf8') })
+  });
+  
+  // A classic script of the host declaring a name the engine declares too
+  vm.runInThisContext('const LULLABIES = \'host\';');
+  const globals = Object.getOwnPropertyNames(globalThis);
+  
+  const wombcore = await import(pathToFileURL(path.join(__dirname, '..', 'wombcore.mjs')));
+  assert.deepEqual(Object.keys(wombcore).sort(), ['SOUND_MODULES', 'SoundMachine', 'WombcorePlayer']);
+  assert.ok(wombcore.SOUND_MODULES.rain);
+  assert.equal(customElements.get('wombcore-player'), wombcore.WombcorePlayer);
+  
+  assert.deepEqual(Object.getOwnPropertyNames(globalThis).filter(name => !globals.includes(name)), []);
+  assert.equal(vm.runInThisContext('LULLABIES'), 'host');
+  assert.equal(vm.runInThisContext('typeof ENGINE_SCRIPTS'), 'undefined');
+});
@@ -0,0 +1,8 @@
+/**
+ * Wombcore 3000 - Version
+ * Shared by the page and the service worker, which names its cache after it.
+ * Bump it with every release so installed copies pick up the new files.
+ */
+
+// App version
+const APP_VERSION = "v0.2.0";
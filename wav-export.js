@@ -0,0 +1,280 @@
+/**
+ * Wombcore 3000 - WAV Export
+ * Renders the playing sound or combo offline into a seamless loop and
+ * writes it out, repeated to the requested length, as a 16-bit PCM WAV file.
+ *
+ * Only the loop is ever held in memory; the file is streamed to disk in
+ * loop-sized chunks where the File System Access API is available, and
+ * assembled from Blob parts elsewhere.
+ */
+
+// Length (seconds) of the rendered loop that is repeated to fill the file
+const EXPORT_LOOP_SECONDS = 180;
+
+// Overlap (seconds) crossfaded between the end and the start of the loop
+const EXPORT_CROSSFADE_SECONDS = 2;
+
+// Audio skipped at the start of the render while filters and schedulers settle
+const EXPORT_WARMUP_SECONDS = 1;
+
+// Exported files are mono, which keeps 10 hours (about 3.2 GB) under the 4 GB WAV limit
+const EXPORT_CHANNELS = 1;
+
+class WavExporter {
+  /**
+   * @param {SoundMachine} soundMachine - The sound machine to render
+   */
+  constructor(soundMachine) {
+    this.soundMachine = soundMachine;
+    
+    // True while an export is running
+    this.exporting = false;
+  }
+  
+  /**
+   * Set up the export panel
+   */
+  init() {
+    this.initEventListeners();
+  }
+  
+  /**
+   * Set up event listeners for the export panel
+   */
+  initEventListeners() {
+    const exportButton = document.getElementById('export-wav');
+    exportButton.addEventListener('click', () => {
+      const hours = parseFloat(document.getElementById('export-hours').value);
+      const soundTypes = this.soundMachine.getState().sounds;
+      
+      if (soundTypes.length === 0) {
+        alert('Please play a sound or combo to export first.');
+        return;
+      }
+      
+      if (this.exporting) {
+        return;
+      }
+      
+      this.exporting = true;
+      exportButton.disabled = true;
+      
+      this.exportWav(soundTypes, hours, (stage, fraction) => this.showProgress(stage, fraction))
+        .then(() => {
+          this.showProgress('DONE', 1);
+        })
+        .catch(error => {
+          if (error.name === 'AbortError') {
+            this.showProgress('CANCELLED', 0);
+            return;
+          }
+          console.error('WAV export failed:', error);
+          this.showProgress('FAILED', 0);
+          alert(`Could not export the WAV file: ${error.message}`);
+        })
+        .finally(() => {
+          this.exporting = false;
+          exportButton.disabled = false;
+        });
+    });
+  }
+  
+  /**
+   * Update the export progress bar
+   * @param {string} stage - Label of the current stage
+   * @param {number} fraction - Overall progress (0 to 1)
+   */
+  showProgress(stage, fraction) {
+    const progress = document.getElementById('export-progress');
+    const bar = progress.querySelector('.progress-bar');
+    const percent = Math.round(fraction * 100);
+    
+    progress.classList.remove('d-none');
+    bar.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', percent);
+    document.getElementById('export-status').textContent = `${stage} ${percent}%`;
+  }
+  
+  /**
+   * Render sounds and write them as a WAV file of the given length
+   * @param {Array<string>} soundTypes - Sounds to include
+   * @param {number} hours - Length of the file in hours
+   * @param {function(string, number)} onProgress - Called with a stage label and overall progress (0 to 1)
+   * @returns {Promise} Resolves once the file has been written
+   */
+  exportWav(soundTypes, hours, onProgress) {
+    const sampleRate = this.soundMachine.audioContext.sampleRate;
+    const totalFrames = Math.round(hours * 3600 * sampleRate);
+    const fileName = `wombcore-${soundTypes.join('-')}-${hours}h.wav`;
+    
+    let sink;
+    
+    // Ask where to save first, while we still have the click's user activation
+    return this.openSink(fileName)
+      .then(openedSink => {
+        sink = openedSink;
+        const renderSeconds = EXPORT_WARMUP_SECONDS + EXPORT_LOOP_SECONDS + EXPORT_CROSSFADE_SECONDS;
+        return this.soundMachine.renderOffline(soundTypes, renderSeconds, fraction => {
+          onProgress('RENDERING', fraction * 0.5);
+        });
+      })
+      .then(buffer => {
+        const loop = this.encodePcm(this.createLoop(buffer));
+        return this.writeWav(sink, loop, totalFrames, sampleRate, fraction => {
+          onProgress('WRITING', 0.5 + fraction * 0.5);
+        });
+      })
+      .catch(error => {
+        if (sink) {
+          sink.abort();
+        }
+        throw error;
+      });
+  }
+  
+  /**
+   * Cut a seamless loop out of a render by crossfading its tail into its head
+   * @param {AudioBuffer} buffer - Render of warm-up + loop + crossfade
+   * @returns {Float32Array} Loop samples
+   */
+  createLoop(buffer) {
+    const sampleRate = buffer.sampleRate;
+    const input = buffer.getChannelData(0);
+    const start = Math.round(EXPORT_WARMUP_SECONDS * sampleRate);
+    const loopLength = Math.round(EXPORT_LOOP_SECONDS * sampleRate);
+    const fadeLength = Math.round(EXPORT_CROSSFADE_SECONDS * sampleRate);
+    
+    const loop = input.slice(start, start + loopLength);
+    
+    // Equal-power crossfade: the head fades in while the audio following the loop end fades out
+    for (let i = 0; i < fadeLength; i++) {
+      const position = (i / fadeLength) * Math.PI / 2;
+      loop[i] = loop[i] * Math.sin(position) + input[start + loopLength + i] * Math.cos(position);
+    }
+    
+    return loop;
+  }
+  
+  /**
+   * Convert float samples to little-endian 16-bit PCM
+   * @param {Float32Array} samples - Samples from -1 to 1
+   * @returns {Uint8Array} PCM bytes
+   */
+  encodePcm(samples) {
+    const view = new DataView(new ArrayBuffer(samples.length * 2));
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+    return new Uint8Array(view.buffer);
+  }
+  
+  /**
+   * Build the 44-byte header of a PCM WAV file
+   * @param {number} frameCount - Number of sample frames in the file
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Uint8Array} Header bytes
+   */
+  createWavHeader(frameCount, sampleRate) {
+    const bytesPerSample = 2;
+    const blockAlign = EXPORT_CHANNELS * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    
+    const view = new DataView(new ArrayBuffer(44));
+    const writeString = (offset, value) => {
+      for (let i = 0; i < value.length; i++) {
+        view.setUint8(offset + i, value.charCodeAt(i));
+      }
+    };
+    
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, EXPORT_CHANNELS, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    
+    return new Uint8Array(view.buffer);
+  }
+  
+  /**
+   * Write the header and then the loop over and over until the file is full
+   * @param {Object} sink - Writer returned by openSink()
+   * @param {Uint8Array} loop - PCM bytes of the loop
+   * @param {number} totalFrames - Number of sample frames in the file
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {function(number)} onProgress - Called with the written fraction (0 to 1)
+   * @returns {Promise} Resolves once the sink is closed
+   */
+  writeWav(sink, loop, totalFrames, sampleRate, onProgress) {
+    const totalBytes = totalFrames * EXPORT_CHANNELS * 2;
+    let written = 0;
+    
+    const writeNext = () => {
+      if (written >= totalBytes) {
+        return sink.close();
+      }
+      
+      const chunk = totalBytes - written >= loop.length ? loop : loop.subarray(0, totalBytes - written);
+      written += chunk.length;
+      
+      return Promise.resolve(sink.write(chunk)).then(() => {
+        onProgress(written / totalBytes);
+        return writeNext();
+      });
+    };
+    
+    return Promise.resolve(sink.write(this.createWavHeader(totalFrames, sampleRate))).then(writeNext);
+  }
+  
+  /**
+   * Open somewhere to write the file to
+   * Streams to a file picked with the File System Access API where available,
+   * otherwise collects Blob parts and downloads them when closed.
+   * @param {string} fileName - Suggested file name
+   * @returns {Promise<{write: function(Uint8Array), close: function(), abort: function()}>} Writer
+   */
+  openSink(fileName) {
+    if (window.showSaveFilePicker) {
+      return window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: 'WAV audio', accept: { 'audio/wav': ['.wav'] } }]
+      }).then(handle => handle.createWritable()).then(writable => ({
+        write: chunk => writable.write(chunk),
+        close: () => writable.close(),
+        abort: () => writable.abort()
+      }));
+    }
+    
+    const parts = [];
+    return Promise.resolve({
+      write: chunk => {
+        parts.push(chunk);
+      },
+      close: () => {
+        const url = URL.createObjectURL(new Blob(parts, { type: 'audio/wav' }));
+        parts.length = 0;
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the download time to start before releasing the Blob
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+      },
+      abort: () => {
+        parts.length = 0;
+      }
+    });
+  }
+}
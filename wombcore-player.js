@@ -0,0 +1,307 @@
+/**
+ * Wombcore 3000 - Embeddable Player
+ * A <wombcore-player> element that plays the sound modules on any page. It
+ * brings its own sound machine and styles in a shadow root, so the host page
+ * needs neither Bootstrap nor the app's stylesheet.
+ *
+ * Attributes:
+ *   sounds - comma separated sound ids, e.g. "ocean,heartbeat"; several play as a combo
+ *   volume - master volume from 0 to 1
+ *   timer  - sleep timer in minutes, started with the sound; 0 or none plays on
+ *   theme  - "dark" (default) or "light"
+ *
+ * Events, bubbling out of the shadow root:
+ *   play      - the sounds started; detail.sounds lists them
+ *   stop      - the sounds stopped; detail.reason is "stop" or "timer"
+ *   timer-end - the sleep timer ran out
+ *
+ * Example:
+ *   <wombcore-player sounds="ocean,heartbeat" volume="0.4" timer="30"></wombcore-player>
+ */
+
+// Attributes the player reacts to
+const PLAYER_ATTRIBUTES = ['sounds', 'volume', 'timer', 'theme'];
+
+// Volume until the volume attribute says otherwise
+const PLAYER_DEFAULT_VOLUME = 0.5;
+
+// Styles of the shadow root, themed through custom properties the host page may override
+const PLAYER_STYLES = `
+  :host {
+    --wombcore-bg: linear-gradient(160deg, #171757 0%, #3b296b 60%, #5e3b8b 100%);
+    --wombcore-text: #ffffff;
+    --wombcore-accent: #6effff;
+    --wombcore-muted: rgba(255, 255, 255, 0.6);
+    display: inline-block;
+    font-family: 'Varela Round', 'Arial Rounded MT Bold', sans-serif;
+  }
+  :host([theme="light"]) {
+    --wombcore-bg: linear-gradient(160deg, #ffffff 0%, #f2ecff 100%);
+    --wombcore-text: #2b2350;
+    --wombcore-accent: #9e71ff;
+    --wombcore-muted: rgba(43, 35, 80, 0.6);
+  }
+  :host([hidden]) {
+    display: none;
+  }
+  .player {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 10px 14px;
+    border-radius: 18px;
+    background: var(--wombcore-bg);
+    color: var(--wombcore-text);
+    box-shadow: 0 8px 20px rgba(0, 0, 0, 0.25);
+  }
+  .toggle {
+    width: 44px;
+    height: 44px;
+    flex: none;
+    border: 2px solid var(--wombcore-accent);
+    border-radius: 50%;
+    background: transparent;
+    color: var(--wombcore-accent);
+    font-size: 1.1rem;
+    cursor: pointer;
+  }
+  .toggle:focus-visible {
+    outline: 2px solid var(--wombcore-accent);
+    outline-offset: 2px;
+  }
+  .info {
+    min-width: 0;
+    flex: 1;
+  }
+  .title {
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .timer {
+    color: var(--wombcore-muted);
+    font-size: 0.8rem;
+  }
+  .volume {
+    width: 90px;
+    accent-color: var(--wombcore-accent);
+  }
+`;
+
+class WombcorePlayer extends HTMLElement {
+  static get observedAttributes() {
+    return PLAYER_ATTRIBUTES;
+  }
+  
+  constructor() {
+    super();
+    
+    // Sound machine, created on first play so no audio context starts before a user gesture
+    this.soundMachine = null;
+    
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = `
+      <style>${PLAYER_STYLES}</style>
+      <div class="player" part="player">
+        <button class="toggle" part="button" type="button" aria-pressed="false" aria-label="Play">▶</button>
+        <div class="info">
+          <div class="title" part="title"></div>
+          <div class="timer" part="timer" hidden></div>
+        </div>
+        <input class="volume" part="volume" type="range" min="0" max="1" step="0.01" aria-label="Volume">
+      </div>
+    `;
+    
+    this.shadowRoot.querySelector('.toggle').addEventListener('click', () => {
+      if (this.playing) {
+        this.stop();
+      } else {
+        this.play();
+      }
+    });
+    
+    // Moving the slider sets the attribute, so it stays the one source of the volume
+    this.shadowRoot.querySelector('.volume').addEventListener('input', (e) => {
+      this.setAttribute('volume', e.target.value);
+    });
+  }
+  
+  connectedCallback() {
+    this.render();
+  }
+  
+  disconnectedCallback() {
+    // Moving the player to another container disconnects it before connecting it again,
+    // so only tear down once the current task is done and it is still off the page
+    Promise.resolve().then(() => {
+      if (!this.isConnected) {
+        this.release();
+      }
+    });
+  }
+  
+  /**
+   * @param {string} name - Attribute that changed
+   * @param {?string} oldValue - Previous value
+   * @param {?string} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'sounds') {
+      this.getSoundList().filter(soundType => !SOUND_MODULES[soundType]).forEach(soundType => {
+        console.warn('wombcore-player: unknown sound', soundType);
+      });
+    }
+    
+    if (this.soundMachine) {
+      if (name === 'volume') {
+        this.soundMachine.setVolume(this.volume);
+      } else if (name === 'timer' && this.playing) {
+        this.soundMachine.setTimer(this.timer);
+      } else if (name === 'sounds' && this.playing) {
+        this.play();
+      }
+    }
+    this.render();
+  }
+  
+  // -------------------- Attributes --------------------
+  
+  /**
+   * @returns {Array<string>} Known sound ids from the sounds attribute; unknown ones are skipped
+   */
+  get sounds() {
+    return this.getSoundList().filter(soundType => SOUND_MODULES[soundType]);
+  }
+  
+  /**
+   * @returns {Array<string>} Every id in the sounds attribute, known or not
+   */
+  getSoundList() {
+    return (this.getAttribute('sounds') || '').split(',').map(soundType => soundType.trim()).filter(Boolean);
+  }
+  
+  /**
+   * @returns {number} Volume (0 to 1) from the volume attribute
+   */
+  get volume() {
+    const volume = parseFloat(this.getAttribute('volume'));
+    return isNaN(volume) ? PLAYER_DEFAULT_VOLUME : Math.max(0, Math.min(1, volume));
+  }
+  
+  /**
+   * @returns {number} Timer minutes from the timer attribute, 0 for none
+   */
+  get timer() {
+    const minutes = parseFloat(this.getAttribute('timer'));
+    return minutes > 0 ? minutes : 0;
+  }
+  
+  /**
+   * @returns {boolean} Whether any sound is playing
+   */
+  get playing() {
+    return Boolean(this.soundMachine) && Object.keys(this.soundMachine.activeSounds).length > 0;
+  }
+  
+  // -------------------- Playback --------------------
+  
+  /**
+   * Create the sound machine and follow what it plays
+   * @returns {SoundMachine} The player's sound machine
+   */
+  getSoundMachine() {
+    if (!this.soundMachine) {
+      this.soundMachine = new SoundMachine();
+      this.soundMachine.init();
+      this.soundMachine.setVolume(this.volume);
+      
+      this.soundMachine.on('statechange', () => this.render());
+      this.soundMachine.on('timertick', ({ remaining }) => {
+        this.shadowRoot.querySelector('.timer').textContent = formatTimeRemaining(remaining);
+      });
+      this.soundMachine.on('timerend', () => {
+        this.dispatch('stop', { reason: 'timer' });
+        this.dispatch('timer-end', {});
+      });
+    }
+    return this.soundMachine;
+  }
+  
+  /**
+   * Play the sounds, crossfading from whatever the player plays, and start the timer
+   */
+  play() {
+    const sounds = this.sounds;
+    if (sounds.length === 0) {
+      console.warn('wombcore-player: no sounds to play');
+      return;
+    }
+    
+    const soundMachine = this.getSoundMachine();
+    if (sounds.length === 1) {
+      soundMachine.crossfadeTo(sounds[0]);
+    } else {
+      soundMachine.playCombo(sounds);
+    }
+    
+    // Starting the sounds clears the timer, so set it afterwards
+    soundMachine.setTimer(this.timer);
+    this.dispatch('play', { sounds: sounds });
+  }
+  
+  /**
+   * Silence the player and give its audio context back; the next play() starts a new sound machine
+   */
+  release() {
+    if (this.soundMachine) {
+      this.soundMachine.stopAll(0);
+      this.soundMachine.audioContext.close();
+      this.soundMachine = null;
+    }
+  }
+  
+  /**
+   * Fade the sounds out
+   */
+  stop() {
+    if (!this.playing) {
+      return;
+    }
+    this.soundMachine.stopAll();
+    this.dispatch('stop', { reason: 'stop' });
+  }
+  
+  /**
+   * Dispatch an event from the player to the host page
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+  }
+  
+  // -------------------- Display --------------------
+  
+  /**
+   * Bring the button, title, timer and volume slider up to date
+   */
+  render() {
+    const playing = this.playing;
+    const toggle = this.shadowRoot.querySelector('.toggle');
+    toggle.textContent = playing ? '❚❚' : '▶';
+    toggle.setAttribute('aria-pressed', String(playing));
+    toggle.setAttribute('aria-label', playing ? 'Stop' : 'Play');
+    
+    const modules = this.sounds.map(soundType => SOUND_MODULES[soundType]);
+    this.shadowRoot.querySelector('.title').textContent = modules.map(module => `${module.icon} ${module.label}`).join(' + ');
+    
+    const timerRunning = Boolean(this.soundMachine) && this.soundMachine.timerMinutes > 0;
+    this.shadowRoot.querySelector('.timer').hidden = !timerRunning;
+    
+    this.shadowRoot.querySelector('.volume').value = this.volume;
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('wombcore-player')) {
+  customElements.define('wombcore-player', WombcorePlayer);
+}
@@ -0,0 +1,60 @@
+/**
+ * Wombcore 3000 - ES Module
+ * Entry point for pages that embed Wombcore: loads the sound engine and the
+ * <wombcore-player> element next to this file, and exports their classes.
+ *
+ * Example:
+ *   <script type="module" src="https://example.com/wombcore/wombcore.mjs"></script>
+ *   <wombcore-player sounds="ocean,heartbeat" volume="0.4" timer="30"></wombcore-player>
+ *
+ *   import { SoundMachine } from 'https://example.com/wombcore/wombcore.mjs';
+ *   const soundMachine = new SoundMachine();
+ *   soundMachine.init();
+ *   soundMachine.play('rain');
+ *
+ * The app's files are classic scripts whose top-level names would become
+ * globals of the host page, clashing with any it declares itself. So they are
+ * fetched and run together inside one function instead, and only the three
+ * exports leave it. That takes a host page whose Content Security Policy
+ * allows eval, and a server that allows cross-origin requests for the files.
+ */
+
+// Scripts run in the function scope after the engine's, and the names exported from it
+const PLAYER_SCRIPT = 'wombcore-player.js';
+const EXPORTED_NAMES = ['SoundMachine', 'WombcorePlayer', 'SOUND_MODULES'];
+
+/**
+ * Fetch one of the app's scripts from next to this module
+ * @param {string} file - Path of the script relative to this module
+ * @returns {Promise<string>} Source of the script
+ */
+async function fetchScript(file) {
+  const response = await fetch(new URL(file, import.meta.url));
+  if (!response.ok) {
+    throw new Error(`Failed to load ${file}: ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Run scripts one after another in a scope of their own, as the page runs them in its global scope
+ * @param {Array<string>} sources - Sources of the scripts, in load order
+ * @param {Array<string>} names - Top-level names to hand back
+ * @returns {Object} The named values, keyed by name
+ */
+function runIsolated(sources, names) {
+  // WOMBCORE_BASE_URL tells noise-source.js where its worklet is, as document.currentScript doesn't
+  const body = `${sources.join('\n;\n')}\nreturn { ${names.join(', ')} };`;
+  return new Function('WOMBCORE_BASE_URL', body)(import.meta.url);
+}
+
+// The script lists first, then the engine and the player, which build on each other's top-level names
+const { ENGINE_SCRIPTS } = runIsolated([await fetchScript('app-scripts.js')], ['ENGINE_SCRIPTS']);
+const sources = await Promise.all(ENGINE_SCRIPTS.concat(PLAYER_SCRIPT).map(fetchScript));
+const engine = runIsolated(sources, EXPORTED_NAMES);
+
+const soundMachineClass = engine.SoundMachine;
+const playerClass = engine.WombcorePlayer;
+const soundModules = engine.SOUND_MODULES;
+
+export { soundMachineClass as SoundMachine, playerClass as WombcorePlayer, soundModules as SOUND_MODULES };